@@ -58,8 +58,16 @@ export function useApiOperation() {
         loadingRef.value = false
       }
 
-      // Show success toast if provided (only for non-cache responses)
-      if (successMessage && !response?.fromCache) {
+      // Mutations queued in the offline outbox are not saved yet
+      if (response?.queued) {
+        toast.add({
+          severity: 'info',
+          summary: 'Saved Offline',
+          detail: 'The API is unreachable. The change was queued and will sync when the connection returns.',
+          life: 5000
+        })
+      } else if (successMessage && !response?.fromCache) {
+        // Show success toast if provided (only for non-cache responses)
         toast.add({
           severity: 'success',
           summary: 'Success',
@@ -6,10 +6,54 @@ import dayjs from 'dayjs'
 import { 
   clientService, 
   generateClientUsername, 
-  generateSecurePassword 
+  generateSecurePassword,
+  buildCredentialDates,
+  getCredentialStatus
 } from '../services'
 import { useApiOperation } from './useApiOperation'
 import { useReactiveData } from './useReactiveData'
+import { downloadFile } from '../utils/fileUtils'
+
+/**
+ * Get the credential expiry status of a client
+ * @param {Object} client - Client record
+ * @param {number} warningDays - Days before expiry a credential counts as due
+ * @returns {Object} - { status, daysLeft, label, classes }
+ */
+export const getCredentialBadge = (client, warningDays) => {
+  const { status, daysLeft } = getCredentialStatus(client, warningDays)
+  
+  switch (status) {
+    case 'expired':
+      return {
+        status,
+        daysLeft,
+        label: 'Expired',
+        classes: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+      }
+    case 'due':
+      return {
+        status,
+        daysLeft,
+        label: daysLeft < 1 ? 'Expires today' : `Expires in ${daysLeft}d`,
+        classes: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300'
+      }
+    case 'valid':
+      return {
+        status,
+        daysLeft,
+        label: 'Valid',
+        classes: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300'
+      }
+    default:
+      return {
+        status,
+        daysLeft,
+        label: 'Not tracked',
+        classes: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+      }
+  }
+}
 
 /**
  * Composable for client-related functionality
@@ -152,7 +196,8 @@ export function useClient() {
           username: clientData.username,
           password: hashedPassword,
           role_id: clientData.role_id,
-          active: clientData.active
+          active: clientData.active,
+          ...buildCredentialDates()
         }
         
         // Create client
@@ -195,6 +240,7 @@ export function useClient() {
         
         if (data.password) {
           data.password = await clientService.hashPassword(data.password)
+          Object.assign(data, buildCredentialDates())
         }
         
         // Update client
@@ -232,36 +278,40 @@ export function useClient() {
   }
   
   /**
-   * Reset client password
+   * Rotate client credentials
+   * Generates and hashes a new password and restarts the credential lifetime
    * @param {string} id - Client ID
-   * @returns {Promise<string|null>} - New plain text password or null on failure
+   * @param {Object} options - { lifetimeDays, length }
+   * @returns {Promise<Object|null>} - { client, plainPassword } or null on failure
    */
-  const resetPassword = async (id) => {
+  const rotateCredentials = async (id, options = {}) => {
     return performOperation(
-      async () => {
-        // Generate new password
-        const newPassword = generateSecurePassword(12)
-        
-        // Hash the password before sending to PocketBase
-        const hashedPassword = await clientService.hashPassword(newPassword)
-        
-        // Update client with new hashed password
-        await clientService.update(id, {
-          password: hashedPassword
-        })
-        
-        return newPassword
-      },
+      () => clientService.rotateCredentials(id, options),
       {
         loadingRef: loading,
         errorRef: error,
-        errorMessage: 'Failed to reset password',
-        successMessage: 'Password has been reset successfully',
+        errorMessage: 'Failed to rotate credentials',
+        successMessage: 'Credentials have been rotated',
         collection: 'clients' // Specify collection for cache updates
       }
     )
   }
   
+  /**
+   * Download newly issued credentials as a text file
+   * @param {Object} client - Client record
+   * @param {string} plainPassword - Plain text password
+   */
+  const downloadCredentials = (client, plainPassword) => {
+    const lines = [
+      `username: ${client.username}`,
+      `password: ${plainPassword}`,
+      `issued: ${formatDate(client.credentials_issued_at)}`,
+      `expires: ${formatDate(client.credentials_expires_at)}`
+    ]
+    downloadFile(`${lines.join('\n')}\n`, `${client.username}-credentials.txt`, 'text/plain')
+  }
+  
   /**
    * Copy text to clipboard with success/error feedback
    * @param {string} text - Text to copy
@@ -306,7 +356,9 @@ export function useClient() {
     getConnectionUrl,
     generateClientUsername,
     generateSecurePassword,
+    getCredentialBadge,
     copyToClipboard,
+    downloadCredentials,
     
     // Operations
     fetchClients,
@@ -314,7 +366,7 @@ export function useClient() {
     createClient,
     updateClient,
     deleteClient,
-    resetPassword,
+    rotateCredentials,
     
     // Navigation
     navigateToClientList,
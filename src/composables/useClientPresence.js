@@ -0,0 +1,110 @@
+// src/composables/useClientPresence.js
+import { ref, computed, onMounted, onUnmounted } from 'vue'
+import { natsMonitoringService } from '../services'
+import { natsConfigService } from '../services/nats/natsConfigService'
+
+/**
+ * Composable for client connection presence from the NATS monitoring endpoints
+ * Polls /connz and /subsz while the component is mounted
+ *
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.autoStart - Start polling on mount (default: true)
+ * @returns {Object} - Presence state and methods
+ */
+export function useClientPresence(options = {}) {
+  const { autoStart = true } = options
+
+  const presence = ref(null)
+  const loading = ref(false)
+  const error = ref(null)
+  const configured = ref(natsMonitoringService.isConfigured())
+
+  let timer = null
+  let active = false
+
+  const lastUpdated = computed(() => presence.value?.fetchedAt || null)
+  const stats = computed(() => presence.value?.stats || null)
+  const onlineCount = computed(() => presence.value?.byUsername.size || 0)
+
+  /**
+   * Get the presence of a client by username
+   * @param {string} username - Client username
+   * @returns {Object|null} - Presence entry, an offline entry, or null while unknown
+   */
+  const getPresence = (username) => {
+    if (!presence.value) return null
+    return presence.value.byUsername.get(username) || {
+      username,
+      online: false,
+      connections: []
+    }
+  }
+
+  /**
+   * Fetch presence once
+   * Errors are kept in `error` instead of toasts since this runs on a timer
+   */
+  const refresh = async () => {
+    configured.value = natsMonitoringService.isConfigured()
+    if (!configured.value) return null
+
+    loading.value = true
+    try {
+      presence.value = await natsMonitoringService.getPresence()
+      error.value = null
+      return presence.value
+    } catch (err) {
+      console.error('Error fetching NATS monitoring data:', err)
+      error.value = err.response
+        ? `Monitoring endpoint returned ${err.response.status}`
+        : 'Monitoring endpoint unreachable'
+      return null
+    } finally {
+      loading.value = false
+    }
+  }
+
+  const poll = async () => {
+    await refresh()
+    // Stopped (e.g. unmounted) while the request was in flight
+    if (!active || !configured.value) return
+
+    const seconds = Number(natsConfigService.getConfig().monitoringInterval) || 15
+    timer = setTimeout(poll, Math.max(seconds, 5) * 1000)
+  }
+
+  /**
+   * Poll at the interval configured in the NATS settings
+   */
+  const start = () => {
+    stop()
+    active = true
+    return poll()
+  }
+
+  const stop = () => {
+    active = false
+    clearTimeout(timer)
+    timer = null
+  }
+
+  onMounted(() => {
+    if (autoStart) start()
+  })
+
+  onUnmounted(stop)
+
+  return {
+    presence,
+    loading,
+    error,
+    configured,
+    lastUpdated,
+    stats,
+    onlineCount,
+    getPresence,
+    refresh,
+    start,
+    stop
+  }
+}
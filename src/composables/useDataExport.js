@@ -0,0 +1,187 @@
+// src/composables/useDataExport.js
+import { ref } from 'vue'
+import dayjs from 'dayjs'
+import { useToast } from 'primevue/usetoast'
+import { flattenRecord, toCsv, downloadFile } from '../utils/fileUtils'
+import { toXlsx } from '../utils/xlsxUtils'
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = [
+  { label: 'CSV', value: 'csv', icon: 'pi pi-file' },
+  { label: 'JSON', value: 'json', icon: 'pi pi-code' },
+  { label: 'Excel (XLSX)', value: 'xlsx', icon: 'pi pi-file-excel' }
+]
+
+/**
+ * Read a nested value by dot path
+ * @param {Object} data - Source object
+ * @param {string} path - Dot path (e.g. 'expand.location_id.code')
+ * @returns {any} - Value or undefined
+ */
+const getValueByPath = (data, path) => {
+  return path.split('.').reduce((obj, key) => (obj && obj[key] !== undefined ? obj[key] : undefined), data)
+}
+
+/**
+ * Remove excluded fields from a record, including inside expanded relations
+ * @param {any} value - Record or nested value
+ * @param {Array<string>} fields - Field names to remove
+ * @returns {any} - Copy without the excluded fields
+ */
+const omitFields = (value, fields) => {
+  if (Array.isArray(value)) return value.map(item => omitFields(item, fields))
+  if (!value || typeof value !== 'object' || value instanceof Date) return value
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !fields.includes(key))
+      .map(([key, item]) => [key, omitFields(item, fields)])
+  )
+}
+
+/**
+ * Composable for exporting entity lists
+ * Walks all pages of the current query, applies the table search and downloads CSV, JSON or XLSX
+ * Fields in the service's `exportExcludeFields` option are never exported
+ *
+ * @param {Object} options - Export options
+ * @param {Function} options.getService - Returns the entity service to query
+ * @param {Function} options.getParams - Returns the current query params (filters, sort, expand)
+ * @param {Function} options.getColumns - Returns the table columns ({ field, header }) exported first
+ * @param {Function} options.getFilename - Returns the base file name
+ * @returns {Object} - Export state and methods
+ */
+export function useDataExport(options = {}) {
+  const {
+    getService,
+    getParams = () => ({}),
+    getColumns = () => [],
+    getFilename = () => 'export'
+  } = options
+
+  const toast = useToast()
+
+  const exporting = ref(false)
+  const progress = ref({ loaded: 0, total: 0 })
+
+  /**
+   * Keep records matching the table's global search (same fields as the table)
+   * @param {Array} records - Records to filter
+   * @param {string} search - Search text
+   * @param {Array<string>} searchFields - Fields searched by the table
+   * @returns {Array} - Matching records
+   */
+  const applySearch = (records, search, searchFields) => {
+    const term = (search || '').trim().toLowerCase()
+    if (!term || searchFields.length === 0) return records
+
+    return records.filter(record => searchFields.some(field => {
+      const value = getValueByPath(record, field)
+      return value !== undefined && value !== null && String(value).toLowerCase().includes(term)
+    }))
+  }
+
+  /**
+   * Build export columns: table columns first, then every other flattened key
+   * Table columns holding a relation ID also get the expanded code/name next to them
+   * @param {Array<Object>} rows - Flattened rows
+   * @returns {Array<Object>} - Columns as { field, header }
+   */
+  const buildColumns = (rows) => {
+    const keys = []
+    rows.forEach(row => {
+      Object.keys(row).forEach(key => {
+        if (!keys.includes(key)) keys.push(key)
+      })
+    })
+
+    const columns = []
+    getColumns().forEach(col => {
+      if (keys.includes(col.field)) {
+        columns.push({ field: col.field, header: col.field })
+      }
+      keys
+        .filter(key => key.startsWith(`expand.${col.field}.`))
+        .forEach(key => columns.push({ field: key, header: key }))
+    })
+
+    keys.forEach(key => {
+      if (!columns.some(col => col.field === key)) {
+        columns.push({ field: key, header: key })
+      }
+    })
+
+    return columns
+  }
+
+  /**
+   * Export all records of the current query
+   * @param {string} format - 'csv', 'json' or 'xlsx'
+   * @param {Object} searchOptions - Client-side search applied by the table
+   * @param {string} searchOptions.search - Search text
+   * @param {Array<string>} searchOptions.searchFields - Searched fields
+   * @returns {Promise<number|null>} - Number of exported records or null on failure
+   */
+  const exportData = async (format, searchOptions = {}) => {
+    if (exporting.value) return null
+
+    const { search = '', searchFields = [] } = searchOptions
+    exporting.value = true
+    progress.value = { loaded: 0, total: 0 }
+
+    try {
+      const service = getService()
+      const records = await service.getFullList(getParams(), {
+        onProgress: (loaded, total) => {
+          progress.value = { loaded, total }
+        }
+      })
+      const excluded = service.options?.exportExcludeFields || []
+      const matching = applySearch(records, search, searchFields)
+        .map(record => omitFields(record, excluded))
+
+      const filename = `${getFilename()}-${dayjs().format('YYYYMMDD-HHmmss')}`
+
+      if (format === 'json') {
+        downloadFile(JSON.stringify(matching, null, 2), `${filename}.json`, 'application/json')
+      } else {
+        const rows = matching.map(record => flattenRecord(record))
+        const columns = buildColumns(rows)
+
+        if (format === 'xlsx') {
+          downloadFile(toXlsx(rows, columns, getFilename()), `${filename}.xlsx`)
+        } else {
+          downloadFile(toCsv(rows, columns), `${filename}.csv`, 'text/csv')
+        }
+      }
+
+      toast.add({
+        severity: 'success',
+        summary: 'Export Complete',
+        detail: `${matching.length} record(s) exported`,
+        life: 3000
+      })
+
+      return matching.length
+    } catch (err) {
+      console.error('Error exporting data:', err)
+      toast.add({
+        severity: 'error',
+        summary: 'Error',
+        detail: 'Failed to export data',
+        life: 3000
+      })
+      return null
+    } finally {
+      exporting.value = false
+    }
+  }
+
+  return {
+    exporting,
+    progress,
+    exportData
+  }
+}
@@ -0,0 +1,627 @@
+// src/composables/useEntityImport.js
+import { ref, computed } from 'vue'
+import { useToast } from 'primevue/usetoast'
+import { useCacheStore } from '../stores/cacheStore'
+import { useTypesStore } from '../stores/types'
+import {
+  edgeService,
+  locationService,
+  thingService,
+  thingTypeService,
+  validateEdgeCode,
+  validateLocationCode,
+  validateThingCode,
+  computeLocationPath
+} from '../services'
+import { parseCsv, parseJsonRecords, readFileAsText, toCsv, downloadFile } from '../utils/fileUtils'
+
+/**
+ * Parse a boolean cell value
+ * @param {any} value - Cell value
+ * @param {boolean} defaultValue - Value used for empty cells
+ * @returns {boolean|undefined} - Parsed value or undefined if not a boolean
+ */
+const parseBoolean = (value, defaultValue = true) => {
+  if (value === null || value === undefined || value === '') return defaultValue
+  if (typeof value === 'boolean') return value
+
+  const text = String(value).trim().toLowerCase()
+  if (['true', '1', 'yes', 'y', 'active'].includes(text)) return true
+  if (['false', '0', 'no', 'n', 'inactive'].includes(text)) return false
+  return undefined
+}
+
+/**
+ * Parse a JSON cell value (objects from JSON imports are used as-is)
+ * @param {any} value - Cell value
+ * @returns {Object|undefined} - Parsed object, {} for empty cells, undefined if invalid
+ */
+const parseJsonObject = (value) => {
+  if (value === null || value === undefined || value === '') return {}
+  if (typeof value === 'object' && !Array.isArray(value)) return value
+
+  try {
+    const parsed = JSON.parse(value)
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : undefined
+  } catch (e) {
+    return undefined
+  }
+}
+
+/**
+ * Normalize a column header or field name for automatic mapping
+ * @param {string} name - Header or field name
+ * @returns {string} - Normalized name
+ */
+const normalizeHeader = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * Extract a readable message from an API or validation error
+ * @param {Error} err - Error thrown by a service
+ * @returns {string} - Error message
+ */
+const getErrorMessage = (err) => {
+  const data = err.response?.data
+  if (data?.data && Object.keys(data.data).length > 0) {
+    return Object.entries(data.data)
+      .map(([field, detail]) => `${field}: ${detail.message || detail}`)
+      .join(', ')
+  }
+  return data?.message || err.message || 'Unknown error'
+}
+
+/**
+ * Import definitions per entity type
+ * - fields: Importable fields (aliases are extra header names matched automatically)
+ * - loadReferences: Loads the records needed to resolve references by code
+ * - buildRecord: Turns a mapped row into an API payload, collecting errors
+ * - create: Creates the record through the entity service
+ */
+const IMPORT_DEFINITIONS = {
+  edge: {
+    entityName: 'Edge',
+    collection: 'edges',
+    fields: [
+      { name: 'code', label: 'Code', required: true, hint: '[type]-[region]-[number]' },
+      { name: 'name', label: 'Name', required: true },
+      { name: 'type', label: 'Type', hint: 'Taken from the code if empty' },
+      { name: 'region', label: 'Region', hint: 'Taken from the code if empty' },
+      { name: 'description', label: 'Description' },
+      { name: 'active', label: 'Active', hint: 'true/false, defaults to true' },
+      { name: 'metadata', label: 'Metadata', hint: 'JSON object' }
+    ],
+    async loadReferences(typesStore) {
+      await Promise.all([typesStore.loadEdgeTypes(), typesStore.loadEdgeRegions()])
+      const edges = await edgeService.getFullList()
+      return {
+        existingCodes: new Set(edges.map(edge => edge.code)),
+        edgeTypes: typesStore.edgeTypes.map(type => type.value),
+        edgeRegions: typesStore.edgeRegions.map(region => region.value)
+      }
+    },
+    buildRecord(values, refs) {
+      const errors = []
+      const [codeType, codeRegion] = (values.code || '').split('-')
+
+      if (!validateEdgeCode(values.code)) {
+        errors.push('Code must follow format: [type]-[region]-[number]')
+      }
+
+      const record = {
+        code: values.code,
+        name: values.name,
+        type: values.type || codeType,
+        region: values.region || codeRegion,
+        description: values.description || '',
+        active: parseBoolean(values.active),
+        metadata: parseJsonObject(values.metadata)
+      }
+
+      if (record.type && refs.edgeTypes.length > 0 && !refs.edgeTypes.includes(record.type)) {
+        errors.push(`Unknown edge type "${record.type}"`)
+      }
+      if (record.region && refs.edgeRegions.length > 0 && !refs.edgeRegions.includes(record.region)) {
+        errors.push(`Unknown edge region "${record.region}"`)
+      }
+
+      return { record, errors }
+    },
+    create: (record) => edgeService.create(record)
+  },
+
+  location: {
+    entityName: 'Location',
+    collection: 'locations',
+    fields: [
+      { name: 'code', label: 'Code', required: true, hint: '[type]-[number]' },
+      { name: 'name', label: 'Name', required: true },
+      { name: 'edge_code', label: 'Edge Code', required: true, aliases: ['edge'] },
+      { name: 'parent_code', label: 'Parent Code', hint: 'Existing location or another row', aliases: ['parent'] },
+      { name: 'description', label: 'Description' },
+      { name: 'metadata', label: 'Metadata', hint: 'JSON object' }
+    ],
+    async loadReferences(typesStore) {
+      await typesStore.loadLocationTypes()
+      const [edges, locations] = await Promise.all([
+        edgeService.getFullList(),
+        locationService.getFullList()
+      ])
+      return {
+        existingCodes: new Set(locations.map(location => location.code)),
+        edgesByCode: new Map(edges.map(edge => [edge.code, edge])),
+        locationsByCode: new Map(locations.map(location => [location.code, location])),
+        locationTypes: typesStore.locationTypes.map(type => type.value)
+      }
+    },
+    buildRecord(values, refs, context) {
+      const errors = []
+
+      if (!validateLocationCode(values.code)) {
+        errors.push('Code must follow format: [type]-[number]')
+      }
+
+      // Split the code on its last hyphen like the location form does
+      const lastHyphen = (values.code || '').lastIndexOf('-')
+      const type = lastHyphen > 0 ? values.code.substring(0, lastHyphen) : ''
+      const number = lastHyphen > 0 ? values.code.substring(lastHyphen + 1) : ''
+
+      if (type && refs.locationTypes.length > 0 && !refs.locationTypes.includes(type)) {
+        errors.push(`Unknown location type "${type}"`)
+      }
+
+      const edge = refs.edgesByCode.get(values.edge_code)
+      if (values.edge_code && !edge) {
+        errors.push(`Edge "${values.edge_code}" not found`)
+      }
+
+      // Parents may be existing locations or other rows of this import
+      if (values.parent_code) {
+        if (values.parent_code === values.code) {
+          errors.push('A location cannot be its own parent')
+        } else if (!refs.locationsByCode.has(values.parent_code) && !context.fileCodes.has(values.parent_code)) {
+          errors.push(`Parent location "${values.parent_code}" not found`)
+        }
+      }
+
+      const metadata = parseJsonObject(values.metadata)
+      const record = {
+        code: values.code,
+        name: values.name,
+        edge_id: edge?.id || '',
+        parent_id: '',
+        description: values.description || '',
+        metadata: metadata ? { ...metadata, type_info: { type, number } } : metadata
+      }
+
+      return { record, errors, parentCode: values.parent_code || null }
+    },
+    /**
+     * Resolve the parent (possibly created earlier in this import) and compute the path
+     */
+    prepareCreate(record, row, refs) {
+      if (!row.parentCode) {
+        return { ...record, path: computeLocationPath('', record.code) }
+      }
+
+      const parent = refs.locationsByCode.get(row.parentCode)
+      if (!parent) {
+        throw new Error(`Parent location "${row.parentCode}" was not created`)
+      }
+      return {
+        ...record,
+        parent_id: parent.id,
+        path: computeLocationPath(parent.path, record.code)
+      }
+    },
+    onCreated(created, refs) {
+      refs.locationsByCode.set(created.code, created)
+    },
+    create: (record) => locationService.create(record)
+  },
+
+  thing: {
+    entityName: 'Thing',
+    collection: 'things',
+    fields: [
+      { name: 'code', label: 'Code', required: true, hint: '[type]-[location]-[number]' },
+      { name: 'name', label: 'Name', required: true },
+      { name: 'type', label: 'Type', required: true },
+      { name: 'location_code', label: 'Location Code', required: true, aliases: ['location'] },
+      { name: 'description', label: 'Description' },
+      { name: 'active', label: 'Active', hint: 'true/false, defaults to true' },
+      { name: 'metadata', label: 'Metadata', hint: 'JSON object' }
+    ],
+    async loadReferences(typesStore, rows) {
+      await typesStore.loadThingTypes()
+      const [things, locations] = await Promise.all([
+        thingService.getFullList(),
+        locationService.getFullList()
+      ])
+
+      // Type records carry the metadata schemas rows are validated against
+      const typeCodes = [...new Set(rows.map(row => row.type).filter(Boolean))]
+      const typeRecords = await Promise.all(typeCodes.map(code => thingTypeService.getTypeByCode(code)))
+
+      return {
+        existingCodes: new Set(things.map(thing => thing.code)),
+        locationsByCode: new Map(locations.map(location => [location.code, location])),
+        thingTypes: typesStore.thingTypes.map(type => type.value),
+        typesByCode: new Map(typeRecords.filter(Boolean).map(type => [type.code, type]))
+      }
+    },
+    buildRecord(values, refs) {
+      const errors = []
+
+      if (!validateThingCode(values.code)) {
+        errors.push('Code must follow format: [type]-[location]-[number]')
+      }
+      if (values.type && refs.thingTypes.length > 0 && !refs.thingTypes.includes(values.type)) {
+        errors.push(`Unknown thing type "${values.type}"`)
+      }
+
+      const location = refs.locationsByCode.get(values.location_code)
+      if (values.location_code && !location) {
+        errors.push(`Location "${values.location_code}" not found`)
+      }
+
+      const record = {
+        code: values.code,
+        name: values.name,
+        type: values.type,
+        location_id: location?.id || '',
+        edge_id: location?.edge_id || '',
+        description: values.description || '',
+        active: parseBoolean(values.active),
+        metadata: parseJsonObject(values.metadata)
+      }
+
+      const thingType = refs.typesByCode.get(values.type)
+      if (thingType && record.metadata) {
+        errors.push(...Object.values(thingService.validateAgainstType(thingType, { metadata: record.metadata })))
+      }
+
+      return { record, errors }
+    },
+    create: (record) => thingService.createThing(record)
+  }
+}
+
+/**
+ * Composable for bulk importing edges, locations or things from CSV/JSON files
+ * Flow: loadFile → (adjust mapping) → validateRows → runImport
+ *
+ * @param {string} entityType - 'edge', 'location' or 'thing'
+ * @returns {Object} - Import state and methods
+ */
+export function useEntityImport(entityType) {
+  const definition = IMPORT_DEFINITIONS[entityType]
+  if (!definition) {
+    throw new Error(`Unsupported import entity type: ${entityType}`)
+  }
+
+  const toast = useToast()
+  const cacheStore = useCacheStore()
+  const typesStore = useTypesStore()
+
+  // State
+  const fileName = ref('')
+  const headers = ref([])
+  const rawRows = ref([])
+  const mapping = ref({})
+  const rows = ref([])
+  const parseError = ref(null)
+  const validating = ref(false)
+  const importing = ref(false)
+  const progress = ref({ done: 0, total: 0 })
+
+  // Reference data loaded during validation (not reactive, can be large)
+  let references = null
+
+  const fields = definition.fields
+
+  // Row counts by status
+  const validRows = computed(() => rows.value.filter(row => row.errors.length === 0))
+  const invalidRows = computed(() => rows.value.filter(row => row.errors.length > 0))
+  const createdRows = computed(() => rows.value.filter(row => row.status === 'created'))
+  const failedRows = computed(() => rows.value.filter(row => row.status === 'failed' || row.errors.length > 0))
+
+  // Required fields without a mapped column
+  const unmappedRequired = computed(() => {
+    return fields.filter(field => field.required && !mapping.value[field.name])
+  })
+
+  const progressPercent = computed(() => {
+    if (progress.value.total === 0) return 0
+    return Math.round((progress.value.done / progress.value.total) * 100)
+  })
+
+  /**
+   * Guess the column mapping from header names
+   * @param {Array<string>} columnNames - File headers
+   * @returns {Object} - Column name keyed by field name
+   */
+  const guessMapping = (columnNames) => {
+    const result = {}
+
+    fields.forEach(field => {
+      const candidates = [field.name, field.label, ...(field.aliases || [])].map(normalizeHeader)
+      const match = columnNames.find(header => candidates.includes(normalizeHeader(header)))
+      result[field.name] = match || null
+    })
+
+    return result
+  }
+
+  /**
+   * Parse an uploaded CSV or JSON file
+   * @param {File} file - Uploaded file
+   * @returns {Promise<boolean>} - True if the file was parsed
+   */
+  const loadFile = async (file) => {
+    reset()
+    fileName.value = file.name
+
+    try {
+      const text = await readFileAsText(file)
+      const isJson = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('[')
+      const parsed = isJson ? parseJsonRecords(text) : parseCsv(text)
+
+      if (parsed.rows.length === 0) {
+        parseError.value = 'The file does not contain any rows'
+        return false
+      }
+
+      headers.value = parsed.headers
+      rawRows.value = parsed.rows
+      mapping.value = guessMapping(parsed.headers)
+      return true
+    } catch (err) {
+      console.error('Error parsing import file:', err)
+      parseError.value = `Could not read the file: ${err.message}`
+      return false
+    }
+  }
+
+  /**
+   * Apply the column mapping to a raw row
+   * @param {Object} rawRow - Row keyed by column name
+   * @returns {Object} - Values keyed by field name
+   */
+  const mapRow = (rawRow) => {
+    const values = {}
+    fields.forEach(field => {
+      const column = mapping.value[field.name]
+      const value = column ? rawRow[column] : undefined
+      values[field.name] = typeof value === 'string' ? value.trim() : value
+    })
+    return values
+  }
+
+  /**
+   * Order location rows so in-file parents are created before their children
+   * Rows whose parent chain loops are flagged as errors
+   * @param {Array} mappedRows - Validated rows
+   * @returns {Array} - Rows in creation order
+   */
+  const orderByParent = (mappedRows) => {
+    const byCode = new Map(mappedRows.map(row => [row.values.code, row]))
+
+    const depthOf = (row, seen = new Set()) => {
+      if (!row.parentCode || !byCode.has(row.parentCode)) return 0
+      if (seen.has(row.values.code)) return Infinity
+      seen.add(row.values.code)
+      return 1 + depthOf(byCode.get(row.parentCode), seen)
+    }
+
+    mappedRows.forEach(row => {
+      row.depth = depthOf(row)
+      if (row.depth === Infinity) {
+        row.errors.push('Parent references form a cycle')
+        row.depth = 0
+      }
+    })
+
+    const ordered = [...mappedRows].sort((a, b) => (a.depth - b.depth) || (a.index - b.index))
+
+    // Children of invalid rows cannot be created either
+    ordered.forEach(row => {
+      const parent = row.parentCode ? byCode.get(row.parentCode) : null
+      if (parent && parent.errors.length > 0 && row.errors.length === 0) {
+        row.errors.push(`Parent row ${parent.rowNumber} has errors`)
+      }
+    })
+
+    return ordered
+  }
+
+  /**
+   * Map and validate every row, resolving references by code
+   * @returns {Promise<boolean>} - True if validation ran
+   */
+  const validateRows = async () => {
+    validating.value = true
+    parseError.value = null
+
+    try {
+      const mappedValues = rawRows.value.map(mapRow)
+      references = await definition.loadReferences(typesStore, mappedValues)
+
+      // Count codes to detect duplicates inside the file
+      const codeCounts = new Map()
+      mappedValues.forEach(values => {
+        if (values.code) codeCounts.set(values.code, (codeCounts.get(values.code) || 0) + 1)
+      })
+      const context = { fileCodes: new Set(codeCounts.keys()) }
+
+      let mappedRows = mappedValues.map((values, index) => {
+        const { record, errors, parentCode = null } = definition.buildRecord(values, references, context)
+
+        fields.forEach(field => {
+          if (field.required && !values[field.name]) {
+            errors.unshift(`${field.label} is required`)
+          }
+        })
+        if (record.active === undefined) errors.push('Active must be true or false')
+        if (record.metadata === undefined) errors.push('Metadata must be a JSON object')
+        if (values.code && references.existingCodes.has(values.code)) {
+          errors.push(`${definition.entityName} ${values.code} already exists`)
+        }
+        if (values.code && codeCounts.get(values.code) > 1) {
+          errors.push(`Code ${values.code} appears more than once in the file`)
+        }
+
+        return {
+          index,
+          rowNumber: index + 1,
+          raw: rawRows.value[index],
+          values,
+          record,
+          parentCode,
+          errors: [...new Set(errors)],
+          status: 'pending',
+          error: null
+        }
+      })
+
+      if (entityType === 'location') {
+        mappedRows = orderByParent(mappedRows)
+      }
+
+      rows.value = mappedRows
+      return true
+    } catch (err) {
+      console.error('Error validating import rows:', err)
+      parseError.value = `Failed to validate rows: ${getErrorMessage(err)}`
+      return false
+    } finally {
+      validating.value = false
+    }
+  }
+
+  /**
+   * Create records for all valid rows, one at a time
+   * Rows depending on a failed row (location parents) fail as well
+   * @returns {Promise<Object>} - { created, failed } counts
+   */
+  const runImport = async () => {
+    const queue = rows.value.filter(row => row.errors.length === 0 && row.status !== 'created')
+    if (queue.length === 0 || importing.value) return { created: 0, failed: 0 }
+
+    importing.value = true
+    progress.value = { done: 0, total: queue.length }
+
+    let created = 0
+    let failed = 0
+
+    for (const row of queue) {
+      try {
+        const payload = definition.prepareCreate
+          ? definition.prepareCreate(row.record, row, references)
+          : row.record
+        const response = await definition.create(payload)
+
+        if (definition.onCreated) definition.onCreated(response.data, references)
+        row.status = 'created'
+        row.createdId = response.data.id
+        created++
+      } catch (err) {
+        console.error(`Error importing row ${row.rowNumber}:`, err)
+        row.status = 'failed'
+        row.error = getErrorMessage(err)
+        failed++
+      }
+
+      progress.value = { ...progress.value, done: progress.value.done + 1 }
+    }
+
+    importing.value = false
+
+    if (created > 0) {
+      cacheStore.updateTimestamp(definition.collection)
+    }
+
+    toast.add({
+      severity: failed > 0 ? 'warn' : 'success',
+      summary: 'Import Finished',
+      detail: `${created} ${definition.entityName.toLowerCase()}(s) created${failed > 0 ? `, ${failed} failed` : ''}`,
+      life: 5000
+    })
+
+    return { created, failed }
+  }
+
+  /**
+   * Download the rows that failed validation or creation as CSV
+   */
+  const downloadErrorReport = () => {
+    const reportRows = [...failedRows.value]
+      .sort((a, b) => a.index - b.index)
+      .map(row => ({
+        row: row.rowNumber,
+        ...row.raw,
+        errors: row.error ? [...row.errors, row.error].join('; ') : row.errors.join('; ')
+      }))
+
+    const columns = [
+      { field: 'row', header: 'row' },
+      ...headers.value.map(header => ({ field: header, header })),
+      { field: 'errors', header: 'errors' }
+    ]
+
+    const baseName = fileName.value.replace(/\.[^.]+$/, '') || entityType
+    downloadFile(toCsv(reportRows, columns), `${baseName}-errors.csv`, 'text/csv')
+  }
+
+  /**
+   * Download a CSV template with the importable columns
+   */
+  const downloadTemplate = () => {
+    const columns = fields.map(field => ({ field: field.name, header: field.name }))
+    downloadFile(toCsv([], columns), `${entityType}-import-template.csv`, 'text/csv')
+  }
+
+  /**
+   * Reset the import state
+   */
+  const reset = () => {
+    fileName.value = ''
+    headers.value = []
+    rawRows.value = []
+    mapping.value = {}
+    rows.value = []
+    parseError.value = null
+    progress.value = { done: 0, total: 0 }
+    references = null
+  }
+
+  return {
+    // Definition
+    fields,
+    entityName: definition.entityName,
+
+    // State
+    fileName,
+    headers,
+    rawRows,
+    mapping,
+    rows,
+    parseError,
+    validating,
+    importing,
+    progress,
+    progressPercent,
+    validRows,
+    invalidRows,
+    createdRows,
+    failedRows,
+    unmappedRequired,
+
+    // Methods
+    loadFile,
+    validateRows,
+    runImport,
+    downloadErrorReport,
+    downloadTemplate,
+    reset
+  }
+}
@@ -0,0 +1,212 @@
+// src/composables/useJetStream.js
+import { ref, onMounted, onUnmounted } from 'vue'
+import { natsService, natsJetStreamService } from '../services'
+import { useApiOperation } from './useApiOperation'
+
+/**
+ * Message query modes of the JetStream browser
+ */
+export const JETSTREAM_QUERY_MODES = [
+  { value: 'sequence', label: 'By sequence' },
+  { value: 'time', label: 'By time range' },
+  { value: 'last', label: 'Last for subject' }
+]
+
+const defaultQuery = () => ({
+  mode: 'sequence',
+  subject: '',
+  startSeq: null,
+  endSeq: null,
+  startTime: null,
+  endTime: null,
+  limit: 50
+})
+
+/**
+ * Composable for browsing JetStream streams, consumers and stored messages
+ * Waits for the shared NATS connection and loads streams once connected
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} options.subject - Only list streams storing this subject (e.g. a thing's topic)
+ * @returns {Object} - JetStream state and actions
+ */
+export function useJetStream(options = {}) {
+  const { performOperation } = useApiOperation()
+
+  const connectionReady = ref(natsService.isConnected())
+  const streamFilter = ref(options.subject || '')
+
+  const account = ref(null)
+  const streams = ref([])
+  const selectedStream = ref(null)
+  const consumers = ref([])
+  const messages = ref([])
+  const query = ref({ ...defaultQuery(), subject: options.subject || '' })
+  const hasMore = ref(false)
+  const nextSeq = ref(null)
+
+  const streamsLoading = ref(false)
+  const streamLoading = ref(false)
+  const messagesLoading = ref(false)
+  const error = ref(null)
+
+  // JetStream specific failures carry a readable message
+  const handleError = (fallback) => (err) => {
+    error.value = err.code === 'JETSTREAM_UNAVAILABLE' ? err.message : fallback
+    return null
+  }
+
+  /**
+   * Load account usage and the stream list
+   */
+  const fetchStreams = async () => {
+    return performOperation(
+      async () => {
+        const [accountInfo, list] = await Promise.all([
+          natsJetStreamService.getAccountInfo(),
+          natsJetStreamService.listStreams(streamFilter.value.trim())
+        ])
+        return { accountInfo, list }
+      },
+      {
+        loadingRef: streamsLoading,
+        errorRef: error,
+        errorMessage: 'Failed to load JetStream streams',
+        onError: handleError('Failed to load JetStream streams'),
+        onSuccess: ({ accountInfo, list }) => {
+          account.value = accountInfo
+          streams.value = list
+          return list
+        }
+      }
+    )
+  }
+
+  /**
+   * Select a stream and load its details and consumers
+   * @param {string} name - Stream name
+   */
+  const selectStream = async (name) => {
+    messages.value = []
+    hasMore.value = false
+    nextSeq.value = null
+    if (!name) {
+      selectedStream.value = null
+      consumers.value = []
+      return null
+    }
+
+    return performOperation(
+      async () => {
+        const [stream, consumerList] = await Promise.all([
+          natsJetStreamService.getStream(name),
+          natsJetStreamService.listConsumers(name)
+        ])
+        return { stream, consumerList }
+      },
+      {
+        loadingRef: streamLoading,
+        errorRef: error,
+        errorMessage: `Failed to load stream ${name}`,
+        onError: handleError(`Failed to load stream ${name}`),
+        onSuccess: ({ stream, consumerList }) => {
+          selectedStream.value = stream
+          consumers.value = consumerList
+          return stream
+        }
+      }
+    )
+  }
+
+  /**
+   * Fetch messages of the selected stream with the current query
+   * @param {boolean} append - Continue after the last fetched message
+   */
+  const fetchMessages = async (append = false) => {
+    if (!selectedStream.value) return null
+
+    const stream = selectedStream.value.name
+    const { mode, subject, startSeq, endSeq, startTime, endTime, limit } = query.value
+
+    return performOperation(
+      async () => {
+        if (mode === 'last') {
+          const message = await natsJetStreamService.getMessage(stream, { lastBySubject: subject.trim() })
+          return { messages: message ? [message] : [], hasMore: false, nextSeq: null }
+        }
+
+        const fetchQuery = { subject: subject.trim(), limit }
+        if (append) {
+          fetchQuery.startSeq = nextSeq.value
+        } else if (mode === 'sequence') {
+          fetchQuery.startSeq = startSeq
+        } else {
+          fetchQuery.startTime = startTime
+        }
+        if (mode === 'sequence') fetchQuery.endSeq = endSeq
+        if (mode === 'time') fetchQuery.endTime = endTime
+
+        return natsJetStreamService.fetchMessages(stream, fetchQuery)
+      },
+      {
+        loadingRef: messagesLoading,
+        errorRef: error,
+        errorMessage: 'Failed to fetch stream messages',
+        onError: handleError('Failed to fetch stream messages'),
+        onSuccess: (result) => {
+          messages.value = append ? [...messages.value, ...result.messages] : result.messages
+          hasMore.value = result.hasMore
+          nextSeq.value = result.nextSeq
+          return result
+        }
+      }
+    )
+  }
+
+  const loadMore = () => fetchMessages(true)
+
+  const resetQuery = () => {
+    query.value = { ...defaultQuery(), subject: query.value.subject }
+    messages.value = []
+    hasMore.value = false
+    nextSeq.value = null
+  }
+
+  // Load streams whenever the connection (re)opens
+  const connectionListener = (status) => {
+    const ready = status === 'connected'
+    const becameReady = ready && !connectionReady.value
+    connectionReady.value = ready
+    if (becameReady) fetchStreams()
+  }
+
+  onMounted(() => {
+    natsService.onStatusChange(connectionListener)
+    if (connectionReady.value) fetchStreams()
+  })
+
+  onUnmounted(() => {
+    natsService.removeStatusListener(connectionListener)
+  })
+
+  return {
+    connectionReady,
+    streamFilter,
+    account,
+    streams,
+    selectedStream,
+    consumers,
+    messages,
+    query,
+    hasMore,
+    streamsLoading,
+    streamLoading,
+    messagesLoading,
+    error,
+    fetchStreams,
+    selectStream,
+    fetchMessages,
+    loadMore,
+    resetQuery
+  }
+}
@@ -0,0 +1,73 @@
+// src/composables/useJsonField.js
+import { ref, watch } from 'vue'
+
+/**
+ * Composable for editing a JSON value through a textarea
+ * Keeps the text and the parsed value in sync and reports parse/validation errors
+ *
+ * @param {Function} getValue - Getter for the parsed value on the form model
+ * @param {Function} setValue - Setter for the parsed value on the form model
+ * @param {Object} options - Field options
+ * @param {any} options.emptyValue - Value used when the textarea is empty (default: null)
+ * @param {Function} options.validate - Extra validation, returns an array of error messages
+ * @returns {Object} - Text ref, error ref and validate method
+ */
+export function useJsonField(getValue, setValue, options = {}) {
+  const {
+    emptyValue = null,
+    validate: validateValue = null
+  } = options
+
+  const text = ref('')
+  const error = ref('')
+
+  /**
+   * Parse the textarea and update the form model
+   * @returns {boolean} - True if the text is valid
+   */
+  const validate = () => {
+    if (!text.value.trim()) {
+      setValue(emptyValue)
+      error.value = ''
+      return true
+    }
+
+    let parsed
+    try {
+      parsed = JSON.parse(text.value)
+    } catch (err) {
+      error.value = 'Invalid JSON format. Please check your syntax.'
+      return false
+    }
+
+    const errors = validateValue ? validateValue(parsed) : []
+    if (errors.length > 0) {
+      error.value = errors.join('. ')
+      return false
+    }
+
+    setValue(parsed)
+    error.value = ''
+    return true
+  }
+
+  // Reflect model changes (e.g. loading a record) in the textarea
+  watch(getValue, (value) => {
+    if (value === null || value === undefined) {
+      text.value = ''
+      return
+    }
+
+    try {
+      text.value = JSON.stringify(value, null, 2)
+    } catch (e) {
+      console.error('Error stringifying JSON field:', e)
+    }
+  }, { immediate: true, deep: true })
+
+  return {
+    text,
+    error,
+    validate
+  }
+}
@@ -67,6 +67,9 @@ export function useLocationForm(mode = 'create') {
   // Loading state
   const loading = ref(false)
   
+  // Path of the location as loaded, used to detect changes that must cascade to descendants
+  const originalPath = ref('')
+  
   // Define validation rules
   const rules = {
     name: { 
@@ -265,6 +268,8 @@ export function useLocationForm(mode = 'create') {
       metadata: locationData.metadata || {}
     }
     
+    originalPath.value = locationData.path || ''
+    
     // Update metadata string for the form
     updateMetadataString()
     
@@ -416,7 +421,12 @@ export function useLocationForm(mode = 'create') {
         errorRef: null,
         errorMessage: `Failed to ${mode === 'create' ? 'create' : 'update'} location`,
         successMessage: `Location ${location.value.code} has been ${mode === 'create' ? 'created' : 'updated'}`,
-        onSuccess: (response) => {
+        onSuccess: async (response) => {
+          // A new code or parent changes the path of every descendant too
+          if (mode === 'edit' && !response.queued && locationData.path !== originalPath.value) {
+            await cascadePathChange(location.value.id)
+          }
+          
           // Navigate to location detail view
           router.push({ name: 'location-detail', params: { id: response.data.id } })
           return true
@@ -426,6 +436,37 @@ export function useLocationForm(mode = 'create') {
     )
   }
   
+  /**
+   * Recompute descendant paths after the path of the edited location changed
+   * @param {string} id - Location ID
+   */
+  const cascadePathChange = async (id) => {
+    try {
+      const report = await locationService.recomputeSubtreePaths(id)
+      const descendants = report.changed.filter(change => change.id !== id)
+      originalPath.value = location.value.path
+      
+      if (descendants.length > 0) {
+        toast.add({
+          severity: 'info',
+          summary: 'Paths Updated',
+          detail: `Updated the path of ${descendants.length} descendant location(s)`,
+          life: 3000
+        })
+      }
+    } catch (error) {
+      console.error('Error updating descendant paths:', error)
+      toast.add({
+        severity: 'error',
+        summary: 'Descendant Paths Not Updated',
+        detail: error.rollbackFailed?.length
+          ? `${error.message}. ${location.value.code} was saved with its new path, but ${error.rollbackFailed.length} descendant path(s) could not be restored.`
+          : `${error.message}. ${location.value.code} was saved with its new path; its descendants kept their old paths.`,
+        life: 6000
+      })
+    }
+  }
+  
   /**
    * Reset form to initial state
    */
@@ -0,0 +1,242 @@
+// src/composables/useLocationTree.js
+import { ref, computed } from 'vue'
+import { edgeService, locationService, thingService } from '../services'
+import { useApiOperation } from './useApiOperation'
+
+/**
+ * Composable for the location hierarchy tree
+ * Edges are the top-level nodes; root locations and their children are loaded
+ * lazily when a node is expanded. Locations can be reparented by drag and drop.
+ *
+ * @returns {Object} - Tree state and actions
+ */
+export function useLocationTree() {
+  const { performOperation } = useApiOperation()
+
+  const edgeNodes = ref([])
+  const loading = ref(false)
+  const moving = ref(false)
+  const error = ref(null)
+
+  // Thing counts keyed by location ID, filled per edge when the edge is expanded
+  const thingCounts = ref({})
+
+  // Node being dragged and node currently hovered as a drop target
+  const draggedNode = ref(null)
+  const dropTargetKey = ref(null)
+
+  /**
+   * Create a tree node
+   * @param {string} type - 'edge' or 'location'
+   * @param {Object} data - Edge or location record
+   * @param {Object|null} parent - Parent node
+   * @returns {Object} - Tree node
+   */
+  const createNode = (type, data, parent = null) => ({
+    key: `${type}:${data.id}`,
+    type,
+    data,
+    parent,
+    edgeId: type === 'edge' ? data.id : data.edge_id,
+    depth: parent ? parent.depth + 1 : 0,
+    expanded: false,
+    loading: false,
+    children: null
+  })
+
+  /**
+   * Flatten expanded nodes into rows for rendering
+   */
+  const visibleRows = computed(() => {
+    const rows = []
+    const walk = (nodes) => {
+      nodes.forEach(node => {
+        rows.push(node)
+        if (node.expanded && node.children) {
+          walk(node.children)
+        }
+      })
+    }
+    walk(edgeNodes.value)
+    return rows
+  })
+
+  /**
+   * Load the edges shown as top-level nodes
+   */
+  const loadEdges = async () => {
+    return performOperation(
+      () => edgeService.getFullList({ sort: 'code' }),
+      {
+        loadingRef: loading,
+        errorRef: error,
+        errorMessage: 'Failed to load edges',
+        onSuccess: (edges) => {
+          edgeNodes.value = (edges || []).map(edge => createNode('edge', edge))
+          return edgeNodes.value
+        }
+      }
+    )
+  }
+
+  /**
+   * Load thing counts for every location of an edge
+   * @param {string} edgeId - Edge ID
+   */
+  const loadThingCounts = async (edgeId) => {
+    try {
+      const counts = await thingService.countByLocation({ edge_id: edgeId })
+      thingCounts.value = { ...thingCounts.value, ...counts }
+    } catch (err) {
+      console.warn('Failed to load thing counts:', err)
+    }
+  }
+
+  /**
+   * Load (or reload) the children of a node
+   * @param {Object} node - Tree node
+   */
+  const loadChildren = async (node) => {
+    node.loading = true
+
+    try {
+      // Every page of the level, so no child is left out however many there are
+      const locations = await locationService.getFullList(node.type === 'edge'
+        ? { edge_id: node.data.id, parent_id_empty: true, sort: 'created' }
+        : { parent_id: node.data.id, sort: 'created' })
+
+      const items = [...locations]
+        .sort((a, b) => (a.code || '').localeCompare(b.code || ''))
+
+      // Keep already loaded subtrees open when a level is refreshed
+      const previous = new Map((node.children || []).map(child => [child.key, child]))
+      node.children = items.map(item => {
+        const child = createNode('location', item, node)
+        const existing = previous.get(child.key)
+        if (existing) {
+          child.expanded = existing.expanded
+          child.children = existing.children
+          child.children?.forEach(grandchild => { grandchild.parent = child })
+        }
+        return child
+      })
+    } catch (err) {
+      console.error('Error loading child locations:', err)
+      error.value = 'Failed to load locations'
+    } finally {
+      node.loading = false
+    }
+  }
+
+  /**
+   * Expand or collapse a node, loading its children on first expand
+   * @param {Object} node - Tree node
+   */
+  const toggleNode = async (node) => {
+    node.expanded = !node.expanded
+    if (!node.expanded || node.children) return
+
+    if (node.type === 'edge') {
+      await Promise.all([loadChildren(node), loadThingCounts(node.data.id)])
+    } else {
+      await loadChildren(node)
+    }
+  }
+
+  /**
+   * Get the thing count of a location node
+   * @param {Object} node - Tree node
+   * @returns {number} - Number of things
+   */
+  const getThingCount = (node) => thingCounts.value[node.data.id] || 0
+
+  /**
+   * Check whether a node lies inside the subtree of another node
+   * Only loaded ancestors are known here; moveLocation re-checks against the server
+   * @param {Object} node - Node to test
+   * @param {Object} ancestor - Potential ancestor
+   * @returns {boolean} - True if node is ancestor or one of its descendants
+   */
+  const isWithin = (node, ancestor) => {
+    for (let current = node; current; current = current.parent) {
+      if (current === ancestor) return true
+    }
+    return false
+  }
+
+  /**
+   * Check whether the dragged location may be dropped on a node
+   * @param {Object} target - Target node (edge = make root, location = new parent)
+   * @returns {boolean} - True if the drop is allowed
+   */
+  const canDrop = (target) => {
+    const dragged = draggedNode.value
+    if (!dragged || !target) return false
+    if (target.edgeId !== dragged.edgeId) return false
+    if (dragged.parent === target) return false
+    return !isWithin(target, dragged)
+  }
+
+  const startDrag = (node) => {
+    draggedNode.value = node.type === 'location' ? node : null
+  }
+
+  const endDrag = () => {
+    draggedNode.value = null
+    dropTargetKey.value = null
+  }
+
+  /**
+   * Move a location node under a new parent node
+   * @param {Object} node - Location node to move
+   * @param {Object} target - Edge node (root level) or location node
+   * @returns {Promise<Object|null>} - Move result or null on failure
+   */
+  const moveNode = async (node, target) => {
+    const oldParent = node.parent
+    const newParentId = target.type === 'location' ? target.data.id : null
+
+    return performOperation(
+      () => locationService.moveLocation(node.data.id, newParentId),
+      {
+        loadingRef: moving,
+        errorRef: error,
+        errorMessage: `Failed to move location ${node.data.code}`,
+        successMessage: target.type === 'edge'
+          ? `Location ${node.data.code} moved to the root of ${target.data.code}`
+          : `Location ${node.data.code} moved under ${target.data.code}`,
+        collection: 'locations',
+        onError: (err) => {
+          // Surface validation errors (circular or cross-edge moves) and offline refusals as the tree error
+          if (err?.name === 'ValidationError' || err?.code === 'OFFLINE') error.value = err.message
+          return null
+        },
+        onSuccess: async (result) => {
+          // Refresh the old and new parent levels and reveal the moved location
+          await loadChildren(oldParent)
+          target.expanded = true
+          await loadChildren(target)
+          return result
+        }
+      }
+    )
+  }
+
+  return {
+    edgeNodes,
+    visibleRows,
+    loading,
+    moving,
+    error,
+    draggedNode,
+    dropTargetKey,
+    loadEdges,
+    loadChildren,
+    toggleNode,
+    getThingCount,
+    canDrop,
+    startDrag,
+    endDrag,
+    moveNode
+  }
+}
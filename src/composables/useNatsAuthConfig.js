@@ -0,0 +1,136 @@
+// src/composables/useNatsAuthConfig.js
+import { ref, computed } from 'vue'
+import { useToast } from 'primevue/usetoast'
+import { natsAuthConfigService } from '../services'
+import { useOrganizationStore } from '../stores/organization'
+import { useApiOperation } from './useApiOperation'
+import { diffLines, summarizeDiff } from '../utils/textDiffUtils'
+import { downloadFile } from '../utils/fileUtils'
+
+/**
+ * Composable for the NATS authorization config export
+ * Generates the config, diffs it against the last export of the current
+ * organization, and downloads / records new exports
+ *
+ * @returns {Object} - Config state and actions
+ */
+export function useNatsAuthConfig() {
+  const toast = useToast()
+  const { performOperation } = useApiOperation()
+  const organizationStore = useOrganizationStore()
+
+  const model = ref(null)
+  const format = ref('conf')
+  const loading = ref(false)
+  const error = ref(null)
+  const lastExport = ref(null)
+  // The model with password fingerprints, compared with the baseline of the last export
+  const baseline = ref(null)
+
+  const organizationId = computed(() => organizationStore.currentOrganization?.id || null)
+
+  // Rendered output for both formats
+  const rendered = computed(() => {
+    if (!model.value) return { conf: '', json: '' }
+    return {
+      conf: natsAuthConfigService.renderConf(model.value),
+      json: natsAuthConfigService.renderJson(model.value)
+    }
+  })
+
+  const output = computed(() => rendered.value[format.value])
+
+  const renderFormat = (source) => format.value === 'json'
+    ? natsAuthConfigService.renderJson(source)
+    : natsAuthConfigService.renderConf(source)
+
+  // Diff of the selected format against the last export (password hashes compared by fingerprint)
+  const diff = computed(() => {
+    if (!baseline.value || !lastExport.value) return []
+    return diffLines(renderFormat(lastExport.value.model), renderFormat(baseline.value))
+  })
+
+  const diffSummary = computed(() => summarizeDiff(diff.value))
+
+  const hasChanges = computed(() => {
+    if (!lastExport.value) return !!model.value
+    return diffSummary.value.added > 0 || diffSummary.value.removed > 0
+  })
+
+  /**
+   * Regenerate the config from current records
+   */
+  const generate = async () => {
+    lastExport.value = natsAuthConfigService.getLastExport(organizationId.value)
+
+    return performOperation(
+      () => natsAuthConfigService.generate(),
+      {
+        loadingRef: loading,
+        errorRef: error,
+        errorMessage: 'Failed to generate NATS authorization config',
+        onSuccess: async (result) => {
+          baseline.value = await natsAuthConfigService.toBaseline(result)
+          model.value = result
+          return result
+        }
+      }
+    )
+  }
+
+  /**
+   * Download the selected format and record it as the last export
+   */
+  const exportConfig = async () => {
+    if (!model.value) return
+
+    const isJson = format.value === 'json'
+    downloadFile(
+      output.value,
+      isJson ? 'nats-authorization.json' : 'nats-authorization.conf',
+      isJson ? 'application/json' : 'text/plain'
+    )
+
+    // The baseline renders in either format, so either can be diffed next time
+    try {
+      lastExport.value = await natsAuthConfigService.saveExport(organizationId.value, model.value)
+    } catch (err) {
+      console.error('Failed to record NATS config export:', err)
+    }
+
+    toast.add({
+      severity: 'success',
+      summary: 'Config Exported',
+      detail: `Authorization config for ${model.value.users.length} user(s) downloaded`,
+      life: 3000
+    })
+  }
+
+  /**
+   * Copy the selected format to the clipboard
+   */
+  const copyConfig = async () => {
+    try {
+      await navigator.clipboard.writeText(output.value)
+      toast.add({ severity: 'info', summary: 'Copied', detail: 'Config copied to clipboard', life: 2000 })
+    } catch (err) {
+      console.error('Failed to copy config:', err)
+      toast.add({ severity: 'error', summary: 'Error', detail: 'Failed to copy config', life: 3000 })
+    }
+  }
+
+  return {
+    model,
+    format,
+    loading,
+    error,
+    lastExport,
+    output,
+    diff,
+    diffSummary,
+    hasChanges,
+    generate,
+    exportConfig,
+    copyConfig
+  }
+}
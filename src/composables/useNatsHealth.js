@@ -0,0 +1,94 @@
+// src/composables/useNatsHealth.js
+import { ref, computed, onMounted, onUnmounted } from 'vue'
+import { natsConfigService } from '../services'
+import natsService from '../services/nats/natsService'
+import natsConnectionManager from '../services/nats/natsConnectionManager'
+
+/**
+ * Composable for the health of the NATS connection
+ * Polls round-trip time, server details and subscription counters while mounted
+ * and tracks the reconnect backoff of the client
+ *
+ * @param {Object} options - Options
+ * @param {number} options.interval - Polling interval in ms
+ * @returns {Object} - Health state and actions
+ */
+export function useNatsHealth({ interval = 5000 } = {}) {
+  const health = ref(null)
+  const reconnect = ref(natsConnectionManager.getReconnectState())
+  const status = ref(natsService.status)
+  const loading = ref(false)
+  const now = ref(Date.now())
+
+  let pollTimer = null
+  let clockTimer = null
+
+  /**
+   * Measure the connection now
+   */
+  const refresh = async () => {
+    if (loading.value) return
+
+    loading.value = true
+    try {
+      health.value = await natsService.getHealth()
+      reconnect.value = natsConnectionManager.getReconnectState()
+    } finally {
+      loading.value = false
+    }
+  }
+
+  const statusListener = (nextStatus) => {
+    status.value = nextStatus
+    refresh()
+  }
+
+  // Seconds until the client's next reconnect attempt
+  const nextReconnectIn = computed(() => {
+    const nextAt = reconnect.value.nextAttemptAt
+    if (!nextAt) return null
+    return Math.max(0, Math.ceil((new Date(nextAt).getTime() - now.value) / 1000))
+  })
+
+  const connectedFor = computed(() => {
+    const connectedAt = health.value?.connectedAt
+    if (!connectedAt) return null
+    return Math.max(0, Math.floor((now.value - new Date(connectedAt).getTime()) / 1000))
+  })
+
+  /**
+   * Connect again after the client gave up reconnecting
+   * @returns {Promise<boolean>} - Connection success
+   */
+  const reconnectNow = async () => {
+    const connected = await natsConnectionManager.connect(natsConfigService.getConfig())
+    await refresh()
+    return connected
+  }
+
+  onMounted(() => {
+    natsService.onStatusChange(statusListener)
+    pollTimer = setInterval(refresh, interval)
+    clockTimer = setInterval(() => {
+      now.value = Date.now()
+      reconnect.value = natsConnectionManager.getReconnectState()
+    }, 1000)
+  })
+
+  onUnmounted(() => {
+    natsService.removeStatusListener(statusListener)
+    clearInterval(pollTimer)
+    clearInterval(clockTimer)
+  })
+
+  return {
+    health,
+    reconnect,
+    status,
+    loading,
+    nextReconnectIn,
+    connectedFor,
+    refresh,
+    reconnectNow
+  }
+}
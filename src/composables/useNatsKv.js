@@ -0,0 +1,239 @@
+// src/composables/useNatsKv.js
+import { ref, onMounted, onUnmounted } from 'vue'
+import { natsService, natsKvService } from '../services'
+import { useApiOperation } from './useApiOperation'
+
+/**
+ * Composable for browsing NATS KV buckets
+ * Lists buckets and keys, shows a key's value and history, and can
+ * watch the filtered keys for live changes
+ *
+ * @returns {Object} - KV browser state and actions
+ */
+export function useNatsKv() {
+  const { performOperation } = useApiOperation()
+
+  const connectionReady = ref(natsService.isConnected())
+
+  const buckets = ref([])
+  const selectedBucket = ref(null)
+  const keyFilter = ref('>')
+  const keys = ref([])
+  const selectedKey = ref(null)
+  const entry = ref(null)
+  const history = ref([])
+
+  // Live watch state
+  const watching = ref(false)
+  const changedKeys = ref(new Set())
+  let watcher = null
+
+  const bucketsLoading = ref(false)
+  const keysLoading = ref(false)
+  const entryLoading = ref(false)
+  const error = ref(null)
+
+  const handleError = (fallback) => (err) => {
+    error.value = err.code === 'JETSTREAM_UNAVAILABLE' ? err.message : fallback
+    return null
+  }
+
+  /**
+   * Load the bucket list
+   */
+  const fetchBuckets = async () => {
+    return performOperation(
+      () => natsKvService.listBuckets(),
+      {
+        loadingRef: bucketsLoading,
+        errorRef: error,
+        errorMessage: 'Failed to load KV buckets',
+        onError: handleError('Failed to load KV buckets'),
+        onSuccess: (list) => {
+          buckets.value = list
+          return list
+        }
+      }
+    )
+  }
+
+  /**
+   * Load the keys of the selected bucket matching the key filter
+   */
+  const fetchKeys = async () => {
+    if (!selectedBucket.value) return null
+
+    return performOperation(
+      () => natsKvService.listKeys(selectedBucket.value, keyFilter.value.trim() || '>'),
+      {
+        loadingRef: keysLoading,
+        errorRef: error,
+        errorMessage: 'Failed to load keys',
+        onSuccess: (list) => {
+          keys.value = list
+          return list
+        }
+      }
+    )
+  }
+
+  /**
+   * Select a bucket and load its keys
+   * @param {string} name - Bucket name
+   */
+  const selectBucket = async (name) => {
+    stopWatch()
+    selectedBucket.value = name
+    selectedKey.value = null
+    entry.value = null
+    history.value = []
+    keys.value = []
+    if (!name) return null
+
+    return fetchKeys()
+  }
+
+  /**
+   * Select a key and load its current value and history
+   * @param {string} key - Key
+   */
+  const selectKey = async (key) => {
+    selectedKey.value = key
+    entry.value = null
+    history.value = []
+    if (!key) return null
+
+    const bucket = selectedBucket.value
+    return performOperation(
+      async () => {
+        const [current, revisions] = await Promise.all([
+          natsKvService.getEntry(bucket, key),
+          natsKvService.getHistory(bucket, key)
+        ])
+        return { current, revisions }
+      },
+      {
+        loadingRef: entryLoading,
+        errorRef: error,
+        errorMessage: `Failed to load key ${key}`,
+        onSuccess: ({ current, revisions }) => {
+          // Ignore responses for a key that is no longer selected
+          if (selectedKey.value !== key) return null
+          entry.value = current
+          history.value = revisions
+          return current
+        }
+      }
+    )
+  }
+
+  /**
+   * Apply a watched change to the key list and the selected key
+   * @param {Object} change - KV entry
+   * @param {Object} meta - { initial }
+   */
+  const handleChange = (change, { initial }) => {
+    if (initial) return
+
+    if (change.deleted) {
+      keys.value = keys.value.filter(key => key !== change.key)
+    } else if (!keys.value.includes(change.key)) {
+      keys.value = [...keys.value, change.key].sort()
+    }
+    changedKeys.value = new Set(changedKeys.value).add(change.key)
+
+    if (change.key === selectedKey.value) {
+      entry.value = change
+      history.value = [change, ...history.value]
+    }
+  }
+
+  /**
+   * Watch the keys matching the filter for live changes
+   */
+  const startWatch = async () => {
+    if (!selectedBucket.value || watching.value) return
+
+    try {
+      changedKeys.value = new Set()
+      watcher = await natsKvService.watch(
+        selectedBucket.value,
+        keyFilter.value.trim() || '>',
+        handleChange,
+        () => {
+          watching.value = false
+          watcher = null
+          error.value = 'Watching the bucket stopped unexpectedly'
+        }
+      )
+      watching.value = true
+    } catch (err) {
+      console.error('Error watching KV bucket:', err)
+      error.value = 'Failed to watch the bucket'
+    }
+  }
+
+  const stopWatch = () => {
+    if (watcher) {
+      watcher.stop()
+      watcher = null
+    }
+    watching.value = false
+  }
+
+  /**
+   * Reload keys with the current filter, restarting an active watch
+   */
+  const applyKeyFilter = async () => {
+    const wasWatching = watching.value
+    stopWatch()
+    await fetchKeys()
+    if (wasWatching) await startWatch()
+  }
+
+  // Reload when the connection (re)opens; watches end with the old connection
+  const connectionListener = (status) => {
+    const ready = status === 'connected'
+    const becameReady = ready && !connectionReady.value
+    connectionReady.value = ready
+    if (!ready) stopWatch()
+    if (becameReady) {
+      fetchBuckets()
+      fetchKeys()
+    }
+  }
+
+  onMounted(() => {
+    natsService.onStatusChange(connectionListener)
+    if (connectionReady.value) fetchBuckets()
+  })
+
+  onUnmounted(() => {
+    natsService.removeStatusListener(connectionListener)
+    stopWatch()
+  })
+
+  return {
+    connectionReady,
+    buckets,
+    selectedBucket,
+    keyFilter,
+    keys,
+    selectedKey,
+    entry,
+    history,
+    watching,
+    changedKeys,
+    bucketsLoading,
+    keysLoading,
+    entryLoading,
+    error,
+    fetchBuckets,
+    fetchKeys,
+    selectBucket,
+    selectKey,
+    startWatch,
+    stopWatch,
+    applyKeyFilter
+  }
+}
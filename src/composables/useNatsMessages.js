@@ -3,6 +3,8 @@ import { ref, computed, onMounted, onUnmounted, watch, nextTick } from 'vue'
 import { useToast } from 'primevue/usetoast'
 import natsService from '../services/nats/natsService'
 import { natsConfigService } from '../services/nats/natsConfigService'
+import { natsRecordingService } from '../services/nats/natsRecordingService'
+import { natsDecoderService } from '../services/nats/natsDecoderService'
 import { useApiOperation } from './useApiOperation'
 import { useOrganizationStore } from '../stores/organization'
 
@@ -45,10 +47,19 @@ export function useNatsMessages(options = {}) {
   const connectionReady = ref(natsService.isConnected());
   const activeSpecificTopic = ref(specificTopic);
   
+  // Recording and replay state
+  const recording = ref(null);
+  const replaying = ref(false);
+  const replayProgress = ref({ sent: 0, total: 0 });
+  let replayController = null;
+  
   // Pagination state
   const paginatedMessagesCache = ref([]);
   const lastRefreshKey = ref('');
 
+  // Message handlers by topic, needed to detach from shared subscriptions
+  const handlers = {};
+
   // Batching variables to improve performance
   let messageQueue = [];
   let processingTimer = null;
@@ -99,20 +110,7 @@ export function useNatsMessages(options = {}) {
       const newMessages = [...messageQueue];
       messageQueue = []; // Clear the queue
       
-      // Add new messages at the start (newest first)
-      // and ensure we stay within the limit
-      messages.value = [...newMessages.reverse(), ...messages.value].slice(0, maxMessages);
-      
-      // Only refresh pagination if we're on the first page
-      // This prevents UI jumps when viewing historical data
-      if (currentPage.value === 1 && !paused.value) {
-        refreshPaginatedMessages(true);
-      }
-      
-      // Debug count
-      if (process.env.NODE_ENV !== 'production') {
-        console.debug(`NATS messages (${namespace}): ${messages.value.length}/${maxMessages}`);
-      }
+      addMessages(newMessages);
     } finally {
       isProcessing = false;
       
@@ -123,6 +121,25 @@ export function useNatsMessages(options = {}) {
     }
   };
   
+  /**
+   * Add messages to the list (newest first), staying within the limit
+   * @param {Array<Object>} newMessages - Messages in arrival order
+   */
+  const addMessages = (newMessages) => {
+    messages.value = [...newMessages.reverse(), ...messages.value].slice(0, maxMessages);
+    
+    // Only refresh pagination if we're on the first page
+    // This prevents UI jumps when viewing historical data
+    if (currentPage.value === 1) {
+      refreshPaginatedMessages(true);
+    }
+    
+    // Debug count
+    if (process.env.NODE_ENV !== 'production') {
+      console.debug(`NATS messages (${namespace}): ${messages.value.length}/${maxMessages}`);
+    }
+  };
+  
   /**
    * Schedule message processing with intelligent timing
    * @param {number} delay - Delay in milliseconds
@@ -171,20 +188,34 @@ export function useNatsMessages(options = {}) {
     }
     
     try {
-      // Subscribe to the topic
-      const subscription = await natsService.subscribe(topic, (message, subject) => {
-        // Queue message for processing
-        queueMessage({
+      // Handler that queues each received message for processing
+      const handler = (message, subject, subscriptionId, meta = {}) => {
+        const entry = {
           id: generateMessageId(),
           topic: subject,
           data: message,
-          timestamp: new Date()
-        });
-      });
+          timestamp: new Date(),
+          // Raw bytes allow switching the decoder per message
+          raw: meta.raw || null,
+          decoder: meta.decoder || 'auto',
+          decodeError: meta.decodeError || null
+        };
+        
+        // Recording continues while the feed is paused
+        if (recording.value && natsRecordingService.record(recording.value.id, entry)) {
+          recording.value.messageCount++;
+        }
+        
+        queueMessage(entry);
+      };
+      
+      // Subscribe to the topic
+      const subscription = await natsService.subscribe(topic, handler);
       
       if (subscription) {
-        // Store subscription
+        // Store subscription and its handler
         subscriptions.value[topic] = subscription;
+        handlers[topic] = handler;
         isSubscribed.value = true;
         
         if (process.env.NODE_ENV !== 'production') {
@@ -211,11 +242,12 @@ export function useNatsMessages(options = {}) {
     if (!subscription) return true;
     
     try {
-      // Perform NATS unsubscribe
-      await natsService.unsubscribe(subscription);
+      // Perform NATS unsubscribe (only detaches our handler if the subscription is shared)
+      await natsService.unsubscribe(subscription, handlers[topic]);
       
       // Remove from subscriptions
       delete subscriptions.value[topic];
+      delete handlers[topic];
       
       if (process.env.NODE_ENV !== 'production') {
         console.debug(`Unsubscribed from ${topic} (${namespace})`);
@@ -352,6 +384,27 @@ export function useNatsMessages(options = {}) {
     }
   };
   
+  /**
+   * Decode a received message again with another decoder
+   * Messages without raw bytes (recorded before bytes were kept) keep their data
+   * @param {Object} message - Feed message
+   * @param {string} decoderId - Decoder id (see natsDecoderService.getDecoders())
+   * @returns {boolean} - True if the message was decoded
+   */
+  const decodeMessageAs = (message, decoderId) => {
+    if (!message.raw) return false;
+    
+    try {
+      message.data = natsDecoderService.decode(message.raw, decoderId);
+      message.decodeError = null;
+    } catch (decodeError) {
+      message.data = natsDecoderService.decode(message.raw, 'hex');
+      message.decodeError = `${decoderId}: ${decodeError.message}`;
+    }
+    message.decoder = decoderId;
+    return !message.decodeError;
+  };
+  
   /**
    * Format message data for display
    * @param {any} data - Message data
@@ -585,6 +638,117 @@ export function useNatsMessages(options = {}) {
     }
   };
   
+  /**
+   * Start recording received messages to IndexedDB
+   * @param {Object} recordingOptions - Recording options
+   * @param {string} recordingOptions.name - Recording name
+   * @param {string} recordingOptions.subjectFilter - Only record subjects matching this pattern
+   * @returns {Promise<Object|null>} - Recording or null on failure
+   */
+  const startRecording = async ({ name = '', subjectFilter = '' } = {}) => {
+    if (recording.value) return recording.value;
+    
+    try {
+      recording.value = await natsRecordingService.startRecording({
+        name,
+        subjectFilter,
+        topics: [...topics.value],
+        organizationId: organizationStore.currentOrganization?.id || null
+      });
+      return recording.value;
+    } catch (err) {
+      console.error(`Failed to start recording (${namespace}):`, err);
+      error.value = 'Failed to start recording';
+      if (showToasts) {
+        toast.add({
+          severity: 'error',
+          summary: 'Recording Failed',
+          detail: 'Messages cannot be stored in this browser',
+          life: 5000
+        });
+      }
+      return null;
+    }
+  };
+  
+  /**
+   * Stop the current recording
+   * @returns {Promise<Object|null>} - Finished recording
+   */
+  const stopRecording = async () => {
+    if (!recording.value) return null;
+    
+    const { id } = recording.value;
+    recording.value = null;
+    const finished = await natsRecordingService.stopRecording(id);
+    
+    if (finished && showToasts) {
+      toast.add({
+        severity: 'success',
+        summary: 'Recording Saved',
+        detail: `${finished.messageCount} message(s) recorded`,
+        life: 3000
+      });
+    }
+    
+    return finished;
+  };
+  
+  /**
+   * Replay a recording into this feed with its original timing
+   * Replayed messages are shown even while the live stream is paused
+   * @param {string} recordingId - Recording ID
+   * @param {Object} replayOptions - Filters ({ subject, from, to }) and timing ({ speed, rate })
+   * @returns {Promise<number>} - Number of messages replayed
+   */
+  const replayRecording = async (recordingId, replayOptions = {}) => {
+    stopReplay();
+    
+    const { subject, from, to, ...timing } = replayOptions;
+    let recorded;
+    try {
+      recorded = await natsRecordingService.getMessages(recordingId, { subject, from, to });
+    } catch (err) {
+      console.error(`Failed to load recording (${namespace}):`, err);
+      error.value = 'Failed to load recording';
+      return 0;
+    }
+
+    replaying.value = true;
+    replayProgress.value = { sent: 0, total: recorded.length };
+    
+    replayController = natsRecordingService.replay(recorded, {
+      ...timing,
+      onMessage: (message) => addMessages([{
+        id: generateMessageId(),
+        topic: message.subject,
+        data: message.data,
+        timestamp: new Date(message.timestamp),
+        // Recorded bytes can be decoded again like live messages
+        raw: natsRecordingService.getBytes(message),
+        decoder: message.decoder || 'auto',
+        replayed: true
+      }]),
+      onProgress: (sent, total) => {
+        replayProgress.value = { sent, total };
+      }
+    });
+    
+    try {
+      return await replayController.promise;
+    } finally {
+      replaying.value = false;
+      replayController = null;
+    }
+  };
+  
+  // Stop a running replay
+  const stopReplay = () => {
+    if (replayController) {
+      replayController.stop();
+    }
+  };
+  
   // Reset all state to initial values
   const reset = () => {
     messages.value = [];
@@ -662,6 +826,13 @@ export function useNatsMessages(options = {}) {
       clearTimeout(processingTimer);
     }
     
+    // Finish the recording so buffered messages are written
+    stopReplay();
+    if (recording.value) {
+      natsRecordingService.stopRecording(recording.value.id);
+      recording.value = null;
+    }
+    
     // Unsubscribe from all topics and reset state
     unsubscribeFromAllTopics().then(() => {
       reset();
@@ -681,6 +852,9 @@ export function useNatsMessages(options = {}) {
     error,
     isSubscribed,
     connectionReady,
+    recording,
+    replaying,
+    replayProgress,
     
     // Methods
     subscribe,
@@ -692,10 +866,15 @@ export function useNatsMessages(options = {}) {
     formatMessageData,
     extractPayload,
     formatTimestamp,
+    decodeMessageAs,
     goToPage,
     nextPage,
     prevPage,
     reset,
-    updateSpecificTopic
+    updateSpecificTopic,
+    startRecording,
+    stopRecording,
+    replayRecording,
+    stopReplay
   };
 }
@@ -0,0 +1,178 @@
+// src/composables/useNatsProfiles.js
+import { ref, computed, watch } from 'vue'
+import { useToast } from 'primevue/usetoast'
+import { natsConfigService, natsCredentialsService } from '../services'
+import natsConnectionManager from '../services/nats/natsConnectionManager'
+import { useOrganizationStore } from '../stores/organization'
+import { downloadFile, readFileAsText } from '../utils/fileUtils'
+
+/**
+ * Composable for the NATS connection profiles of the current organization
+ * Lists, switches, creates, renames and deletes profiles and imports / exports them as JSON
+ *
+ * @returns {Object} - Profiles state and actions
+ */
+export function useNatsProfiles() {
+  const toast = useToast()
+  const organizationStore = useOrganizationStore()
+
+  const profiles = ref([])
+  const activeProfileId = ref(null)
+  const switching = ref(false)
+
+  const activeProfile = computed(() =>
+    profiles.value.find(profile => profile.id === activeProfileId.value) || null
+  )
+
+  /**
+   * Reload the profiles of the current organization
+   */
+  const loadProfiles = () => {
+    profiles.value = natsConfigService.getProfiles()
+    activeProfileId.value = natsConfigService.getActiveProfileId()
+  }
+
+  /**
+   * Make a profile active, reconnecting if a connection is open
+   * @param {string} profileId - Profile id
+   * @returns {Promise<boolean>} - Whether a connection with the profile was made
+   */
+  const switchProfile = async (profileId) => {
+    if (profileId === activeProfileId.value) return false
+
+    switching.value = true
+    try {
+      const connected = await natsConnectionManager.switchProfile(profileId)
+      loadProfiles()
+      toast.add({
+        severity: 'info',
+        summary: 'Profile Switched',
+        detail: `Using NATS profile ${activeProfile.value?.name}`,
+        life: 3000
+      })
+      return connected
+    } finally {
+      switching.value = false
+    }
+  }
+
+  /**
+   * Create a profile and make it active
+   * An open connection is closed so the new profile can be filled in first
+   * @param {string} name - Profile name
+   * @param {Object} settings - Settings to start from (e.g. a copy of another profile)
+   * @returns {Promise<Object>} - Created profile
+   */
+  const createProfile = async (name, settings = {}) => {
+    // Stored credentials belong to the original profile and are not copied
+    const { id, credentials, ...copied } = settings
+    const profile = natsConfigService.createProfile({ ...copied, name })
+
+    if (natsConnectionManager.isConnected()) {
+      await natsConnectionManager.disconnect()
+    }
+    natsConfigService.setActiveProfile(profile.id)
+    loadProfiles()
+    return profile
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} profileId - Profile id
+   * @param {string} name - New name
+   */
+  const renameProfile = (profileId, name) => {
+    natsConfigService.updateProfile(profileId, {
+      name: natsConfigService.uniqueProfileName(name, profileId)
+    })
+    loadProfiles()
+  }
+
+  /**
+   * Delete a profile and its stored credentials
+   * @param {string} profileId - Profile id
+   * @returns {Promise<boolean>} - Whether the profile was deleted
+   */
+  const deleteProfile = async (profileId) => {
+    const wasActive = profileId === activeProfileId.value
+    try {
+      natsConfigService.deleteProfile(profileId)
+    } catch (err) {
+      toast.add({ severity: 'error', summary: 'Error', detail: err.message, life: 4000 })
+      return false
+    }
+
+    await natsCredentialsService.clearCredentials(profileId).catch(() => {})
+
+    // The first remaining profile became active
+    if (wasActive) {
+      await natsConnectionManager.connectActiveProfile()
+    }
+    loadProfiles()
+    return true
+  }
+
+  /**
+   * Download the profiles of the current organization as JSON
+   */
+  const exportProfiles = () => {
+    const code = organizationStore.currentOrganizationCode
+    downloadFile(natsConfigService.exportProfiles(), `nats-profiles-${code}.json`, 'application/json')
+
+    toast.add({
+      severity: 'success',
+      summary: 'Profiles Exported',
+      detail: `${profiles.value.length} profile(s) exported without passwords, tokens or credentials`,
+      life: 4000
+    })
+  }
+
+  /**
+   * Import profiles from a JSON export into the current organization
+   * @param {File} file - JSON file
+   * @returns {Promise<Array>} - Imported profiles
+   */
+  const importProfiles = async (file) => {
+    try {
+      const imported = natsConfigService.importProfiles(await readFileAsText(file))
+      loadProfiles()
+      toast.add({
+        severity: 'success',
+        summary: 'Profiles Imported',
+        detail: `${imported.length} profile(s) imported. Enter their passwords, tokens or credentials before connecting`,
+        life: 5000
+      })
+      return imported
+    } catch (err) {
+      toast.add({
+        severity: 'error',
+        summary: 'Import Failed',
+        detail: err.message,
+        life: 5000
+      })
+      return []
+    }
+  }
+
+  // The connection manager switches the connection; reload the list for the new organization
+  watch(() => organizationStore.currentOrganization?.id, loadProfiles)
+
+  loadProfiles()
+
+  return {
+    // State
+    profiles,
+    activeProfileId,
+    activeProfile,
+    switching,
+
+    // Actions
+    loadProfiles,
+    switchProfile,
+    createProfile,
+    renameProfile,
+    deleteProfile,
+    exportProfiles,
+    importProfiles
+  }
+}
@@ -0,0 +1,307 @@
+// src/composables/useNatsRecordings.js
+import { ref, computed, watch, onMounted, onUnmounted } from 'vue'
+import { useToast } from 'primevue/usetoast'
+import { natsService, natsRecordingService } from '../services'
+import { useOrganizationStore } from '../stores/organization'
+import { useApiOperation } from './useApiOperation'
+import { downloadFile, readFileAsText } from '../utils/fileUtils'
+
+/**
+ * Replay timing choices shared by the recordings view and the message feed
+ * `speed` keeps the recorded gaps (scaled), `rate` sends at a fixed pace
+ */
+export const REPLAY_TIMINGS = [
+  { value: 'original', label: 'Original timing', timing: { speed: 1 } },
+  { value: 'fast-2', label: '2× speed', timing: { speed: 2 } },
+  { value: 'fast-10', label: '10× speed', timing: { speed: 10 } },
+  { value: 'rate-1', label: '1 msg/s', timing: { rate: 1 } },
+  { value: 'rate-10', label: '10 msg/s', timing: { rate: 10 } },
+  { value: 'rate-100', label: '100 msg/s', timing: { rate: 100 } }
+]
+
+/**
+ * Get the replay options of a timing choice
+ * @param {string} value - REPLAY_TIMINGS value
+ * @returns {Object} - { speed } or { rate }
+ */
+export function getReplayTiming(value) {
+  return (REPLAY_TIMINGS.find(option => option.value === value) || REPLAY_TIMINGS[0]).timing
+}
+
+/**
+ * Composable for stored NATS feed recordings
+ * Lists the recordings of the current organization, filters their messages,
+ * exports / imports NDJSON and republishes recordings to NATS
+ *
+ * @returns {Object} - Recordings state and actions
+ */
+export function useNatsRecordings() {
+  const toast = useToast()
+  const { performOperation } = useApiOperation()
+  const organizationStore = useOrganizationStore()
+
+  const recordings = ref([])
+  const selected = ref(null)
+  const messages = ref([])
+  const loading = ref(false)
+  const messagesLoading = ref(false)
+  const error = ref(null)
+
+  // Message filters of the selected recording
+  const filters = ref({ subject: '', from: null, to: null })
+
+  // Republish state
+  const publishing = ref(false)
+  const publishProgress = ref({ sent: 0, total: 0 })
+  let publishController = null
+
+  const organizationId = computed(() => organizationStore.currentOrganization?.id || null)
+  const available = natsRecordingService.isAvailable()
+
+  /**
+   * Load the recordings of the current organization
+   */
+  const fetchRecordings = async () => {
+    return performOperation(
+      () => natsRecordingService.listRecordings(organizationId.value),
+      {
+        loadingRef: loading,
+        errorRef: error,
+        errorMessage: 'Failed to load recordings',
+        onSuccess: (result) => {
+          recordings.value = result
+          // Keep the selection pointing at the fresh record
+          if (selected.value) {
+            selected.value = result.find(recording => recording.id === selected.value.id) || null
+          }
+          return result
+        }
+      }
+    )
+  }
+
+  /**
+   * Load the messages of the selected recording with the current filters
+   */
+  const fetchMessages = async () => {
+    if (!selected.value) {
+      messages.value = []
+      return []
+    }
+
+    return performOperation(
+      () => natsRecordingService.getMessages(selected.value.id, filters.value),
+      {
+        loadingRef: messagesLoading,
+        errorRef: error,
+        errorMessage: 'Failed to load recorded messages',
+        onSuccess: (result) => {
+          messages.value = result
+          return result
+        }
+      }
+    )
+  }
+
+  /**
+   * Select a recording and load its messages
+   * @param {Object|null} recording - Recording to select
+   */
+  const selectRecording = async (recording) => {
+    stopPublishing()
+    selected.value = recording
+    filters.value = { subject: '', from: null, to: null }
+    return fetchMessages()
+  }
+
+  const clearFilters = () => {
+    filters.value = { subject: '', from: null, to: null }
+    return fetchMessages()
+  }
+
+  /**
+   * Rename a recording
+   * @param {Object} recording - Recording
+   * @param {string} name - New name
+   */
+  const renameRecording = async (recording, name) => {
+    if (!name?.trim() || name === recording.name) return null
+
+    return performOperation(
+      () => natsRecordingService.renameRecording(recording.id, name.trim()),
+      {
+        errorMessage: 'Failed to rename recording',
+        onSuccess: (updated) => {
+          recordings.value = recordings.value.map(item => item.id === updated.id ? updated : item)
+          if (selected.value?.id === updated.id) selected.value = updated
+          return updated
+        }
+      }
+    )
+  }
+
+  /**
+   * Delete a recording and its messages
+   * @param {Object} recording - Recording
+   * @returns {Promise<boolean>} - Success status
+   */
+  const deleteRecording = async (recording) => {
+    const result = await performOperation(
+      () => natsRecordingService.deleteRecording(recording.id),
+      {
+        errorMessage: 'Failed to delete recording',
+        successMessage: `Recording "${recording.name}" deleted`,
+        onSuccess: () => {
+          recordings.value = recordings.value.filter(item => item.id !== recording.id)
+          if (selected.value?.id === recording.id) {
+            selected.value = null
+            messages.value = []
+          }
+          return true
+        }
+      }
+    )
+    return !!result
+  }
+
+  /**
+   * Download the filtered messages of the selected recording as NDJSON
+   */
+  const exportRecording = () => {
+    if (!selected.value) return
+
+    const filename = `${selected.value.name.replace(/[^a-z0-9-_]+/gi, '-').toLowerCase() || 'recording'}.ndjson`
+    downloadFile(
+      natsRecordingService.toNdjson(selected.value, messages.value),
+      filename,
+      'application/x-ndjson'
+    )
+
+    toast.add({
+      severity: 'success',
+      summary: 'Recording Exported',
+      detail: `${messages.value.length} message(s) exported`,
+      life: 3000
+    })
+  }
+
+  /**
+   * Import an NDJSON file as a new recording
+   * @param {File} file - NDJSON file
+   */
+  const importRecording = async (file) => {
+    return performOperation(
+      async () => {
+        const text = await readFileAsText(file)
+        return natsRecordingService.importNdjson(text, {
+          organizationId: organizationId.value,
+          name: file.name.replace(/\.(nd)?jsonl?$/i, '')
+        })
+      },
+      {
+        loadingRef: loading,
+        errorMessage: 'Failed to import recording',
+        onSuccess: async ({ recording, skipped }) => {
+          toast.add({
+            severity: skipped > 0 ? 'warn' : 'success',
+            summary: 'Recording Imported',
+            detail: skipped > 0
+              ? `${recording.messageCount} message(s) imported, ${skipped} invalid line(s) skipped`
+              : `${recording.messageCount} message(s) imported`,
+            life: 4000
+          })
+          await fetchRecordings()
+          await selectRecording(recordings.value.find(item => item.id === recording.id) || recording)
+          return recording
+        }
+      }
+    )
+  }
+
+  /**
+   * Republish the filtered messages of the selected recording to NATS
+   * @param {Object} options - Timing options ({ speed } for original timing or { rate } in msg/s)
+   * @returns {Promise<number>} - Number of messages published
+   */
+  const republish = async (options = {}) => {
+    if (!selected.value || messages.value.length === 0) return 0
+
+    if (!natsService.isConnected()) {
+      toast.add({
+        severity: 'error',
+        summary: 'Not Connected',
+        detail: 'Connect to NATS before republishing a recording',
+        life: 4000
+      })
+      return 0
+    }
+
+    stopPublishing()
+    publishing.value = true
+    publishProgress.value = { sent: 0, total: messages.value.length }
+
+    publishController = natsRecordingService.replay(messages.value, {
+      ...options,
+      // The recorded bytes go out unchanged; recordings without them fall back to the decoded payload
+      onMessage: (message) => natsService.publish(message.subject, natsRecordingService.getBytes(message) ?? message.data, { raw: true }),
+      onProgress: (sent, total) => {
+        publishProgress.value = { sent, total }
+      }
+    })
+
+    try {
+      const sent = await publishController.promise
+      toast.add({
+        severity: 'success',
+        summary: 'Replay Finished',
+        detail: `${sent} of ${messages.value.length} message(s) published`,
+        life: 3000
+      })
+      return sent
+    } finally {
+      publishing.value = false
+      publishController = null
+    }
+  }
+
+  const stopPublishing = () => {
+    if (publishController) {
+      publishController.stop()
+    }
+  }
+
+  // Organization switch: show that organization's recordings
+  watch(organizationId, () => {
+    selectRecording(null)
+    fetchRecordings()
+  })
+
+  onMounted(() => {
+    if (available) fetchRecordings()
+  })
+
+  onUnmounted(stopPublishing)
+
+  return {
+    available,
+    recordings,
+    selected,
+    messages,
+    filters,
+    loading,
+    messagesLoading,
+    error,
+    publishing,
+    publishProgress,
+    fetchRecordings,
+    fetchMessages,
+    selectRecording,
+    clearFilters,
+    renameRecording,
+    deleteRecording,
+    exportRecording,
+    importRecording,
+    republish,
+    stopPublishing
+  }
+}
@@ -0,0 +1,141 @@
+// src/composables/useOutbox.js
+import { ref, computed, onMounted, onBeforeUnmount } from 'vue'
+import { useToast } from 'primevue/usetoast'
+import outboxService from '../services/offline/outboxService'
+
+/**
+ * Composable for the offline outbox
+ * Exposes queued mutations reactively and wraps replay / conflict resolution with toasts
+ *
+ * @returns {Object} - Outbox state and actions
+ */
+export function useOutbox() {
+  const toast = useToast()
+
+  const entries = ref([])
+  const online = ref(outboxService.online)
+  const replaying = ref(false)
+  const busyEntryId = ref(null)
+
+  const pendingEntries = computed(() => entries.value.filter(entry => entry.status === 'pending'))
+  const failedEntries = computed(() => entries.value.filter(entry => entry.status === 'failed'))
+  const conflictEntries = computed(() => entries.value.filter(entry => entry.status === 'conflict'))
+  const hasEntries = computed(() => entries.value.length > 0)
+
+  const handleChange = (state) => {
+    entries.value = state.entries
+    online.value = state.online
+    replaying.value = state.replaying
+  }
+
+  /**
+   * Replay all pending entries now
+   */
+  const syncNow = async () => {
+    const result = await outboxService.replay()
+
+    if (result.synced > 0) {
+      toast.add({
+        severity: 'success',
+        summary: 'Changes Synced',
+        detail: `${result.synced} offline change(s) saved`,
+        life: 3000
+      })
+    }
+    if (result.conflicts > 0) {
+      toast.add({
+        severity: 'warn',
+        summary: 'Conflicts Found',
+        detail: `${result.conflicts} change(s) conflict with newer server data`,
+        life: 5000
+      })
+    }
+    if (result.failed > 0) {
+      toast.add({
+        severity: 'error',
+        summary: 'Sync Failed',
+        detail: `${result.failed} change(s) were rejected by the server`,
+        life: 5000
+      })
+    }
+
+    return result
+  }
+
+  /**
+   * Retry a single failed entry
+   * @param {Object} entry - Outbox entry
+   */
+  const retryEntry = async (entry) => {
+    busyEntryId.value = entry.id
+    try {
+      const status = await outboxService.retry(entry.id)
+      if (status === 'synced') {
+        toast.add({ severity: 'success', summary: 'Change Synced', detail: `${entry.label} saved`, life: 3000 })
+      }
+      return status
+    } finally {
+      busyEntryId.value = null
+    }
+  }
+
+  /**
+   * Resolve a conflict or drop a queued change
+   * @param {Object} entry - Outbox entry
+   * @param {string} resolution - 'overwrite' or 'discard'
+   */
+  const resolveEntry = async (entry, resolution) => {
+    busyEntryId.value = entry.id
+    try {
+      const status = await outboxService.resolveConflict(entry.id, resolution)
+      if (status === 'synced') {
+        toast.add({ severity: 'success', summary: 'Change Synced', detail: `${entry.label} saved over the server version`, life: 3000 })
+      } else if (status === 'discarded') {
+        toast.add({ severity: 'info', summary: 'Change Discarded', detail: `Local change to ${entry.label} was dropped`, life: 3000 })
+      }
+      return status
+    } finally {
+      busyEntryId.value = null
+    }
+  }
+
+  /**
+   * List the fields an entry changes, with the local and server values
+   * @param {Object} entry - Outbox entry
+   * @returns {Array<Object>} - { field, local, server }
+   */
+  const getChangedFields = (entry) => {
+    if (!entry.data) return []
+
+    return Object.keys(entry.data)
+      .filter(field => !['id', 'organization_id', 'created', 'updated'].includes(field))
+      .map(field => ({
+        field,
+        local: entry.data[field],
+        server: entry.serverRecord ? entry.serverRecord[field] : undefined
+      }))
+  }
+
+  onMounted(() => {
+    outboxService.onChange(handleChange)
+  })
+
+  onBeforeUnmount(() => {
+    outboxService.removeChangeListener(handleChange)
+  })
+
+  return {
+    entries,
+    online,
+    replaying,
+    busyEntryId,
+    pendingEntries,
+    failedEntries,
+    conflictEntries,
+    hasEntries,
+    syncNow,
+    retryEntry,
+    resolveEntry,
+    getChangedFields
+  }
+}
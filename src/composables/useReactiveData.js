@@ -1,5 +1,5 @@
 // src/composables/useReactiveData.js
-import { ref, computed, watch, onMounted } from 'vue'
+import { ref, computed, watch, onMounted, onBeforeUnmount } from 'vue'
 import { useCacheStore } from '../stores/cacheStore'
 import { useApiOperation } from './useApiOperation'
 
@@ -7,6 +7,8 @@ import { useApiOperation } from './useApiOperation'
  * Composable for working with reactive data from the cache store
  * This provides a simple way for components to access and display reactive data
  * that automatically updates when the background refresh happens
+ * List data also refetches when another client creates a record (realtime updates
+ * and deletes are patched into the cache store directly)
  * 
  * @param {Object} options - Configuration options
  * @param {string} options.collection - Collection name (e.g., 'edges', 'locations')
@@ -178,6 +180,22 @@ export function useReactiveData(options) {
     }
   )
   
+  // Refetch lists when other clients create records; batched so bulk imports trigger one request
+  let remoteRefreshTimer = null
+  watch(
+    () => cacheStore.remoteChanges[collection],
+    (change) => {
+      if (!change || change.action !== 'create' || operation !== 'list' || !initialLoadComplete.value) return
+      
+      clearTimeout(remoteRefreshTimer)
+      remoteRefreshTimer = setTimeout(() => refreshData(true), 1000)
+    }
+  )
+  
+  onBeforeUnmount(() => {
+    clearTimeout(remoteRefreshTimer)
+  })
+  
   // Watch for changes in the current collection
   watch(
     () => cacheStore.currentCollection,
@@ -0,0 +1,394 @@
+// src/composables/useSubjectExplorer.js
+import { ref, computed, watch, onMounted, onUnmounted } from 'vue'
+import { useToast } from 'primevue/usetoast'
+import { natsService, natsConfigService, edgeService, thingService } from '../services'
+import { useOrganizationStore } from '../stores/organization'
+
+// Rates are averaged over this many one-second ticks
+const RATE_WINDOW = 10
+
+// Subjects tracked before new ones are ignored, so a noisy bus cannot exhaust memory
+const MAX_NODES = 5000
+
+// Token positions of the subject convention {org}.{edge}.{type}.{code} (see natsSubjectUtils)
+const EDGE_TOKEN = 1
+const TYPE_TOKEN = 2
+const THING_TOKEN = 3
+
+/**
+ * Composable for the subject explorer
+ * Samples a wildcard subscription scoped to the organization and builds a tree
+ * of subject tokens with message rates and the last payload of every node.
+ * Nodes can be pinned as subscriptions of the NATS message feed.
+ *
+ * The tree is kept outside Vue's reactivity and published once per second,
+ * so a busy bus does not re-render on every message.
+ *
+ * @returns {Object} - Explorer state and actions
+ */
+export function useSubjectExplorer() {
+  const toast = useToast()
+  const organizationStore = useOrganizationStore()
+
+  const connectionReady = ref(natsService.isConnected())
+  const sampling = ref(false)
+  const startedAt = ref(null)
+  const overflow = ref(false)
+  const error = ref(null)
+
+  const expandedKeys = ref(new Set())
+  const selectedKey = ref(null)
+  const pinnedSubjects = ref([])
+
+  // Edge ids by code and thing ids by `${type}.${code}`, for linking nodes
+  const edgesByCode = ref(new Map())
+  const thingsByKey = ref(new Map())
+
+  // Bumped on every tick to publish the tree; computeds reading the tree call trackTree()
+  const version = ref(0)
+  const trackTree = () => version.value
+
+  const roots = new Map()
+  const nodes = new Map()
+  let received = 0
+  let subscription = null
+  let tickTimer = null
+
+  // Everything published under the organization, or the whole bus without one
+  const samplingSubject = computed(() => {
+    const orgCode = organizationStore.currentOrganizationCode
+    return orgCode ? `${orgCode}.>` : '>'
+  })
+
+  const createNode = (token, parent) => {
+    const subject = parent ? `${parent.subject}.${token}` : token
+    return {
+      key: subject,
+      token,
+      subject,
+      depth: parent ? parent.depth + 1 : 0,
+      parent,
+      children: new Map(),
+      count: 0,
+      tickCount: 0,
+      window: [],
+      rate: 0,
+      lastAt: null,
+      lastPayload: undefined,
+      lastSubject: null
+    }
+  }
+
+  /**
+   * Count a message on every node of its subject, creating missing nodes
+   * @param {any} data - Decoded message payload
+   * @param {string} subject - Subject the message was received on
+   */
+  const handleMessage = (data, subject) => {
+    if (!subject) return
+
+    const receivedAt = new Date()
+    received++
+
+    let parent = null
+    let level = roots
+    for (const token of subject.split('.')) {
+      let node = level.get(token)
+      if (!node) {
+        if (nodes.size >= MAX_NODES) {
+          overflow.value = true
+          break
+        }
+        node = createNode(token, parent)
+        level.set(token, node)
+        nodes.set(node.key, node)
+      }
+
+      node.count++
+      node.tickCount++
+      node.lastAt = receivedAt
+      node.lastPayload = data
+      node.lastSubject = subject
+
+      parent = node
+      level = node.children
+    }
+  }
+
+  /**
+   * Roll the rate windows and publish the tree
+   */
+  const tick = () => {
+    nodes.forEach(node => {
+      node.window.push(node.tickCount)
+      if (node.window.length > RATE_WINDOW) node.window.shift()
+      node.tickCount = 0
+      node.rate = node.window.reduce((sum, count) => sum + count, 0) / node.window.length
+    })
+    version.value++
+  }
+
+  /**
+   * Get the page of an edge or thing whose code a node's token matches
+   * @param {Object} node - Tree node
+   * @returns {Object|null} - Route location and entity kind, or null
+   */
+  const getLink = (node) => {
+    if (node.depth === EDGE_TOKEN) {
+      const id = edgesByCode.value.get(node.token)
+      return id ? { kind: 'edge', to: { name: 'edge-detail', params: { id } } } : null
+    }
+    if (node.depth === THING_TOKEN) {
+      const type = node.subject.split('.')[TYPE_TOKEN]
+      const id = thingsByKey.value.get(`${type}.${node.token}`)
+      return id ? { kind: 'thing', to: { name: 'thing-detail', params: { id } } } : null
+    }
+    return null
+  }
+
+  /**
+   * Get the subscription a node is pinned as: its subtree, or the subject itself for a leaf
+   * @param {Object} node - Tree node
+   * @returns {string} - Subject pattern
+   */
+  const getPinSubject = (node) => node.children.size > 0 ? `${node.subject}.>` : node.subject
+
+  const toRow = (node) => ({
+    key: node.key,
+    token: node.token,
+    subject: node.subject,
+    depth: node.depth,
+    hasChildren: node.children.size > 0,
+    expanded: expandedKeys.value.has(node.key),
+    count: node.count,
+    rate: node.rate,
+    lastAt: node.lastAt,
+    lastPayload: node.lastPayload,
+    lastSubject: node.lastSubject,
+    link: getLink(node),
+    pinSubject: getPinSubject(node),
+    pinned: pinnedSubjects.value.includes(getPinSubject(node))
+  })
+
+  const sortByToken = (level) => [...level.values()].sort((a, b) => a.token.localeCompare(b.token))
+
+  /**
+   * Expanded nodes flattened into rows for rendering
+   */
+  const visibleRows = computed(() => {
+    trackTree()
+    const rows = []
+    const walk = (level) => {
+      sortByToken(level).forEach(node => {
+        rows.push(toRow(node))
+        if (expandedKeys.value.has(node.key)) {
+          walk(node.children)
+        }
+      })
+    }
+    walk(roots)
+    return rows
+  })
+
+  const selectedNode = computed(() => {
+    trackTree()
+    const node = selectedKey.value && nodes.get(selectedKey.value)
+    return node ? toRow(node) : null
+  })
+
+  const subjectCount = computed(() => {
+    trackTree()
+    return nodes.size
+  })
+
+  const totalMessages = computed(() => {
+    trackTree()
+    return received
+  })
+
+  const toggleNode = (key) => {
+    const next = new Set(expandedKeys.value)
+    if (next.has(key)) {
+      next.delete(key)
+    } else {
+      next.add(key)
+    }
+    expandedKeys.value = next
+  }
+
+  const expandAll = () => {
+    expandedKeys.value = new Set([...nodes.values()].filter(node => node.children.size > 0).map(node => node.key))
+  }
+
+  const collapseAll = () => {
+    expandedKeys.value = new Set()
+  }
+
+  const selectNode = (key) => {
+    selectedKey.value = key
+  }
+
+  /**
+   * Start sampling the organization's subjects
+   * @returns {Promise<boolean>} - Success status
+   */
+  const start = async () => {
+    if (sampling.value || !natsService.isConnected()) return false
+
+    try {
+      subscription = await natsService.subscribe(samplingSubject.value, handleMessage)
+      if (!subscription) {
+        throw new Error(`Failed to subscribe to ${samplingSubject.value}`)
+      }
+
+      sampling.value = true
+      startedAt.value = new Date()
+      error.value = null
+      tickTimer = setInterval(tick, 1000)
+
+      // Open the organization node, which holds the whole tree
+      if (organizationStore.currentOrganizationCode) {
+        expandedKeys.value = new Set(expandedKeys.value).add(organizationStore.currentOrganizationCode)
+      }
+      return true
+    } catch (err) {
+      console.error('Failed to start subject sampling:', err)
+      error.value = err.message || 'Failed to start sampling'
+      return false
+    }
+  }
+
+  /**
+   * Stop sampling; the tree is kept for inspection
+   */
+  const stop = async () => {
+    clearInterval(tickTimer)
+    tickTimer = null
+
+    if (subscription) {
+      try {
+        await natsService.unsubscribe(subscription, handleMessage)
+      } catch (err) {
+        console.error('Error stopping subject sampling:', err)
+      }
+      subscription = null
+    }
+
+    if (sampling.value) {
+      sampling.value = false
+      nodes.forEach(node => {
+        node.window = []
+        node.tickCount = 0
+        node.rate = 0
+      })
+      version.value++
+    }
+  }
+
+  /**
+   * Forget every sampled subject
+   */
+  const clear = () => {
+    roots.clear()
+    nodes.clear()
+    received = 0
+    overflow.value = false
+    selectedKey.value = null
+    expandedKeys.value = new Set()
+    if (sampling.value) startedAt.value = new Date()
+    version.value++
+  }
+
+  /**
+   * Load edge and thing codes so matching nodes can link to their pages
+   */
+  const loadEntities = async () => {
+    try {
+      const [edges, things] = await Promise.all([
+        edgeService.getFullList({ fields: 'id,code' }),
+        thingService.getFullList({ fields: 'id,code,type' })
+      ])
+      edgesByCode.value = new Map(edges.map(edge => [edge.code, edge.id]))
+      thingsByKey.value = new Map(things.map(thing => [`${thing.type}.${thing.code}`, thing.id]))
+    } catch (err) {
+      console.warn('Failed to load edges and things for subject links:', err)
+    }
+  }
+
+  const loadPinnedSubjects = () => {
+    pinnedSubjects.value = [...(natsConfigService.getConfig().subjects || [])]
+  }
+
+  /**
+   * Add a node to the message feed subscriptions, or remove it when it is pinned
+   * @param {Object} row - Node row
+   */
+  const togglePin = (row) => {
+    loadPinnedSubjects()
+
+    const pinned = pinnedSubjects.value.includes(row.pinSubject)
+    const subjects = pinned
+      ? pinnedSubjects.value.filter(subject => subject !== row.pinSubject)
+      : [...pinnedSubjects.value, row.pinSubject]
+
+    natsConfigService.saveConfig({ subjects })
+    pinnedSubjects.value = subjects
+
+    toast.add({
+      severity: 'info',
+      summary: pinned ? 'Unpinned' : 'Pinned',
+      detail: pinned
+        ? `${row.pinSubject} is no longer subscribed in the message feed`
+        : `The message feed now subscribes to ${row.pinSubject}`,
+      life: 3000
+    })
+  }
+
+  const connectionListener = (status) => {
+    connectionReady.value = status === 'connected'
+    if (!connectionReady.value) stop()
+  }
+
+  // Another organization has other subjects, edges and things
+  watch(() => organizationStore.currentOrganization?.id, async () => {
+    const wasSampling = sampling.value
+    await stop()
+    clear()
+    loadPinnedSubjects()
+    loadEntities()
+    if (wasSampling) start()
+  })
+
+  onMounted(() => {
+    natsService.onStatusChange(connectionListener)
+    loadPinnedSubjects()
+    loadEntities()
+  })
+
+  onUnmounted(() => {
+    natsService.removeStatusListener(connectionListener)
+    stop()
+  })
+
+  return {
+    connectionReady,
+    sampling,
+    samplingSubject,
+    startedAt,
+    totalMessages,
+    subjectCount,
+    overflow,
+    error,
+    visibleRows,
+    selectedKey,
+    selectedNode,
+    start,
+    stop,
+    clear,
+    toggleNode,
+    expandAll,
+    collapseAll,
+    selectNode,
+    togglePin
+  }
+}
@@ -34,6 +34,9 @@ export function useThing() {
   // Thing types from store
   const thingTypes = computed(() => typesStore.thingTypes)
   
+  // Filters of the last filtered fetch, reused when the list is refetched in the background
+  let activeFilters = {}
+  
   // Set up reactive data from the cache store
   const thingsData = useReactiveData({
     collection: 'things',
@@ -152,6 +155,7 @@ export function useThing() {
     const response = await thingService.getList({
       expand: 'location_id,edge_id',
       sort: '-created',
+      ...activeFilters,
       ...options,
       skipCache: options?.skipCache
     })
@@ -176,6 +180,9 @@ export function useThing() {
       const skipCache = params.skipCache || Object.keys(params).length > 0
       
       if (skipCache || Object.keys(params).length > 0) {
+        activeFilters = { ...params }
+        delete activeFilters.skipCache
+        
         // For filtered queries, we need to ensure we're using the original API
         const response = await thingService.getList({
           expand: 'location_id,edge_id',
@@ -193,6 +200,7 @@ export function useThing() {
         return []
       } else {
         // Use the reactive data system for standard fetches
+        activeFilters = {}
         await thingsData.refreshData(skipCache)
         return things.value
       }
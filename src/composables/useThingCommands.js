@@ -0,0 +1,203 @@
+// src/composables/useThingCommands.js
+import { ref, computed, watch, onMounted, onUnmounted, unref } from 'vue';
+import { useToast } from 'primevue/usetoast';
+import natsService from '../services/nats/natsService';
+import { thingCommandService } from '../services/thing/thingCommandService';
+import { thingTypeService } from '../services/type/thingTypeService';
+import { useOrganizationStore } from '../stores/organization';
+import { buildThingCommandSubject } from '../utils/natsSubjectUtils';
+
+/**
+ * Composable for sending commands to a thing and tracking their acknowledgements
+ * The command catalogue comes from the thing's type record
+ *
+ * @param {Ref<Object>|Object} thing - Thing record (with expand.edge_id for the edge code)
+ * @param {Object} options - Configuration options
+ * @param {number} options.maxHistory - Maximum number of invocations kept in history (default: 50)
+ * @returns {Object} - Command state and methods
+ */
+export function useThingCommands(thing, options = {}) {
+  const {
+    maxHistory = 50
+  } = options;
+
+  const toast = useToast();
+  const organizationStore = useOrganizationStore();
+
+  // State
+  const thingType = ref(null);
+  const loading = ref(false);
+  const error = ref(null);
+  const paramValues = ref({});
+  const paramErrors = ref({});
+  const sending = ref(new Set());
+  const history = ref([]);
+  const connectionReady = ref(natsService.isConnected());
+
+  // Commands declared by the thing type
+  const commands = computed(() => thingTypeService.getCommands(thingType.value));
+
+  // Concrete subject commands are published on
+  const commandSubject = computed(() => {
+    const current = unref(thing);
+    if (!current) return null;
+
+    return buildThingCommandSubject({
+      orgCode: organizationStore.currentOrganization?.code,
+      edgeCode: current.expand?.edge_id?.code,
+      thingType: current.type,
+      thingCode: current.code
+    });
+  });
+
+  // Whether commands can be sent right now
+  const canSend = computed(() => connectionReady.value && !!commandSubject.value);
+
+  /**
+   * Load the thing type and reset parameter forms to their defaults
+   * @param {string} typeCode - Thing type code
+   */
+  const loadCommands = async (typeCode) => {
+    if (!typeCode) {
+      thingType.value = null;
+      return;
+    }
+
+    loading.value = true;
+    error.value = null;
+
+    try {
+      thingType.value = await thingTypeService.getTypeByCode(typeCode);
+
+      const defaults = {};
+      commands.value.forEach(command => {
+        defaults[command.name] = thingCommandService.getDefaultParams(command);
+      });
+      paramValues.value = defaults;
+      paramErrors.value = {};
+    } catch (err) {
+      console.error('Error loading thing type commands:', err);
+      error.value = 'Failed to load commands for this thing type';
+    } finally {
+      loading.value = false;
+    }
+  };
+
+  /**
+   * Update an invocation in the history list
+   * @param {string} id - Invocation ID
+   * @param {Object} changes - Fields to update
+   */
+  const updateInvocation = (id, changes) => {
+    history.value = history.value.map(entry => entry.id === id ? { ...entry, ...changes } : entry);
+  };
+
+  /**
+   * Send a command with the current parameter values
+   * @param {Object} command - Command definition
+   * @returns {Promise<Object|null>} - Invocation result or null if not sent
+   */
+  const sendCommand = async (command) => {
+    if (!canSend.value) return null;
+
+    const params = paramValues.value[command.name] || {};
+    const errors = thingCommandService.validateParams(command, params);
+    paramErrors.value = { ...paramErrors.value, [command.name]: errors };
+
+    if (Object.keys(errors).length > 0) return null;
+
+    sending.value = new Set(sending.value).add(command.name);
+
+    // Track the invocation as pending until the reply (or timeout) arrives
+    const pendingId = `pending-${Date.now()}-${command.name}`;
+    history.value = [{
+      id: pendingId,
+      command: command.name,
+      label: command.label || command.name,
+      subject: commandSubject.value,
+      status: 'pending',
+      payload: null,
+      response: null,
+      error: null,
+      duration: null,
+      sentAt: new Date(),
+      respondedAt: null
+    }, ...history.value].slice(0, maxHistory);
+
+    try {
+      const result = await thingCommandService.sendCommand(commandSubject.value, command, params);
+
+      updateInvocation(pendingId, {
+        ...result,
+        respondedAt: new Date()
+      });
+
+      if (result.status === 'acknowledged') {
+        toast.add({
+          severity: 'success',
+          summary: 'Command Acknowledged',
+          detail: `${command.label || command.name} acknowledged in ${result.duration}ms`,
+          life: 3000
+        });
+      } else {
+        toast.add({
+          severity: result.status === 'rejected' ? 'warn' : 'error',
+          summary: result.status === 'rejected' ? 'Command Rejected' : 'Command Failed',
+          detail: result.error || `${command.label || command.name} was rejected by the device`,
+          life: 5000
+        });
+      }
+
+      return result;
+    } finally {
+      const next = new Set(sending.value);
+      next.delete(command.name);
+      sending.value = next;
+    }
+  };
+
+  /**
+   * Clear the invocation history (pending invocations are kept)
+   */
+  const clearHistory = () => {
+    history.value = history.value.filter(entry => entry.status === 'pending');
+  };
+
+  // Handle NATS connection status changes
+  const connectionListener = (status) => {
+    connectionReady.value = status === 'connected';
+  };
+
+  // Reload the catalogue when the thing type changes
+  watch(() => unref(thing)?.type, (typeCode) => {
+    loadCommands(typeCode);
+  }, { immediate: true });
+
+  onMounted(() => {
+    natsService.onStatusChange(connectionListener);
+  });
+
+  onUnmounted(() => {
+    natsService.removeStatusListener(connectionListener);
+  });
+
+  return {
+    // State
+    thingType,
+    commands,
+    commandSubject,
+    canSend,
+    connectionReady,
+    loading,
+    error,
+    paramValues,
+    paramErrors,
+    sending,
+    history,
+
+    // Methods
+    loadCommands,
+    sendCommand,
+    clearHistory
+  };
+}
@@ -5,6 +5,7 @@ import { required, helpers } from '@vuelidate/validators'
 import { useRouter, useRoute } from 'vue-router'
 import { 
   thingService, 
+  thingTypeService,
   locationService,
   generateThingCode, 
   validateThingCode, 
@@ -12,6 +13,7 @@ import {
 } from '../services'
 import { useApiOperation } from './useApiOperation'
 import { useTypesStore } from '../stores/types'
+import { getFieldDefaults, normalizeFieldValues } from '../utils/fieldSchemaUtils'
 
 /**
  * Composable for thing form handling
@@ -39,9 +41,18 @@ export function useThingForm(mode = 'create') {
     name: '',
     description: '',
     active: true,
-    metadata: {}
+    metadata: {},
+    current_state: {}
   })
   
+  // Thing type record of the selected type, with its metadata/state schemas
+  const selectedThingType = ref(null)
+  const metadataFields = computed(() => thingTypeService.getMetadataSchema(selectedThingType.value))
+  const stateFields = computed(() => thingTypeService.getStateSchema(selectedThingType.value))
+  
+  // Schema validation errors keyed by section then field name
+  const schemaErrors = ref({ metadata: {}, current_state: {} })
+  
   // Locations data for dropdown
   const locations = ref([])
   const locationsLoading = ref(false)
@@ -124,13 +135,64 @@ export function useThingForm(mode = 'create') {
       name: thingData.name || '',
       description: thingData.description || '',
       active: thingData.active ?? true,
-      metadata: thingData.metadata || {}
+      metadata: thingData.metadata || {},
+      current_state: thingData.current_state || {}
     }
     
     // Update selected location code
     updateLocationCode()
   }
   
+  /**
+   * Load the schemas of a thing type and fill in defaults for missing fields
+   * @param {string} typeCode - Thing type code
+   */
+  const loadThingTypeSchema = async (typeCode) => {
+    schemaErrors.value = { metadata: {}, current_state: {} }
+    
+    if (!typeCode) {
+      selectedThingType.value = null
+      return
+    }
+    
+    try {
+      selectedThingType.value = await thingTypeService.getTypeByCode(typeCode)
+    } catch (err) {
+      console.error('Error loading thing type schema:', err)
+      selectedThingType.value = null
+      return
+    }
+    
+    // Existing values win over schema defaults
+    thing.value.metadata = {
+      ...getFieldDefaults(metadataFields.value),
+      ...thing.value.metadata
+    }
+    thing.value.current_state = {
+      ...getFieldDefaults(stateFields.value),
+      ...thing.value.current_state
+    }
+  }
+  
+  /**
+   * Validate metadata and current_state against the selected type's schemas
+   * @returns {boolean} - True if valid
+   */
+  const validateSchemaFields = () => {
+    const errors = { metadata: {}, current_state: {} }
+    
+    if (selectedThingType.value) {
+      const fieldErrors = thingService.validateAgainstType(selectedThingType.value, thing.value)
+      Object.entries(fieldErrors).forEach(([path, message]) => {
+        const [section, ...rest] = path.split('.')
+        errors[section][rest.join('.')] = message
+      })
+    }
+    
+    schemaErrors.value = errors
+    return Object.keys(errors.metadata).length === 0 && Object.keys(errors.current_state).length === 0
+  }
+  
   /**
    * Update selected location code when location changes
    */
@@ -185,7 +247,8 @@ export function useThingForm(mode = 'create') {
   const submitForm = async () => {
     // Validate form
     const isValid = await v$.value.$validate()
-    if (!isValid) return false
+    const schemaValid = validateSchemaFields()
+    if (!isValid || !schemaValid) return false
     
     // Prepare data for API
     const thingData = {
@@ -194,6 +257,14 @@ export function useThingForm(mode = 'create') {
       active: thing.value.active
     }
     
+    // Include schema-described JSON fields when the type declares them
+    if (metadataFields.value.length > 0) {
+      thingData.metadata = normalizeFieldValues(metadataFields.value, thing.value.metadata)
+    }
+    if (stateFields.value.length > 0) {
+      thingData.current_state = normalizeFieldValues(stateFields.value, thing.value.current_state)
+    }
+    
     // Add fields for create mode
     if (mode === 'create') {
       thingData.location_id = thing.value.location_id
@@ -233,8 +304,10 @@ export function useThingForm(mode = 'create') {
       name: '',
       description: '',
       active: true,
-      metadata: {}
+      metadata: {},
+      current_state: {}
     }
+    schemaErrors.value = { metadata: {}, current_state: {} }
     v$.value.$reset()
   }
   
@@ -243,6 +316,11 @@ export function useThingForm(mode = 'create') {
     updateLocationCode()
   })
   
+  // Load the type's schemas whenever the type changes
+  watch(() => thing.value.type, (typeCode) => {
+    loadThingTypeSchema(typeCode)
+  })
+  
   return {
     thing,
     v$,
@@ -251,12 +329,16 @@ export function useThingForm(mode = 'create') {
     locationsLoading,
     selectedLocationCode,
     thingTypes, // Expose thing types from the store
+    metadataFields,
+    stateFields,
+    schemaErrors,
     loadThing,
     fetchLocations,
     updateLocationCode,
     updateCode,
     getLocationName,
     getLocationCode,
+    validateSchemaFields,
     submitForm,
     resetForm
   }
@@ -0,0 +1,164 @@
+// src/composables/useThingKvState.js
+import { ref, computed, watch, onMounted, onUnmounted, unref } from 'vue'
+import { natsService, natsKvService } from '../services'
+import { flattenState, isSameValue } from './useThingState'
+
+/**
+ * Composable for the KV entry of a thing
+ * Finds the entry whose key is the thing's code (in the configured device
+ * state bucket, or any bucket), keeps it updated through a KV watch and
+ * compares it field by field with the persisted `current_state`
+ *
+ * @param {Ref<Object>|Object} thing - Thing record
+ * @returns {Object} - KV entry state and methods
+ */
+export function useThingKvState(thing) {
+  const connectionReady = ref(natsService.isConnected())
+  const entry = ref(null)
+  const history = ref([])
+  const loading = ref(false)
+  const historyLoading = ref(false)
+  const error = ref(null)
+  const searched = ref(false)
+
+  let watcher = null
+  // Bumped whenever the watch is stopped, so a load that was overtaken drops its result
+  let loadId = 0
+  let mounted = false
+
+  const thingCode = computed(() => unref(thing)?.code || null)
+
+  // Field by field comparison of the KV value and the persisted state
+  const fields = computed(() => {
+    const value = entry.value?.value
+    const kvFields = value && typeof value === 'object' ? flattenState(value) : {}
+    const state = unref(thing)?.current_state
+    const persisted = state && typeof state === 'object' ? flattenState(state) : {}
+
+    const keys = [...new Set([...Object.keys(kvFields), ...Object.keys(persisted)])].sort()
+    return keys.map(key => {
+      const inKv = key in kvFields
+      const inPersisted = key in persisted
+      let status = 'same'
+      if (!inPersisted) status = 'kv-only'
+      else if (!inKv) status = 'persisted-only'
+      else if (!isSameValue(kvFields[key], persisted[key])) status = 'changed'
+
+      return {
+        key,
+        kvValue: kvFields[key],
+        persistedValue: persisted[key],
+        status
+      }
+    })
+  })
+
+  const diffCount = computed(() => fields.value.filter(field => field.status !== 'same').length)
+
+  /**
+   * Stop watching the entry and drop the result of a running load
+   */
+  const stopWatch = () => {
+    loadId++
+    loading.value = false
+    if (watcher) {
+      watcher.stop()
+      watcher = null
+    }
+  }
+
+  /**
+   * Find the thing's KV entry and watch it for changes
+   */
+  const load = async () => {
+    stopWatch()
+    const id = loadId
+    const isCurrent = () => mounted && id === loadId
+    entry.value = null
+    history.value = []
+    error.value = null
+    searched.value = false
+
+    const key = thingCode.value
+    if (!key || !connectionReady.value) return
+
+    loading.value = true
+    try {
+      const found = await natsKvService.findEntry(key)
+      if (!isCurrent()) return
+      entry.value = found
+      searched.value = true
+
+      if (found) {
+        const nextWatcher = await natsKvService.watch(found.bucket, key, (change, { initial }) => {
+          if (!initial && isCurrent()) entry.value = change
+        })
+        // The thing changed, the connection dropped or the component unmounted meanwhile
+        if (!isCurrent()) {
+          nextWatcher.stop()
+          return
+        }
+        watcher = nextWatcher
+      }
+    } catch (err) {
+      if (!isCurrent()) return
+      console.error('Error loading KV state:', err)
+      error.value = err.code === 'JETSTREAM_UNAVAILABLE' ? err.message : 'Failed to load the KV entry'
+    } finally {
+      if (isCurrent()) loading.value = false
+    }
+  }
+
+  /**
+   * Load the stored revisions of the entry
+   */
+  const loadHistory = async () => {
+    if (!entry.value) return
+
+    historyLoading.value = true
+    try {
+      history.value = await natsKvService.getHistory(entry.value.bucket, entry.value.key)
+    } catch (err) {
+      console.error('Error loading KV history:', err)
+      error.value = 'Failed to load the KV history'
+    } finally {
+      historyLoading.value = false
+    }
+  }
+
+  const connectionListener = (status) => {
+    const ready = status === 'connected'
+    const becameReady = ready && !connectionReady.value
+    connectionReady.value = ready
+    if (!ready) stopWatch()
+    if (becameReady) load()
+  }
+
+  watch(thingCode, () => load())
+
+  onMounted(() => {
+    mounted = true
+    natsService.onStatusChange(connectionListener)
+    load()
+  })
+
+  onUnmounted(() => {
+    mounted = false
+    natsService.removeStatusListener(connectionListener)
+    stopWatch()
+  })
+
+  return {
+    connectionReady,
+    entry,
+    history,
+    fields,
+    diffCount,
+    loading,
+    historyLoading,
+    error,
+    searched,
+    load,
+    loadHistory
+  }
+}
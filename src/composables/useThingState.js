@@ -0,0 +1,345 @@
+// src/composables/useThingState.js
+import { ref, computed, watch, onMounted, onUnmounted, unref } from 'vue';
+import natsService from '../services/nats/natsService';
+import { useOrganizationStore } from '../stores/organization';
+import { buildThingSubjectPrefix } from '../utils/natsSubjectUtils';
+
+// Envelope keys that describe the message rather than the thing's state
+const ENVELOPE_KEYS = ['id', 'timestamp', 'ts', 'time', 'date', 'event', 'subject', 'source'];
+
+/**
+ * Flatten a nested state object into dot-path keys
+ * Arrays are kept as values so they are compared as a whole
+ * @param {Object} obj - State object
+ * @param {string} prefix - Key prefix for recursion
+ * @param {Object} result - Accumulator
+ * @returns {Object} - Flat map of path -> value
+ */
+export const flattenState = (obj, prefix = '', result = {}) => {
+  Object.entries(obj || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      flattenState(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+/**
+ * Compare two state values
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - True if equal
+ */
+export const isSameValue = (a, b) => {
+  if (a === b) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Composable for a live view of a thing's state driven by NATS messages
+ * Merges incoming payloads into a per-field state and diffs it against
+ * the persisted `current_state` of the thing record
+ *
+ * @param {Ref<Object>|Object} thing - Thing record (with expand.edge_id for the edge code)
+ * @param {Object} options - Configuration options
+ * @param {number} options.highlightDuration - How long a changed field stays highlighted in ms (default: 3000)
+ * @returns {Object} - Live state and methods
+ */
+export function useThingState(thing, options = {}) {
+  const {
+    highlightDuration = 3000
+  } = options;
+
+  const organizationStore = useOrganizationStore();
+
+  // Live state keyed by flattened field path
+  // Each entry: { value, previousValue, lastChanged, lastSeen }
+  const liveFields = ref({});
+  const highlightedFields = ref(new Set());
+  const lastMessageAt = ref(null);
+  const messageCount = ref(0);
+  const connectionReady = ref(natsService.isConnected());
+  const isSubscribed = ref(false);
+  const error = ref(null);
+
+  let subscription = null;
+  let subscribedSubject = null;
+  const highlightTimers = new Map();
+
+  // Subject prefix for this thing ({org}.{edge}.{type}.{code})
+  const subjectPrefix = computed(() => {
+    const current = unref(thing);
+    if (!current) return null;
+
+    return buildThingSubjectPrefix({
+      orgCode: organizationStore.currentOrganizationCode,
+      edgeCode: current.expand?.edge_id?.code,
+      thingType: current.type,
+      thingCode: current.code
+    });
+  });
+
+  // Wildcard subject receiving every message for the thing
+  const subject = computed(() => subjectPrefix.value ? `${subjectPrefix.value}.>` : null);
+
+  // Persisted state, flattened the same way as the live state
+  const persistedFields = computed(() => {
+    const current = unref(thing);
+    const state = current?.current_state;
+    return state && typeof state === 'object' ? flattenState(state) : {};
+  });
+
+  /**
+   * Extract the state patch carried by a message
+   * Object payloads are merged as-is (or their `state`/`current_state` member);
+   * scalar payloads are keyed by the subject tokens after the thing prefix
+   * @param {any} data - Decoded message payload
+   * @param {string} messageSubject - Subject the message was received on
+   * @returns {Object|null} - Flat state patch or null if nothing usable
+   */
+  const extractStatePatch = (data, messageSubject) => {
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      const source = (data.state && typeof data.state === 'object') ? data.state
+        : (data.current_state && typeof data.current_state === 'object') ? data.current_state
+        : data;
+
+      const patch = { ...source };
+      if (source === data) {
+        ENVELOPE_KEYS.forEach(key => delete patch[key]);
+      }
+
+      const flat = flattenState(patch);
+      return Object.keys(flat).length > 0 ? flat : null;
+    }
+
+    // Scalar payload: derive the field name from the trailing subject tokens
+    const tokens = (messageSubject || '').split('.');
+    const prefixLength = subjectPrefix.value ? subjectPrefix.value.split('.').length : tokens.length - 1;
+    const key = tokens.slice(prefixLength).join('.') || tokens[tokens.length - 1];
+    return key ? { [key]: data } : null;
+  };
+
+  /**
+   * Highlight a field for a short period after it changes
+   * @param {string} key - Field path
+   */
+  const highlightField = (key) => {
+    if (highlightTimers.has(key)) {
+      clearTimeout(highlightTimers.get(key));
+    }
+
+    highlightedFields.value = new Set(highlightedFields.value).add(key);
+
+    highlightTimers.set(key, setTimeout(() => {
+      const next = new Set(highlightedFields.value);
+      next.delete(key);
+      highlightedFields.value = next;
+      highlightTimers.delete(key);
+    }, highlightDuration));
+  };
+
+  /**
+   * Merge a state patch into the live state
+   * @param {Object} patch - Flat state patch
+   * @param {Date} receivedAt - Time the message was received
+   */
+  const applyPatch = (patch, receivedAt) => {
+    const next = { ...liveFields.value };
+
+    Object.entries(patch).forEach(([key, value]) => {
+      const existing = next[key];
+      // Compare against the last known value, live or persisted
+      const previousValue = existing ? existing.value : persistedFields.value[key];
+      const hasPrevious = existing !== undefined || key in persistedFields.value;
+
+      if (hasPrevious && isSameValue(previousValue, value)) {
+        // Same value reported again - only refresh when it was last seen
+        next[key] = {
+          value,
+          previousValue: existing?.previousValue,
+          lastChanged: existing?.lastChanged || null,
+          lastSeen: receivedAt
+        };
+        return;
+      }
+
+      next[key] = {
+        value,
+        previousValue: hasPrevious ? previousValue : undefined,
+        lastChanged: receivedAt,
+        lastSeen: receivedAt
+      };
+      highlightField(key);
+    });
+
+    liveFields.value = next;
+  };
+
+  /**
+   * Handle a message received on the thing's subject
+   * @param {any} data - Decoded message payload
+   * @param {string} messageSubject - Subject the message was received on
+   */
+  const handleMessage = (data, messageSubject) => {
+    const receivedAt = new Date();
+    const patch = extractStatePatch(data, messageSubject);
+
+    messageCount.value++;
+    lastMessageAt.value = receivedAt;
+
+    if (patch) {
+      applyPatch(patch, receivedAt);
+    }
+  };
+
+  /**
+   * Subscribe to the thing's subject
+   * @returns {Promise<boolean>} - Success status
+   */
+  const subscribe = async () => {
+    if (!subject.value || !natsService.isConnected()) return false;
+    if (subscription && subscribedSubject === subject.value) return true;
+
+    await unsubscribe();
+
+    try {
+      subscription = await natsService.subscribe(subject.value, handleMessage);
+      if (!subscription) {
+        throw new Error(`Failed to create subscription for topic: ${subject.value}`);
+      }
+
+      subscribedSubject = subject.value;
+      isSubscribed.value = true;
+      error.value = null;
+      return true;
+    } catch (err) {
+      console.error(`Failed to subscribe to thing state on ${subject.value}:`, err);
+      error.value = err.message || 'Failed to subscribe to thing state';
+      return false;
+    }
+  };
+
+  /**
+   * Detach from the thing's subject
+   * @returns {Promise<void>}
+   */
+  const unsubscribe = async () => {
+    if (!subscription) return;
+
+    try {
+      await natsService.unsubscribe(subscription, handleMessage);
+    } catch (err) {
+      console.error('Error unsubscribing from thing state:', err);
+    } finally {
+      subscription = null;
+      subscribedSubject = null;
+      isSubscribed.value = false;
+    }
+  };
+
+  /**
+   * Discard the live state and show the persisted state again
+   */
+  const reset = () => {
+    highlightTimers.forEach(timer => clearTimeout(timer));
+    highlightTimers.clear();
+    highlightedFields.value = new Set();
+    liveFields.value = {};
+    messageCount.value = 0;
+    lastMessageAt.value = null;
+  };
+
+  /**
+   * Get the diff status of a field against the persisted state
+   * @param {string} key - Field path
+   * @returns {string} - 'persisted' | 'unchanged' | 'changed' | 'new'
+   */
+  const getFieldStatus = (key) => {
+    const live = liveFields.value[key];
+    const inPersisted = key in persistedFields.value;
+
+    if (!live) return 'persisted';
+    if (!inPersisted) return 'new';
+    return isSameValue(live.value, persistedFields.value[key]) ? 'unchanged' : 'changed';
+  };
+
+  // Merged field list (live values over persisted), sorted by path
+  const fields = computed(() => {
+    const keys = new Set([
+      ...Object.keys(persistedFields.value),
+      ...Object.keys(liveFields.value)
+    ]);
+
+    return [...keys].sort().map(key => {
+      const live = liveFields.value[key];
+      return {
+        key,
+        value: live ? live.value : persistedFields.value[key],
+        persistedValue: persistedFields.value[key],
+        previousValue: live?.previousValue,
+        lastChanged: live?.lastChanged || null,
+        lastSeen: live?.lastSeen || null,
+        status: getFieldStatus(key),
+        highlighted: highlightedFields.value.has(key)
+      };
+    });
+  });
+
+  // Number of fields whose live value differs from the persisted state
+  const diffCount = computed(() => {
+    return fields.value.filter(field => field.status === 'changed' || field.status === 'new').length;
+  });
+
+  // Handle NATS connection status changes
+  const connectionListener = (status) => {
+    connectionReady.value = status === 'connected';
+
+    if (status === 'connected') {
+      subscribe();
+    } else {
+      // The underlying subscription does not survive a disconnect
+      subscription = null;
+      subscribedSubject = null;
+      isSubscribed.value = false;
+    }
+  };
+
+  // Resubscribe when the subject changes (e.g. edge loaded after the thing)
+  watch(subject, (newSubject, oldSubject) => {
+    if (newSubject !== oldSubject && connectionReady.value) {
+      subscribe();
+    }
+  });
+
+  onMounted(() => {
+    natsService.onStatusChange(connectionListener);
+  });
+
+  onUnmounted(() => {
+    natsService.removeStatusListener(connectionListener);
+    unsubscribe();
+    highlightTimers.forEach(timer => clearTimeout(timer));
+    highlightTimers.clear();
+  });
+
+  return {
+    // State
+    fields,
+    diffCount,
+    subject,
+    lastMessageAt,
+    messageCount,
+    connectionReady,
+    isSubscribed,
+    error,
+
+    // Methods
+    subscribe,
+    unsubscribe,
+    reset,
+    getFieldStatus
+  };
+}
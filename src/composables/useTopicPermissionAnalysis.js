@@ -0,0 +1,82 @@
+// src/composables/useTopicPermissionAnalysis.js
+import { ref, computed } from 'vue'
+import { topicPermissionService, analyzeTopicPermissions } from '../services'
+import { useOrganizationStore } from '../stores/organization'
+import { useApiOperation } from './useApiOperation'
+
+// Order in which findings are listed
+const SEVERITY_ORDER = ['high', 'medium', 'low', 'info']
+
+/**
+ * Composable for the topic permission overlap and redundancy analyzer
+ * Loads every topic permission record and runs analyzeTopicPermissions over them
+ *
+ * @returns {Object} - Findings, summary and actions
+ */
+export function useTopicPermissionAnalysis() {
+  const { performOperation } = useApiOperation()
+  const organizationStore = useOrganizationStore()
+
+  const findings = ref([])
+  const roleCount = ref(0)
+  const loading = ref(false)
+  const error = ref(null)
+  const analyzedAt = ref(null)
+
+  /**
+   * Resolve the code of the organization owning a record
+   * Records without a known organization fall back to the current one,
+   * since API rules only return roles of the current organization
+   * @param {Object} permission - Topic permission record
+   * @returns {string|null} - Organization code
+   */
+  const getOrganizationCode = (permission) => {
+    const organization = permission.organization_id
+      ? organizationStore.userOrganizations.find(org => org.id === permission.organization_id)
+      : null
+    return organization?.code || organizationStore.currentOrganizationCode || null
+  }
+
+  /**
+   * Load all roles and analyze them
+   */
+  const analyze = async () => {
+    return performOperation(
+      () => topicPermissionService.getFullList({ sort: 'name' }),
+      {
+        loadingRef: loading,
+        errorRef: error,
+        errorMessage: 'Failed to analyze topic permissions',
+        onSuccess: (permissions) => {
+          roleCount.value = permissions.length
+          findings.value = analyzeTopicPermissions(permissions, { getOrganizationCode })
+            .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+              a.roleName.localeCompare(b.roleName))
+          analyzedAt.value = new Date()
+          return findings.value
+        }
+      }
+    )
+  }
+
+  // Finding counts per severity
+  const summary = computed(() => SEVERITY_ORDER.reduce((counts, severity) => {
+    counts[severity] = findings.value.filter(finding => finding.severity === severity).length
+    return counts
+  }, {}))
+
+  // Number of roles with at least one finding
+  const affectedRoleCount = computed(() => new Set(findings.value.map(finding => finding.roleId)).size)
+
+  return {
+    findings,
+    roleCount,
+    loading,
+    error,
+    analyzedAt,
+    summary,
+    affectedRoleCount,
+    severities: SEVERITY_ORDER,
+    analyze
+  }
+}
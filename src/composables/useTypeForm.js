@@ -16,6 +16,7 @@ import { useTypesStore } from '../stores/types'
  * @param {string} options.entityName - Display name for the entity
  * @param {Object} options.routeNames - Route names for navigation
  * @param {Function} options.validateCode - Function to validate code format
+ * @param {Object} options.extraFields - Additional type-specific fields with their default values
  * @returns {Object} - Form methods and state
  */
 export function useTypeForm(typeService, options) {
@@ -27,7 +28,8 @@ export function useTypeForm(typeService, options) {
     mode = 'create', 
     entityName, 
     routeNames, 
-    validateCode = null 
+    validateCode = null,
+    extraFields = {}
   } = options || {}
   
   // Determine which store collection to refresh
@@ -46,12 +48,19 @@ export function useTypeForm(typeService, options) {
     return null
   }
   
+  /**
+   * Default values for the type-specific fields
+   * @returns {Object} - Fresh copy of the extra field defaults
+   */
+  const getExtraFieldDefaults = () => JSON.parse(JSON.stringify(extraFields))
+  
   // Form data with defaults
   const type = ref({
     id: '',
     type: '',
     code: '',
-    description: ''
+    description: '',
+    ...getExtraFieldDefaults()
   })
   
   // Loading state
@@ -90,11 +99,19 @@ export function useTypeForm(typeService, options) {
   const loadType = (typeData) => {
     if (!typeData) return
     
+    const extras = getExtraFieldDefaults()
+    Object.keys(extras).forEach(field => {
+      if (typeData[field] !== undefined && typeData[field] !== null && typeData[field] !== '') {
+        extras[field] = typeData[field]
+      }
+    })
+    
     type.value = {
       id: typeData.id || '',
       type: typeData.type || '',
       code: typeData.code || '',
-      description: typeData.description || ''
+      description: typeData.description || '',
+      ...extras
     }
   }
   
@@ -144,6 +161,11 @@ export function useTypeForm(typeService, options) {
       description: type.value.description
     }
     
+    // Include type-specific fields
+    Object.keys(extraFields).forEach(field => {
+      typeData[field] = type.value[field]
+    })
+    
     // Use appropriate operation based on mode
     const operation = mode === 'create' 
       ? async () => {
@@ -200,7 +222,8 @@ export function useTypeForm(typeService, options) {
       id: '',
       type: '',
       code: '',
-      description: ''
+      description: '',
+      ...getExtraFieldDefaults()
     }
     v$.value.$reset()
   }
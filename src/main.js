@@ -27,6 +27,12 @@ import Tooltip from 'primevue/tooltip'
 // Import NATS connection manager
 import natsConnectionManager from './services/nats/natsConnectionManager'
 
+// Import offline outbox
+import outboxService from './services/offline/outboxService'
+
+// Import realtime cache invalidation
+import realtimeService from './services/realtime/realtimeService'
+
 // Import stores
 import { useAuthStore } from './stores/auth'
 import { useTypesStore } from './stores/types'
@@ -63,6 +69,9 @@ themeStore.init()
 // Initialize NATS connection manager once at startup
 natsConnectionManager.initialize()
 
+// Load queued offline changes; they are replayed for their owner after login
+outboxService.initialize()
+
 // Setup the rest of the app
 app.use(router)
 // Use PrimeVue with minimal configuration
@@ -200,6 +209,12 @@ router.beforeEach(async (to, from, next) => {
     // Token is valid, preload if needed
     await preloadAppData()
     
+    // Keep caches in sync with changes made by other users
+    realtimeService.start()
+    
+    // Replay changes this user queued while offline
+    outboxService.start()
+    
     // Only attempt NATS auto-connect once per session - on initial login navigation
     if (from.name === 'login' && to.name === 'dashboard') {
       console.log('Initial login navigation detected, attempting NATS auto-connect')
@@ -45,6 +45,13 @@ import TopicPermissionDetailView from '../views/Messaging/TopicPermissions/Topic
 import TopicPermissionCreateView from '../views/Messaging/TopicPermissions/TopicPermissionCreateView.vue'
 import TopicPermissionEditView from '../views/Messaging/TopicPermissions/TopicPermissionEditView.vue'
 
+// NATS Server Config View
+import NatsAuthConfigView from '../views/Messaging/AuthConfig/NatsAuthConfigView.vue'
+import NatsRecordingsView from '../views/Messaging/Recordings/NatsRecordingsView.vue'
+import JetStreamView from '../views/Messaging/JetStream/JetStreamView.vue'
+import NatsKvView from '../views/Messaging/KeyValue/NatsKvView.vue'
+import SubjectExplorerView from '../views/Messaging/SubjectExplorer/SubjectExplorerView.vue'
+
 // Profile View
 import ProfileView from '../views/Profile/ProfileView.vue'
 
@@ -90,6 +97,7 @@ const ROUTE_TO_COLLECTION_MAP = {
   // Messaging collections
   'messaging/clients': 'clients',
   'messaging/permissions': 'topic_permissions',
+  'messaging/auth-config': 'clients',
   
   // Type collections
   'types/edge-types': 'edge_types',
@@ -291,6 +299,46 @@ const router = createRouter({
           meta: { title: 'Edit Topic Permission', collection: 'topic_permissions' }
         },
         
+        // NATS server authorization config (for Messaging)
+        {
+          path: 'messaging/auth-config',
+          name: 'nats-auth-config',
+          component: NatsAuthConfigView,
+          meta: { title: 'NATS Server Config', collection: 'clients' }
+        },
+        
+        // Recorded NATS feed messages (stored in IndexedDB, not a collection)
+        {
+          path: 'messaging/recordings',
+          name: 'nats-recordings',
+          component: NatsRecordingsView,
+          meta: { title: 'Message Recordings' }
+        },
+        
+        // JetStream browser (reads the NATS server, not a collection)
+        {
+          path: 'messaging/jetstream',
+          name: 'nats-jetstream',
+          component: JetStreamView,
+          meta: { title: 'JetStream' }
+        },
+        
+        // NATS KV bucket browser
+        {
+          path: 'messaging/kv',
+          name: 'nats-kv',
+          component: NatsKvView,
+          meta: { title: 'Key-Value Buckets' }
+        },
+        
+        // Live tree of the subjects published on NATS
+        {
+          path: 'messaging/subjects',
+          name: 'nats-subjects',
+          component: SubjectExplorerView,
+          meta: { title: 'Subject Explorer' }
+        },
+        
         // Organization routes
         {
           path: 'organizations',
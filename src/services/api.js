@@ -1,7 +1,7 @@
 // src/services/api.js - Updated with ConfigService integration
 import axios from 'axios'
 import configService from './config/configService'
-import { generateCacheKey, getCache, setCache, getCacheTimestamp } from '../utils/cacheUtils'
+import { generateCacheKey, getCacheEntry, setCache } from '../utils/cacheUtils'
 
 // Create axios instance with ConfigService baseURL
 const apiService = axios.create({
@@ -50,7 +50,8 @@ apiService.interceptors.response.use(
     if (!error.response) {
       console.error('Network error:', error)
       return Promise.reject({ 
-        message: 'Network error. Please check your connection and try again.'
+        message: 'Network error. Please check your connection and try again.',
+        isNetworkError: true
       })
     }
     
@@ -119,14 +120,15 @@ export const withCache = (apiCall, cacheOptions) => {
       return response;
     }
     
-    // Generate cache key for localStorage
+    // Generate cache key (scoped to the current user and organization)
     const cacheKey = generateCacheKey(collectionName, operation, id, params);
     
-    // Try to get from cache first
-    const cachedData = getCache(cacheKey);
-    const cachedTimestamp = getCacheTimestamp(cacheKey);
+    // Try to get from cache first (expired entries are not returned)
+    const cachedEntry = await getCacheEntry(cacheKey);
     
-    if (cachedData) {
+    if (cachedEntry && cachedEntry.data) {
+      const { data: cachedData, timestamp: cachedTimestamp } = cachedEntry;
+      
       // Update cache store with the cached timestamp and data
       if (cacheStore && collectionName && operation) {
         cacheStore.updateTimestamp(collectionName, cachedTimestamp);
@@ -139,8 +141,8 @@ export const withCache = (apiCall, cacheOptions) => {
       setTimeout(() => {
         apiCall()
           .then(freshResponse => {
-            // Update localStorage cache with fresh data
-            setCache(cacheKey, freshResponse.data);
+            // Update the persistent cache with fresh data
+            setCache(cacheKey, freshResponse.data, collectionName);
             
             // Update timestamp and data in the reactive store
             if (cacheStore && collectionName && operation) {
@@ -169,8 +171,8 @@ export const withCache = (apiCall, cacheOptions) => {
       if (cacheStore) cacheStore.startRefresh();
       const response = await apiCall();
       
-      // Cache the successful response in localStorage
-      setCache(cacheKey, response.data);
+      // Cache the successful response
+      await setCache(cacheKey, response.data, collectionName);
       
       // Update timestamp and data in the store
       if (cacheStore && collectionName && operation) {
@@ -3,11 +3,28 @@ import { apiHelpers } from '../api'
 import { clearCollectionCache } from '../../utils/cacheUtils'
 import configService from '../config/configService'
 import { generateUUIDv7 } from '../../utils/uuidUtils'
+import outboxService, { isOfflineError } from '../offline/outboxService'
+import realtimeService from '../realtime/realtimeService'
 import {
   transformResponse,
   transformPaginationParams
 } from '../pocketbase-config'
 
+/**
+ * Error thrown when an entity fails validation before it is sent to the API
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Object} errors - Error messages keyed by field path
+   */
+  constructor(message, errors = {}) {
+    super(message)
+    this.name = 'ValidationError'
+    this.errors = errors
+  }
+}
+
 /**
  * Base service class for entity operations
  * Updated to automatically include organization_id on creation
@@ -20,6 +37,8 @@ export class BaseService {
    * @param {Object} options - Service options
    * @param {Array<string>} options.jsonFields - Fields to be parsed/stringified as JSON
    * @param {Array<string>} options.expandFields - Fields to expand in queries
+   * @param {boolean} options.offlineQueue - Queue mutations in the offline outbox when the API is unreachable
+   * @param {Array<string>} options.exportExcludeFields - Fields left out of CSV/JSON/XLSX exports (also inside expanded relations)
    */
   constructor(collectionName, collectionEndpoint, options = {}) {
     this.collectionName = collectionName
@@ -28,8 +47,16 @@ export class BaseService {
       // Default options
       jsonFields: [], // Fields to be parsed/stringified as JSON
       expandFields: [], // Fields to expand in queries
+      offlineQueue: true, // Queue mutations while offline
+      exportExcludeFields: ['password'], // Secrets never written to export files
       ...options
     }
+    
+    // Last seen `updated` timestamp per record, used to detect conflicts on offline replay
+    this.recordVersions = new Map()
+    
+    outboxService.registerService(this)
+    realtimeService.registerService(this)
   }
 
   /**
@@ -146,6 +173,7 @@ export class BaseService {
       .then(response => {
         // Process the response data
         const processedData = this.processResponseData(response.data);
+        this.rememberVersions(processedData.items);
         
         return { 
           data: processedData, 
@@ -155,6 +183,33 @@ export class BaseService {
       });
   }
   
+  /**
+   * Get every entity matching a query by walking all pages of getList
+   * Bypasses the cache so exports and imports see current data
+   * @param {Object} params - Query parameters (filters, sort, expand)
+   * @param {Object} options - Options
+   * @param {number} options.perPage - Page size used while walking (default: 200)
+   * @param {Function} options.onProgress - Called with (loadedCount, totalItems) after each page
+   * @returns {Promise<Array>} - All matching entities
+   */
+  async getFullList(params = {}, options = {}) {
+    const { perPage = 200, onProgress = null } = options;
+    const items = [];
+    let page = 1;
+    let totalPages = 1;
+    
+    do {
+      const response = await this.getList({ ...params, page, perPage, skipCache: true });
+      items.push(...(response.data.items || []));
+      totalPages = response.data.totalPages || 1;
+      
+      if (onProgress) onProgress(items.length, response.data.totalItems ?? items.length);
+      page++;
+    } while (page <= totalPages);
+    
+    return items;
+  }
+  
   /**
    * Process and transform response data
    * @param {Object} data - Response data
@@ -206,6 +261,7 @@ export class BaseService {
         if (response.data) {
           // Apply JSON field parsing
           response.data = this.parseJsonFields(response.data);
+          this.rememberVersions([response.data]);
         }
         return response;
       });
@@ -244,6 +300,9 @@ export class BaseService {
       id: entityData.id || generateUUIDv7()
     };
     
+    // Reject non-conforming payloads before they reach the API
+    await this.validateBeforeSave(entityWithId, { operation: 'create' });
+    
     // Process entity data before sending to API
     const processedData = this.stringifyJsonFields(entityWithId);
     
@@ -256,10 +315,14 @@ export class BaseService {
       if (response.data) {
         // Apply JSON field parsing to response
         response.data = this.parseJsonFields(response.data);
+        this.rememberVersions([response.data]);
       }
       
       return response;
     } catch (error) {
+      if (this.shouldQueueOffline(error)) {
+        return this.queueMutation('create', entityWithId.id, endpoint, processedData);
+      }
       console.error(`Error creating ${this.collectionName}:`, error);
       throw error;
     }
@@ -274,6 +337,9 @@ export class BaseService {
   async update(id, entity) {
     const endpoint = this.collectionEndpoint(this.collectionName, id)
     
+    // Reject non-conforming payloads before they reach the API
+    await this.validateBeforeSave(entity, { operation: 'update', id })
+    
     // Process entity data before sending to API
     const processedData = this.stringifyJsonFields(entity)
     
@@ -286,10 +352,14 @@ export class BaseService {
       if (response.data) {
         // Apply JSON field parsing to response
         response.data = this.parseJsonFields(response.data);
+        this.rememberVersions([response.data]);
       }
       
       return response;
     } catch (error) {
+      if (this.shouldQueueOffline(error)) {
+        return this.queueMutation('update', id, endpoint, processedData);
+      }
       console.error(`Error updating ${this.collectionName}:`, error);
       throw error;
     }
@@ -311,20 +381,88 @@ export class BaseService {
       
       return response;
     } catch (error) {
+      if (this.shouldQueueOffline(error)) {
+        return this.queueMutation('delete', id, endpoint, null);
+      }
       console.error(`Error deleting ${this.collectionName}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Run validateEntity, tolerating lookups that fail because the API is unreachable
+   * (the mutation itself will then be queued offline)
+   * @param {Object} entity - Entity data
+   * @param {Object} context - Validation context
+   */
+  async validateBeforeSave(entity, context) {
+    try {
+      await this.validateEntity(entity, context);
+    } catch (error) {
+      if (error instanceof ValidationError || !this.shouldQueueOffline(error)) {
+        throw error;
+      }
+      console.warn(`Skipping ${this.collectionName} validation while offline:`, error);
+    }
+  }
+
+  /**
+   * Check whether a failed mutation should be queued in the offline outbox
+   * @param {Object} error - API error
+   * @returns {boolean} - True if the API was unreachable and queueing is possible for the signed-in user
+   */
+  shouldQueueOffline(error) {
+    return this.options.offlineQueue && outboxService.canQueue() && isOfflineError(error);
+  }
+
+  /**
+   * Queue a mutation in the offline outbox and return a response shaped like the API's
+   * @param {string} operation - 'create', 'update' or 'delete'
+   * @param {string} id - Record ID
+   * @param {string} endpoint - API endpoint
+   * @param {Object|null} data - Processed request payload
+   * @returns {Promise<Object>} - Response with `queued: true`
+   */
+  async queueMutation(operation, id, endpoint, data) {
+    await outboxService.enqueue({
+      operation,
+      collectionName: this.collectionName,
+      recordId: id,
+      endpoint,
+      data,
+      baseUpdated: this.recordVersions.get(id) || null,
+      label: data?.code || data?.name || data?.username || id
+    });
+    
+    console.warn(`${this.collectionName} ${operation} queued offline for ${id}`);
+    
+    return {
+      data: data ? this.parseJsonFields({ ...data, id }) : null,
+      queued: true
+    };
+  }
+
+  /**
+   * Remember the `updated` timestamp of fetched records for offline conflict detection
+   * @param {Array<Object>} records - Records returned by the API
+   */
+  rememberVersions(records = []) {
+    records.forEach(record => {
+      if (record?.id && record.updated) {
+        this.recordVersions.set(record.id, record.updated);
+      }
+    });
+  }
+
   /**
    * Clear cache for this collection in both localStorage and reactive store
    */
   async clearCache() {
     const authData = this.getUserAuthData();
     
-    // Clear localStorage cache
+    // Clear persistent cache
     if (configService.isCacheEnabled()) {
-      clearCollectionCache(this.collectionName, authData?.userId);
+      await clearCollectionCache(this.collectionName, authData?.userId);
     }
     
     // Clear reactive store cache
@@ -384,6 +522,19 @@ export class BaseService {
     return result
   }
 
+  /**
+   * Entity validation hook, called before create and update
+   * Throw a ValidationError to reject the payload
+   * @param {Object} entity - Entity data about to be sent (update payloads may be partial)
+   * @param {Object} context - Validation context
+   * @param {string} context.operation - 'create' or 'update'
+   * @param {string} context.id - Entity ID for updates
+   * @returns {Promise<void>}
+   */
+  async validateEntity(entity, context) {
+    // Override in subclasses if needed
+  }
+
   /**
    * Custom parameter transformation hook
    * @param {Object} transformedParams - Transformed parameters
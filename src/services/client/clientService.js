@@ -6,6 +6,8 @@ import {
 } from '../pocketbase-config'
 import configService from '../config/configService'
 import { apiHelpers } from '../api'
+import dayjs from 'dayjs'
+import { generatePassword, resolvePasswordPolicy, DEFAULT_PASSWORD_POLICY } from '../../utils/passwordUtils'
 
 /**
  * Service for Client entity operations
@@ -19,6 +21,8 @@ import { apiHelpers } from '../api'
  * - password: Bcrypt hashed password for NATS authentication
  * - role_id: Relation field pointing to a single record in topic_permissions
  * - active: Boolean indicating if the client is enabled
+ * - credentials_issued_at: Date the current password was issued
+ * - credentials_expires_at: Date the current password should be rotated by
  */
 export class ClientService extends BaseService {
   constructor() {
@@ -27,26 +31,59 @@ export class ClientService extends BaseService {
       collectionEndpoint,
       {
         jsonFields: [],
-        expandFields: ['role_id']
+        expandFields: ['role_id'],
+        // Exports go to auditors; the bcrypt hash stays out of them
+        exportExcludeFields: ['password']
       }
     )
   }
   
   /**
-   * Hash a password using bcrypt (via external server API)
-   * Now uses ConfigService for external service URL handling
+   * Hash a password using bcrypt
+   * The hashing backend is selected with configService.getPasswordHashMode():
+   * - 'external': hash service endpoint (HASH_PASSWORD)
+   * - 'local': bcrypt in the browser
+   * - 'auto': external service, falling back to local bcrypt when it is not configured or unreachable
    * @param {string} password - Plain text password to hash
    * @returns {Promise<string>} - Hashed password
    */
-  hashPassword(password) {
+  async hashPassword(password) {
+    const mode = configService.getPasswordHashMode()
+    
+    if (mode === 'local') {
+      return this.hashPasswordLocally(password)
+    }
+    
     // Use ConfigService to get the external service URL
     const hashPasswordUrl = configService.getExternalServiceUrl('HASH_PASSWORD')
     
     if (!hashPasswordUrl) {
+      if (mode === 'auto') return this.hashPasswordLocally(password)
       throw new Error('Hash password service URL not configured')
     }
     
-    return apiHelpers.axiosInstance.post(hashPasswordUrl, { 
+    try {
+      return await this.requestPasswordHash(hashPasswordUrl, password)
+    } catch (error) {
+      // Only fall back when the service could not be reached, not when it answered with an error
+      if (mode === 'auto' && !error.response) {
+        console.warn('Hash password service unreachable, hashing locally:', error.message)
+        return this.hashPasswordLocally(password)
+      }
+      
+      console.error('Error hashing password:', error)
+      throw new Error('Failed to hash password: ' + (error.message || 'Unknown error'))
+    }
+  }
+  
+  /**
+   * Hash a password with the external hash service
+   * @param {string} url - Hash service URL
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} - Hashed password
+   */
+  requestPasswordHash(url, password) {
+    return apiHelpers.axiosInstance.post(url, { 
       password 
     })
     .then(response => {
@@ -55,10 +92,17 @@ export class ClientService extends BaseService {
       }
       return response.data.hash
     })
-    .catch(error => {
-      console.error('Error hashing password:', error)
-      throw new Error('Failed to hash password: ' + (error.message || 'Unknown error'))
-    })
+  }
+  
+  /**
+   * Hash a password with bcrypt in the browser
+   * bcryptjs is loaded on first use so it stays out of the main bundle
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} - Hashed password
+   */
+  async hashPasswordLocally(password) {
+    const { default: bcrypt } = await import('bcryptjs')
+    return bcrypt.hash(password, configService.getBcryptRounds())
   }
   
   /**
@@ -127,6 +171,7 @@ export class ClientService extends BaseService {
   
   /**
    * Update client password with hashing
+   * Restarts the credential lifetime
    * @param {string} id - Client ID
    * @param {string} newPassword - New plain text password
    * @returns {Promise} - Axios promise with updated client
@@ -137,7 +182,10 @@ export class ClientService extends BaseService {
       const hashedPassword = await this.hashPassword(newPassword)
       
       // Update the client with the hashed password
-      return this.update(id, { password: hashedPassword })
+      return this.update(id, {
+        password: hashedPassword,
+        ...buildCredentialDates()
+      })
     } catch (error) {
       console.error('Error updating client password:', error)
       throw error
@@ -164,7 +212,8 @@ export class ClientService extends BaseService {
       // Create the client with hashed password
       return this.create({
         ...otherData,
-        password: hashedPassword
+        password: hashedPassword,
+        ...buildCredentialDates()
       })
     } catch (error) {
       console.error('Error creating client:', error)
@@ -172,6 +221,54 @@ export class ClientService extends BaseService {
     }
   }
   
+  /**
+   * Rotate client credentials
+   * Generates a new password, stores its hash and restarts the credential lifetime.
+   * The plain text password is only returned here and is never stored.
+   * The update is sent straight to the API and never queued offline, so the password
+   * is only returned once the server stores its hash.
+   * @param {string} id - Client ID
+   * @param {Object} options - Rotation options
+   * @param {number} options.lifetimeDays - Validity of the new password (defaults to config)
+   * @param {string|Object} options.policy - Password policy name or overrides (see PASSWORD_POLICIES)
+   * @returns {Promise<Object>} - { client, plainPassword }
+   */
+  async rotateCredentials(id, { lifetimeDays, policy } = {}) {
+    const plainPassword = generatePassword(policy)
+    const hashedPassword = await this.hashPassword(plainPassword)
+    
+    const response = await apiHelpers.update(this.collectionEndpoint(this.collectionName, id), null, {
+      password: hashedPassword,
+      ...buildCredentialDates(new Date(), lifetimeDays)
+    })
+    await this.clearCache()
+    
+    const client = this.parseJsonFields(response.data)
+    this.rememberVersions([client])
+    
+    return {
+      client,
+      plainPassword
+    }
+  }
+  
+  /**
+   * Get clients whose credentials are expired or expire within a number of days
+   * Clients without an expiry date are not included.
+   * @param {number} withinDays - Look-ahead window in days (defaults to config)
+   * @param {Object} params - Additional query parameters
+   * @returns {Promise<Array>} - Clients sorted by expiry date
+   */
+  getExpiringClients(withinDays, params = {}) {
+    const days = withinDays ?? configService.getCredentialSettings().expiryWarningDays
+    
+    return this.getFullList({
+      sort: 'credentials_expires_at',
+      ...params,
+      expires_before: dayjs().add(days, 'day').toDate()
+    })
+  }
+  
   /**
    * Custom parameter transformation for client specific filters
    * @override
@@ -192,6 +289,14 @@ export class ClientService extends BaseService {
         ? `${transformedParams.filter} && ${filter}`
         : filter
     }
+    
+    // Add credential expiry filter if specified
+    if (originalParams.expires_before) {
+      const filter = `credentials_expires_at!="" && credentials_expires_at<="${toPocketBaseDate(originalParams.expires_before)}"`
+      transformedParams.filter = transformedParams.filter 
+        ? `${transformedParams.filter} && ${filter}`
+        : filter
+    }
   }
 }
 
@@ -228,19 +333,56 @@ export const generateClientUsername = (clientType, name) => {
 
 /**
  * Generate a random secure password
+ * Uses crypto.getRandomValues (see utils/passwordUtils)
  * @param {number} length - Length of password
+ * @param {string|Object} policy - Policy name or overrides (see PASSWORD_POLICIES)
  * @returns {string} - Generated password
  */
-export const generateSecurePassword = (length = 16) => {
-  const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*()-_=+[]{}|;:,.<>?'
-  let password = ''
-  for (let i = 0; i < length; i++) {
-    const randomIndex = Math.floor(Math.random() * charset.length)
-    password += charset.charAt(randomIndex)
+export const generateSecurePassword = (length = 16, policy = DEFAULT_PASSWORD_POLICY) => {
+  return generatePassword({ ...resolvePasswordPolicy(policy), length })
+}
+
+/**
+ * Build credential issue/expiry dates for a newly set password
+ * @param {Date} issuedAt - Issue date
+ * @param {number} lifetimeDays - Validity in days (defaults to config)
+ * @returns {Object} - { credentials_issued_at, credentials_expires_at } as ISO strings
+ */
+export const buildCredentialDates = (issuedAt = new Date(), lifetimeDays) => {
+  const days = lifetimeDays ?? configService.getCredentialSettings().lifetimeDays
+  return {
+    credentials_issued_at: dayjs(issuedAt).toISOString(),
+    credentials_expires_at: dayjs(issuedAt).add(days, 'day').toISOString()
   }
-  return password
 }
 
+/**
+ * Get the credential status of a client
+ * @param {Object} client - Client record
+ * @param {number} warningDays - Days before expiry a credential counts as due (defaults to config)
+ * @returns {Object} - { status: 'expired' | 'due' | 'valid' | 'untracked', daysLeft }
+ */
+export const getCredentialStatus = (client, warningDays) => {
+  if (!client?.credentials_expires_at) {
+    return { status: 'untracked', daysLeft: null }
+  }
+  
+  const days = warningDays ?? configService.getCredentialSettings().expiryWarningDays
+  const expiresAt = dayjs(client.credentials_expires_at)
+  const daysLeft = expiresAt.diff(dayjs(), 'day')
+  
+  if (!expiresAt.isAfter(dayjs())) return { status: 'expired', daysLeft }
+  if (daysLeft < days) return { status: 'due', daysLeft }
+  return { status: 'valid', daysLeft }
+}
+
+/**
+ * Format a date for PocketBase filter comparisons ("YYYY-MM-DD HH:mm:ss.SSSZ")
+ * @param {Date|string} date - Date to format
+ * @returns {string} - PocketBase datetime string
+ */
+const toPocketBaseDate = (date) => dayjs(date).toISOString().replace('T', ' ')
+
 /**
  * Validate client username format
  * @param {string} username - Username to validate
@@ -1,5 +1,8 @@
 // src/services/config/configService.js
 
+// Supported client password hashing modes (see passwordHashing below)
+const PASSWORD_HASH_MODES = ['external', 'local', 'auto']
+
 /**
  * Centralized configuration service
  * 
@@ -40,8 +43,8 @@ class ConfigService {
         PROFILE: '/collections/users/auth-refresh'
       },
       
-      // External service endpoints (these can remain absolute)
-      HASH_PASSWORD: 'http://100.98.139.111:9000/sec/api/hash-password'
+      // External service endpoints (these can remain absolute); empty when not configured
+      HASH_PASSWORD: import.meta.env.VITE_HASH_PASSWORD_URL || ''
     }
     
     // Collection names
@@ -64,6 +67,38 @@ class ConfigService {
     // Cache configuration
     this.cache = {
       enabled: true, // Global cache enable/disable flag
+      backend: 'indexeddb', // 'indexeddb' or 'localStorage' (IndexedDB falls back to localStorage when unavailable)
+      defaultTtl: 10 * 60 * 1000, // Entries older than this are not served (ms)
+      defaultMaxBytes: 5 * 1024 * 1024, // Per-collection size budget, least recently used entries are evicted first
+      
+      // Per-collection overrides of ttl / maxBytes
+      collections: {
+        things: { maxBytes: 20 * 1024 * 1024 },
+        locations: { maxBytes: 10 * 1024 * 1024 },
+        audit_logs: { ttl: 60 * 1000 }
+      }
+    }
+    
+    // PocketBase realtime (SSE) configuration
+    this.realtime = {
+      enabled: true, // Subscribe to record changes for live cache invalidation
+      topicSuffix: '/*', // PocketBase >= 0.23 topic format ('<collection>/*'); use '' for older servers
+      reconnectDelay: 5000 // Delay before reopening a closed event stream (ms)
+    }
+    
+    // Messaging client credential lifecycle
+    this.credentials = {
+      lifetimeDays: 90, // Validity of newly issued client passwords
+      expiryWarningDays: 14 // Credentials expiring within this many days are reported as due
+    }
+    
+    // Client password hashing
+    this.passwordHashing = {
+      // 'external': hash service endpoint (HASH_PASSWORD)
+      // 'local': bcrypt in the browser
+      // 'auto': external service, falling back to local bcrypt when it is not configured or unreachable
+      mode: import.meta.env.VITE_PASSWORD_HASH_MODE || 'external',
+      bcryptRounds: Number(import.meta.env.VITE_BCRYPT_ROUNDS) || 11
     }
   }
   
@@ -186,6 +221,82 @@ class ConfigService {
     this.cache.enabled = !!enabled
   }
   
+  /**
+   * Get the cache backend name
+   * @returns {string} - 'indexeddb' or 'localStorage'
+   */
+  getCacheBackend() {
+    return this.cache.backend
+  }
+  
+  /**
+   * Get the cache TTL and size budget of a collection
+   * @param {string} collectionName - PocketBase collection name
+   * @returns {Object} - { ttl, maxBytes }
+   */
+  getCacheSettings(collectionName) {
+    const overrides = this.cache.collections[collectionName] || {}
+    return {
+      ttl: overrides.ttl ?? this.cache.defaultTtl,
+      maxBytes: overrides.maxBytes ?? this.cache.defaultMaxBytes
+    }
+  }
+  
+  /**
+   * Override the cache TTL and/or size budget of a collection
+   * @param {string} collectionName - PocketBase collection name
+   * @param {Object} settings - { ttl, maxBytes } (omitted values keep their current setting)
+   */
+  setCacheSettings(collectionName, settings = {}) {
+    this.cache.collections[collectionName] = {
+      ...this.cache.collections[collectionName],
+      ...settings
+    }
+  }
+  
+  /**
+   * Check if realtime cache invalidation is enabled
+   * @returns {boolean} - Whether realtime is enabled
+   */
+  isRealtimeEnabled() {
+    return this.realtime.enabled
+  }
+  
+  /**
+   * Get messaging client credential lifecycle settings
+   * @returns {Object} - { lifetimeDays, expiryWarningDays }
+   */
+  getCredentialSettings() {
+    return { ...this.credentials }
+  }
+  
+  /**
+   * Get the client password hashing mode
+   * @returns {string} - 'external', 'local' or 'auto'
+   */
+  getPasswordHashMode() {
+    return this.passwordHashing.mode
+  }
+  
+  /**
+   * Select the client password hashing mode
+   * @param {string} mode - 'external', 'local' or 'auto'
+   */
+  setPasswordHashMode(mode) {
+    if (!PASSWORD_HASH_MODES.includes(mode)) {
+      throw new Error(`Unknown password hash mode: ${mode}`)
+    }
+    this.passwordHashing.mode = mode
+  }
+  
+  /**
+   * Get the bcrypt cost factor used for local hashing
+   * @returns {number} - bcrypt rounds
+   */
+  getBcryptRounds() {
+    return this.passwordHashing.bcryptRounds
+  }
+  
   /**
    * Get app title
    * @returns {string} - Application title
@@ -212,6 +323,12 @@ class ConfigService {
       warnings.push('API_URL should not end with trailing slash')
     }
     
+    if (!PASSWORD_HASH_MODES.includes(this.passwordHashing.mode)) {
+      errors.push(`VITE_PASSWORD_HASH_MODE must be one of: ${PASSWORD_HASH_MODES.join(', ')}`)
+    } else if (this.passwordHashing.mode !== 'local' && !this.endpoints.HASH_PASSWORD) {
+      warnings.push('HASH_PASSWORD endpoint is not configured; client passwords cannot be hashed in external mode')
+    }
+    
     // Validate required environment variables
     if (!this.env.API_URL) {
       errors.push('VITE_API_URL is required')
@@ -86,6 +86,13 @@ export class EdgeService extends BaseService {
         ? `${transformedParams.filter} && region="${originalParams.region}"`
         : `region="${originalParams.region}"`
     }
+    
+    // Add filter for active status if provided
+    if (typeof originalParams.active === 'boolean') {
+      transformedParams.filter = transformedParams.filter 
+        ? `${transformedParams.filter} && active=${originalParams.active}`
+        : `active=${originalParams.active}`
+    }
   }
 }
 
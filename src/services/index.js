@@ -5,8 +5,9 @@ import { apiHelpers } from './api';
 import { edgeService, validateEdgeCode, generateEdgeCode } from './edge/edgeService';
 import { locationService, parseLocationPath, validateLocationCode, generateLocationCode, computeLocationPath, locationTypes as locationTypeOptions } from './location/locationService';
 import { thingService, validateThingCode, generateThingCode, getThingTypeAbbreviation } from './thing/thingService';
-import { clientService, generateClientUsername, generateSecurePassword } from './client/clientService';
-import { topicPermissionService, validateTopic } from './topic-permission/topicPermissionService';
+import { thingCommandService } from './thing/thingCommandService';
+import { clientService, generateClientUsername, generateSecurePassword, buildCredentialDates, getCredentialStatus } from './client/clientService';
+import { topicPermissionService, validateTopic, evaluateTopicAccess, evaluateTopicAccessBatch, analyzeTopicPermissions } from './topic-permission/topicPermissionService';
 import { userService } from './user/userService';
 import { auditLogService } from './audit/auditLogService';
 
@@ -16,9 +17,19 @@ import { edgeRegionService } from './type/edgeRegionService';
 import { locationTypeService } from './type/locationTypeService';
 import { thingTypeService } from './type/thingTypeService';
 
+// Offline outbox
+import { outboxService } from './offline/outboxService';
+
 // NATS services
 import natsService from './nats/natsService';
 import { natsConfigService } from './nats/natsConfigService';
+import { natsAuthConfigService } from './nats/natsAuthConfigService';
+import { natsMonitoringService } from './nats/natsMonitoringService';
+import { natsRecordingService } from './nats/natsRecordingService';
+import { natsJetStreamService } from './nats/natsJetStreamService';
+import { natsKvService } from './nats/natsKvService';
+import { natsDecoderService } from './nats/natsDecoderService';
+import { natsCredentialsService } from './nats/natsCredentialsService';
 
 // Legacy type exports (empty arrays for backward compatibility)
 export const edgeTypes = [];
@@ -35,6 +46,7 @@ export {
   edgeService,
   locationService,
   thingService,
+  thingCommandService,
   clientService,
   topicPermissionService,
   userService,
@@ -59,9 +71,14 @@ export {
   // Client utilities
   generateClientUsername,
   generateSecurePassword,
+  buildCredentialDates,
+  getCredentialStatus,
   
   // Topic permission utilities
   validateTopic,
+  evaluateTopicAccess,
+  evaluateTopicAccessBatch,
+  analyzeTopicPermissions,
   
   // Type management services
   edgeTypeService,
@@ -69,7 +86,17 @@ export {
   locationTypeService,
   thingTypeService,
   
+  // Offline outbox
+  outboxService,
+  
   // NATS services
   natsService,
-  natsConfigService
+  natsConfigService,
+  natsAuthConfigService,
+  natsMonitoringService,
+  natsRecordingService,
+  natsJetStreamService,
+  natsKvService,
+  natsDecoderService,
+  natsCredentialsService
 };
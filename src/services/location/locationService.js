@@ -1,11 +1,38 @@
 // src/services/location/locationService.js
-import { BaseService } from '../base/BaseService'
+import { BaseService, ValidationError } from '../base/BaseService'
 import { 
   COLLECTIONS, 
   collectionEndpoint 
 } from '../pocketbase-config'
 import { apiHelpers } from '../api'
 import configService from '../config/configService'
+import { isOfflineError } from '../offline/outboxService'
+
+// Number of path updates sent in parallel by recomputeSubtreePaths
+const PATH_UPDATE_BATCH_SIZE = 10
+
+/**
+ * Error thrown when a subtree path recompute fails part way
+ * Already written paths have been rolled back when this is thrown
+ */
+export class PathRecomputeError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Object} details - Recompute details
+   * @param {Array<Object>} details.changed - Planned path changes
+   * @param {number} details.rolledBack - Number of paths restored
+   * @param {Array<Object>} details.rollbackFailed - Changes that could not be restored
+   * @param {Error} details.cause - Error of the failed update
+   */
+  constructor(message, { changed = [], rolledBack = 0, rollbackFailed = [], cause = null } = {}) {
+    super(message)
+    this.name = 'PathRecomputeError'
+    this.changed = changed
+    this.rolledBack = rolledBack
+    this.rollbackFailed = rollbackFailed
+    this.cause = cause
+  }
+}
 
 /**
  * Service for Location entity operations
@@ -242,33 +269,252 @@ export class LocationService extends BaseService {
   
   /**
    * Update location path based on parent change
-   * This ensures path is consistent with parent-child relationships
+   * This ensures path is consistent with parent-child relationships;
+   * descendants are updated as well (see recomputeSubtreePaths)
    * @param {string} id - Location ID
    * @param {string} parentId - New parent ID
-   * @returns {Promise} - Axios promise with updated location
+   * @returns {Promise<Object>} - Recompute report
    */
   async updateLocationPath(id, parentId) {
     try {
-      // Get the current location
-      const locationResponse = await this.getById(id)
-      const location = locationResponse.data
+      let parentPath = ''
       
-      let newPath = location.code
-      
-      // If parent exists, get parent path and compute new path
+      // If parent exists, the new path is built on the parent path
       if (parentId) {
         const parentResponse = await this.getById(parentId)
-        const parent = parentResponse.data
-        newPath = this.computeLocationPath(parent.path, location.code)
+        parentPath = parentResponse.data.path || ''
       }
       
-      // Update location with new path
-      return this.update(id, { path: newPath })
+      return await this.recomputeSubtreePaths(id, { parentPath })
     } catch (error) {
       console.error('Error updating location path:', error)
       throw error
     }
   }
+  
+  /**
+   * Get every descendant of a location, parents before their children
+   * 
+   * Locations cannot be moved across edges, so the whole subtree is loaded with
+   * a single query for the edge and walked client-side by parent_id. Stored paths
+   * are not used for the lookup since they are what a recompute repairs.
+   * 
+   * @param {string} id - Location ID
+   * @param {string} edgeId - Edge of the location (fetched when omitted)
+   * @returns {Promise<Array>} - Descendant locations in breadth-first order
+   */
+  async getDescendants(id, edgeId) {
+    if (!edgeId) {
+      edgeId = (await this.getById(id)).data.edge_id
+    }
+    
+    const locations = await this.getFullList({ edge_id: edgeId, sort: 'created' })
+    const childrenByParent = new Map()
+    locations.forEach(item => {
+      if (!item.parent_id) return
+      if (!childrenByParent.has(item.parent_id)) childrenByParent.set(item.parent_id, [])
+      childrenByParent.get(item.parent_id).push(item)
+    })
+    
+    const descendants = []
+    const visited = new Set([id])
+    let parentIds = [id]
+    
+    while (parentIds.length > 0) {
+      // Guard against corrupt data that already contains a cycle
+      const children = parentIds
+        .flatMap(parentId => childrenByParent.get(parentId) || [])
+        .filter(child => !visited.has(child.id))
+      
+      children.forEach(child => visited.add(child.id))
+      descendants.push(...children)
+      parentIds = children.map(child => child.id)
+    }
+    
+    return descendants
+  }
+  
+  /**
+   * Write the path of a location directly to the API
+   * Bypasses the offline outbox: a queued write would look like a success and
+   * skip the rollback, leaving the subtree half-renamed once it replays
+   * @param {string} id - Location ID
+   * @param {string} path - New path
+   * @returns {Promise<Object>} - Axios response
+   */
+  writePath(id, path) {
+    return apiHelpers.update(this.collectionEndpoint(this.collectionName, id), null, { path })
+  }
+  
+  /**
+   * Write the parent of a location directly to the API
+   * Bypasses the offline outbox for the same reason as writePath: the subtree paths
+   * are recomputed against the new parent right after
+   * @param {string} id - Location ID
+   * @param {string} parentId - New parent ID ('' for a root location)
+   * @returns {Promise<Object>} - Axios response
+   * @throws {Error} - With code OFFLINE when the API is unreachable
+   */
+  async writeParent(id, parentId) {
+    try {
+      return await apiHelpers.update(this.collectionEndpoint(this.collectionName, id), null, { parent_id: parentId })
+    } catch (error) {
+      if (isOfflineError(error)) {
+        const offlineError = new Error('Locations cannot be moved while the API is unreachable')
+        offlineError.code = 'OFFLINE'
+        throw offlineError
+      }
+      throw error
+    }
+  }
+  
+  /**
+   * Recompute the path of a location and of its whole subtree
+   * 
+   * Paths are computed with computeLocationPath from the parent path down, and
+   * only records whose path differs are written. Updates are sent in batches
+   * straight to the API (never queued offline); if any update in a batch fails,
+   * every path already written is restored to its previous value and a
+   * PathRecomputeError is thrown.
+   * 
+   * @param {string} id - Root location ID
+   * @param {Object} options - Options
+   * @param {string} options.parentPath - Path of the root's parent ('' for a root location);
+   *   fetched from the current parent when omitted
+   * @param {number} options.batchSize - Updates sent in parallel (default: 10)
+   * @returns {Promise<Object>} - Report: { changed: [{ id, code, oldPath, newPath }], unchanged, total }
+   */
+  async recomputeSubtreePaths(id, options = {}) {
+    const { batchSize = PATH_UPDATE_BATCH_SIZE } = options
+    const location = (await this.getById(id)).data
+    
+    let parentPath = options.parentPath
+    if (parentPath === undefined) {
+      parentPath = location.parent_id
+        ? (await this.getById(location.parent_id)).data.path || ''
+        : ''
+    }
+    
+    // Descendants are returned parents-first, so each parent path is known before its children
+    const subtree = [location, ...await this.getDescendants(id, location.edge_id)]
+    const paths = new Map()
+    const changed = []
+    
+    subtree.forEach(record => {
+      const basePath = record.id === id ? parentPath : paths.get(record.parent_id)
+      const newPath = this.computeLocationPath(basePath, record.code)
+      paths.set(record.id, newPath)
+      
+      if (record.path !== newPath) {
+        changed.push({ id: record.id, code: record.code, oldPath: record.path || '', newPath })
+      }
+    })
+    
+    const applied = []
+    
+    for (let i = 0; i < changed.length; i += batchSize) {
+      const batch = changed.slice(i, i + batchSize)
+      const results = await Promise.allSettled(
+        batch.map(change => this.writePath(change.id, change.newPath))
+      )
+      
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') applied.push(batch[index])
+      })
+      
+      const failure = results.find(result => result.status === 'rejected')
+      if (failure) {
+        const rollbackFailed = await this.restorePaths(applied, batchSize)
+        throw new PathRecomputeError(
+          `Failed to update location paths: ${failure.reason?.message || 'unknown error'}`,
+          { changed, rolledBack: applied.length - rollbackFailed.length, rollbackFailed, cause: failure.reason }
+        )
+      }
+    }
+    
+    if (changed.length > 0) {
+      await this.clearCache()
+    }
+    
+    return { changed, unchanged: subtree.length - changed.length, total: subtree.length }
+  }
+  
+  /**
+   * Restore the previous paths of already updated locations (rollback)
+   * @param {Array<Object>} changes - Applied changes ({ id, oldPath })
+   * @param {number} batchSize - Updates sent in parallel
+   * @returns {Promise<Array<Object>>} - Changes that could not be restored
+   */
+  async restorePaths(changes, batchSize = PATH_UPDATE_BATCH_SIZE) {
+    const failed = []
+    
+    for (let i = 0; i < changes.length; i += batchSize) {
+      const batch = changes.slice(i, i + batchSize)
+      const results = await Promise.allSettled(
+        batch.map(change => this.writePath(change.id, change.oldPath))
+      )
+      
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') failed.push(batch[index])
+      })
+    }
+    
+    if (failed.length > 0) {
+      console.error('Failed to restore location paths:', failed)
+    }
+    
+    if (changes.length > 0) {
+      await this.clearCache()
+    }
+    
+    return failed
+  }
+  
+  /**
+   * Move a location under a new parent (or to the root of its edge)
+   * Rejects circular moves and moves across edges, then recomputes the path
+   * of the moved location and of all its descendants. If the paths cannot be
+   * written, the parent change is reverted as well. Moves are never queued
+   * offline; while the API is unreachable they fail with code OFFLINE.
+   * @param {string} id - Location ID
+   * @param {string|null} newParentId - New parent ID, or null for a root location
+   * @returns {Promise<Object>} - { data: moved location, report: recompute report }
+   */
+  async moveLocation(id, newParentId) {
+    const parentId = newParentId || ''
+    
+    if (await this.isCircularReference(id, parentId)) {
+      throw new ValidationError('A location cannot be moved under itself or one of its descendants', {
+        parent_id: 'Circular reference'
+      })
+    }
+    
+    const location = (await this.getById(id)).data
+    let parent = null
+    
+    if (parentId) {
+      parent = (await this.getById(parentId)).data
+      if (parent.edge_id !== location.edge_id) {
+        throw new ValidationError('Locations can only be moved within the same edge', {
+          parent_id: 'Parent belongs to a different edge'
+        })
+      }
+    }
+    
+    const response = await this.writeParent(id, parentId)
+    await this.clearCache()
+    
+    try {
+      const report = await this.recomputeSubtreePaths(id, { parentPath: parent?.path || '' })
+      const path = this.computeLocationPath(parent?.path || '', location.code)
+      return { data: { ...this.parseJsonFields(response.data), path }, report }
+    } catch (error) {
+      await this.writeParent(id, location.parent_id || '')
+        .catch(revertError => console.error('Failed to revert location parent:', revertError))
+      await this.clearCache()
+      throw error
+    }
+  }
 }
 
 // Create instance
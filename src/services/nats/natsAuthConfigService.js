@@ -0,0 +1,207 @@
+// src/services/nats/natsAuthConfigService.js
+import { clientService } from '../client/clientService';
+import { topicPermissionService } from '../topic-permission/topicPermissionService';
+
+// Last export per organization, with password hashes replaced by fingerprints
+const STORAGE_KEY = 'nats_auth_config_baselines';
+
+// Used when a role grants nothing for an action: an empty allow list would not restrict anything
+const DENY_ALL = { deny: ['>'] };
+
+/**
+ * Builds NATS server `authorization` configuration from the clients and
+ * topic_permissions collections, and remembers the last exported version
+ * per organization so changes can be reviewed before deploying.
+ * Only a baseline of each export is stored: the permissions as exported and a
+ * fingerprint of every password hash, never the hashes themselves.
+ *
+ * Mapping:
+ * - each active client becomes a user (username + bcrypt hash)
+ * - the client's role becomes `permissions.publish/subscribe.allow`
+ * - inactive clients are left out (listed as comments in the .conf output)
+ */
+export class NatsAuthConfigService {
+  /**
+   * Load every client and role and build the config model
+   * @returns {Promise<Object>} - Config model (see buildModel)
+   */
+  async generate() {
+    const [clients, permissions] = await Promise.all([
+      clientService.getFullList({ sort: 'username' }),
+      topicPermissionService.getFullList({ sort: 'name' })
+    ]);
+
+    return this.buildModel(clients, permissions);
+  }
+
+  /**
+   * Build the config model from records
+   * @param {Array<Object>} clients - Client records
+   * @param {Array<Object>} permissions - Topic permission records
+   * @returns {Object} - { users, disabledUsers, warnings }
+   */
+  buildModel(clients, permissions) {
+    const roles = new Map(permissions.map(permission => [permission.id, permission]));
+    const users = [];
+    const disabledUsers = [];
+    const warnings = [];
+
+    clients.forEach(client => {
+      if (!client.active) {
+        disabledUsers.push(client.username);
+        return;
+      }
+
+      const role = client.role_id ? roles.get(client.role_id) : null;
+      if (!role) {
+        warnings.push(`${client.username} has no role and is denied all subjects`);
+      }
+      if (!client.password) {
+        warnings.push(`${client.username} has no password hash`);
+      }
+
+      users.push({
+        user: client.username,
+        password: client.password || '',
+        role: role?.name || null,
+        permissions: {
+          publish: this.buildAllowList(role?.publish_permissions),
+          subscribe: this.buildAllowList(role?.subscribe_permissions)
+        }
+      });
+    });
+
+    return { users, disabledUsers, warnings };
+  }
+
+  /**
+   * Build a NATS permission entry from a role pattern list
+   * @param {Array<string>} patterns - Subject patterns
+   * @returns {Object} - { allow: [...] } or a deny-all entry
+   */
+  buildAllowList(patterns) {
+    const allow = [...new Set((patterns || []).filter(Boolean))];
+    return allow.length > 0 ? { allow } : { ...DENY_ALL };
+  }
+
+  /**
+   * Render the model as a NATS server configuration block
+   * @param {Object} model - Config model
+   * @returns {string} - nats-server.conf `authorization` block
+   */
+  renderConf(model) {
+    const quote = (value) => JSON.stringify(value);
+    // Names end up in `#` comments: a line break would start a config line of its own
+    const comment = (value) => String(value).replace(/[\r\n]+/g, ' ');
+    const renderList = (values) => `[${values.map(quote).join(', ')}]`;
+    const renderPermission = (permission) => permission.allow
+      ? `{ allow: ${renderList(permission.allow)} }`
+      : `{ deny: ${renderList(permission.deny)} }`;
+
+    const lines = [
+      '# NATS authorization generated from clients and topic permissions',
+      `# ${model.users.length} active user(s), ${model.disabledUsers.length} inactive client(s) excluded`,
+      ...model.disabledUsers.map(username => `# inactive: ${comment(username)}`),
+      'authorization {',
+      '  users = ['
+    ];
+
+    model.users.forEach(user => {
+      lines.push('    {');
+      if (user.role) lines.push(`      # role: ${comment(user.role)}`);
+      lines.push(`      user: ${quote(user.user)}`);
+      lines.push(`      password: ${quote(user.password)}`);
+      lines.push('      permissions: {');
+      lines.push(`        publish: ${renderPermission(user.permissions.publish)}`);
+      lines.push(`        subscribe: ${renderPermission(user.permissions.subscribe)}`);
+      lines.push('      }');
+      lines.push('    }');
+    });
+
+    lines.push('  ]', '}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the model as the JSON equivalent of the configuration block
+   * @param {Object} model - Config model
+   * @returns {string} - Pretty-printed JSON
+   */
+  renderJson(model) {
+    return JSON.stringify({
+      authorization: {
+        users: model.users.map(({ user, password, permissions }) => ({ user, password, permissions }))
+      }
+    }, null, 2);
+  }
+
+  /**
+   * Fingerprint a password hash so a changed password shows up in a diff
+   * @param {string} hash - bcrypt hash
+   * @returns {Promise<string>} - Truncated SHA-256 of the hash, or '' without one
+   */
+  async fingerprint(hash) {
+    if (!hash) return '';
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(hash));
+    const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `sha256:${hex.slice(0, 16)}`;
+  }
+
+  /**
+   * Build the baseline of a model: the same model with fingerprints instead of password hashes
+   * Render it with renderConf / renderJson to diff against another baseline
+   * @param {Object} model - Config model
+   * @returns {Promise<Object>} - { users, disabledUsers }
+   */
+  async toBaseline(model) {
+    const users = await Promise.all(model.users.map(async user => ({
+      ...user,
+      password: await this.fingerprint(user.password)
+    })));
+    return { users, disabledUsers: [...model.disabledUsers] };
+  }
+
+  /**
+   * Read the stored baselines
+   * @returns {Object} - Baselines by organization ID
+   */
+  readBaselines() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('Error parsing NATS config baselines:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get the baseline of the last export for an organization
+   * @param {string} organizationId - Organization ID
+   * @returns {Object|null} - { model, userCount, exportedAt }; model is a baseline (see toBaseline)
+   */
+  getLastExport(organizationId) {
+    return this.readBaselines()[organizationId || 'default'] || null;
+  }
+
+  /**
+   * Remember the baseline of an exported model for an organization
+   * @param {string} organizationId - Organization ID
+   * @param {Object} model - Exported config model
+   * @returns {Promise<Object>} - Stored { model, userCount, exportedAt }
+   */
+  async saveExport(organizationId, model) {
+    const stored = {
+      model: await this.toBaseline(model),
+      userCount: model.users.length,
+      exportedAt: new Date().toISOString()
+    };
+    const baselines = this.readBaselines();
+    baselines[organizationId || 'default'] = stored;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(baselines));
+    return stored;
+  }
+}
+
+// Create instance
+export const natsAuthConfigService = new NatsAuthConfigService();
+export default natsAuthConfigService;
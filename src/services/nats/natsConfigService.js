@@ -1,29 +1,322 @@
 // src/services/nats/natsConfigService.js
-const STORAGE_KEY = 'nats_config';
+const STORAGE_KEY = 'nats_config';  // Single configuration used before profiles existed (migrated once)
+const PROFILES_KEY = 'nats_profiles';
+const EXPORT_VERSION = 1;
+
+// Settings that are not written to profile exports
+const SECRET_FIELDS = ['pass', 'token', 'credentials'];
+
+/**
+ * Generate a profile id
+ * @returns {string} - Unique id
+ */
+function generateProfileId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
 
 export class NatsConfigService {
   /**
-   * Get NATS configuration from localStorage
-   * @returns {Object} - NATS configuration
+   * Get the organization whose profiles are active
+   * Uses the organization id kept in the auth data by the organization store
+   * @returns {string} - Organization id, or 'default' when no organization is selected
    */
-  getConfig() {
+  getOrganizationId() {
+    try {
+      const authData = JSON.parse(localStorage.getItem('auth') || '{}');
+      return authData.currentOrgId || authData.user?.current_organization_id || 'default';
+    } catch (error) {
+      return 'default';
+    }
+  }
+  
+  /**
+   * Read the stored profiles of all organizations
+   * @returns {Object} - { [organizationId]: { activeProfileId, profiles } }
+   */
+  loadProfileStore() {
+    try {
+      return JSON.parse(localStorage.getItem(PROFILES_KEY) || '{}') || {};
+    } catch (error) {
+      console.error('Error parsing NATS profiles:', error);
+      return {};
+    }
+  }
+  
+  /**
+   * Write the stored profiles of all organizations
+   * @param {Object} store - Profiles by organization
+   */
+  saveProfileStore(store) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(store));
+  }
+  
+  /**
+   * Get the profiles of an organization, creating the first one if needed
+   * The configuration saved before profiles existed becomes the first profile of the
+   * current organization (once, then it is deleted); other organizations start from defaults
+   * @param {string} organizationId - Organization id (defaults to the current organization)
+   * @returns {Object} - { activeProfileId, profiles }
+   */
+  getOrganizationProfiles(organizationId = this.getOrganizationId()) {
+    const store = this.loadProfileStore();
+    const entry = store[organizationId];
+    if (entry?.profiles?.length > 0) {
+      return entry;
+    }
+    
+    // Without a selected organization the old configuration waits for one
+    const legacyConfig = organizationId !== 'default' && organizationId === this.getOrganizationId()
+      ? this.getLegacyConfig()
+      : null;
+    
+    const profile = {
+      ...(legacyConfig || this.getDefaultConfig()),
+      id: generateProfileId(),
+      name: 'Default'
+    };
+    store[organizationId] = { activeProfileId: profile.id, profiles: [profile] };
+    this.saveProfileStore(store);
+    
+    if (legacyConfig) {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+    return store[organizationId];
+  }
+  
+  /**
+   * Update the profiles of the current organization
+   * @param {Function} update - Receives { activeProfileId, profiles } and changes it in place
+   * @returns {Object} - Updated { activeProfileId, profiles }
+   */
+  updateOrganizationProfiles(update) {
+    const organizationId = this.getOrganizationId();
+    const entry = this.getOrganizationProfiles(organizationId);
+    update(entry);
+    
+    const store = this.loadProfileStore();
+    store[organizationId] = entry;
+    this.saveProfileStore(store);
+    return entry;
+  }
+  
+  /**
+   * Fill in settings added after a profile was saved
+   * @param {Object} profile - Stored profile
+   * @returns {Object} - Complete profile
+   */
+  normalizeProfile(profile) {
+    return {
+      ...this.getDefaultConfig(),
+      // Configurations saved before authMethod existed used a token or user/pass
+      authMethod: profile.token ? 'token' : 'password',
+      ...profile
+    };
+  }
+  
+  /**
+   * Get the connection profiles of the current organization
+   * @returns {Array} - Profiles ({ id, name, ...config })
+   */
+  getProfiles() {
+    return this.getOrganizationProfiles().profiles.map(profile => this.normalizeProfile(profile));
+  }
+  
+  /**
+   * Get the id of the active profile of the current organization
+   * @returns {string} - Profile id
+   */
+  getActiveProfileId() {
+    const { activeProfileId, profiles } = this.getOrganizationProfiles();
+    return profiles.some(profile => profile.id === activeProfileId) ? activeProfileId : profiles[0].id;
+  }
+  
+  /**
+   * Make a profile the active one for the current organization
+   * @param {string} profileId - Profile id
+   * @returns {Object} - Active profile
+   * @throws {Error} - If the profile does not exist
+   */
+  setActiveProfile(profileId) {
+    const profile = this.getProfiles().find(item => item.id === profileId);
+    if (!profile) {
+      throw new Error('NATS connection profile not found');
+    }
+    
+    this.updateOrganizationProfiles(entry => {
+      entry.activeProfileId = profileId;
+    });
+    return profile;
+  }
+  
+  /**
+   * Create a connection profile for the current organization
+   * @param {Object} data - Profile settings (name and any configuration fields)
+   * @returns {Object} - Created profile
+   */
+  createProfile(data = {}) {
+    const profile = {
+      ...this.getDefaultConfig(),
+      ...data,
+      id: generateProfileId(),
+      name: this.uniqueProfileName(data.name || 'New Profile')
+    };
+    
+    this.updateOrganizationProfiles(entry => {
+      entry.profiles.push(profile);
+    });
+    return profile;
+  }
+  
+  /**
+   * Change the settings of a profile
+   * @param {string} profileId - Profile id
+   * @param {Object} changes - Settings to change
+   * @returns {Object} - Updated profile
+   * @throws {Error} - If the profile does not exist
+   */
+  updateProfile(profileId, changes) {
+    let updated = null;
+    this.updateOrganizationProfiles(entry => {
+      entry.profiles = entry.profiles.map(profile => {
+        if (profile.id !== profileId) return profile;
+        updated = { ...profile, ...changes, id: profileId };
+        return updated;
+      });
+    });
+    
+    if (!updated) {
+      throw new Error('NATS connection profile not found');
+    }
+    return this.normalizeProfile(updated);
+  }
+  
+  /**
+   * Delete a profile of the current organization
+   * The last profile cannot be deleted; deleting the active profile activates the first remaining one
+   * @param {string} profileId - Profile id
+   * @throws {Error} - If it is the only profile
+   */
+  deleteProfile(profileId) {
+    this.updateOrganizationProfiles(entry => {
+      if (entry.profiles.length <= 1) {
+        throw new Error('At least one NATS connection profile is required');
+      }
+      entry.profiles = entry.profiles.filter(profile => profile.id !== profileId);
+      if (entry.activeProfileId === profileId) {
+        entry.activeProfileId = entry.profiles[0].id;
+      }
+    });
+  }
+  
+  /**
+   * Make a profile name unique within the current organization
+   * @param {string} name - Desired name
+   * @param {string} exceptId - Profile to ignore (when renaming)
+   * @returns {string} - Name, with a number appended if it is taken
+   */
+  uniqueProfileName(name, exceptId = null) {
+    const names = this.getOrganizationProfiles().profiles
+      .filter(profile => profile.id !== exceptId)
+      .map(profile => profile.name);
+    
+    let candidate = name.trim();
+    const base = candidate.replace(/ \(\d+\)$/, '');
+    for (let index = 2; names.includes(candidate); index++) {
+      candidate = `${base} (${index})`;
+    }
+    return candidate;
+  }
+  
+  /**
+   * Export the profiles of the current organization as JSON
+   * Passwords, tokens and stored credentials are left out
+   * @returns {string} - JSON document
+   */
+  exportProfiles() {
+    const profiles = this.getProfiles().map(profile => {
+      const exported = { ...profile };
+      delete exported.id;
+      SECRET_FIELDS.forEach(field => delete exported[field]);
+      return exported;
+    });
+    
+    return JSON.stringify({
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profiles
+    }, null, 2);
+  }
+  
+  /**
+   * Import profiles from an export into the current organization
+   * Imported profiles are added with new ids; names that are taken get a number appended
+   * @param {string} text - JSON document ({ profiles: [...] } or an array of profiles)
+   * @returns {Array} - Imported profiles
+   * @throws {Error} - If the JSON is invalid or a profile has no name or valid URL
+   */
+  importProfiles(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+    
+    const profiles = Array.isArray(parsed) ? parsed : parsed?.profiles;
+    if (!Array.isArray(profiles) || profiles.length === 0) {
+      throw new Error('The file does not contain any NATS connection profiles');
+    }
+    
+    profiles.forEach((profile, index) => {
+      if (!profile || typeof profile !== 'object' || !profile.name) {
+        throw new Error(`Profile ${index + 1} has no name`);
+      }
+      if (!/^wss?:\/\//.test(profile.url || '')) {
+        throw new Error(`Profile "${profile.name}" needs a ws:// or wss:// URL`);
+      }
+    });
+    
+    return profiles.map(profile => {
+      const imported = { ...profile };
+      delete imported.id;
+      SECRET_FIELDS.forEach(field => delete imported[field]);
+      return this.createProfile(imported);
+    });
+  }
+  
+  /**
+   * Get the configuration saved before profiles existed
+   * @returns {Object|null} - NATS configuration, or null if there is none
+   */
+  getLegacyConfig() {
     const configJson = localStorage.getItem(STORAGE_KEY);
     if (configJson) {
       try {
-        return JSON.parse(configJson);
+        return this.normalizeProfile(JSON.parse(configJson));
       } catch (error) {
         console.error('Error parsing NATS config:', error);
       }
     }
-    return this.getDefaultConfig();
+    return null;
+  }
+  
+  /**
+   * Get NATS configuration of the active profile of the current organization
+   * @returns {Object} - NATS configuration (includes the profile id and name)
+   */
+  getConfig() {
+    const activeProfileId = this.getActiveProfileId();
+    return this.getProfiles().find(profile => profile.id === activeProfileId);
   }
   
   /**
-   * Save NATS configuration to localStorage
+   * Save NATS configuration to its profile (the active profile if it has no id)
+   * The profile name is kept; rename profiles with updateProfile
    * @param {Object} config - NATS configuration
    */
   saveConfig(config) {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+    const { id, name, ...changes } = config;
+    this.updateProfile(id || this.getActiveProfileId(), changes);
   }
   
   /**
@@ -33,11 +326,20 @@ export class NatsConfigService {
   getDefaultConfig() {
     return {
       url: 'ws://localhost:8080',
+      authMethod: 'password',  // password, token, creds or nkey
       user: '',
       pass: '',
       token: '',
+      credentials: null,  // Summary of the stored .creds file or NKey seed (the secret is kept encrypted by natsCredentialsService)
       autoConnect: false,
-      subjects: []  // For topic subscriptions
+      subjects: [],  // For topic subscriptions
+      monitoringUrl: '',  // NATS HTTP monitoring endpoint (e.g. http://localhost:8222)
+      monitoringInterval: 15,  // Seconds between monitoring polls
+      stateBucket: '',  // KV bucket with device state keyed by thing code (empty = search all buckets)
+      reconnectInitialDelay: 1,  // Seconds before the first retry; doubles with every failed attempt
+      reconnectMaxDelay: 30,  // Upper limit of the retry delay in seconds
+      reconnectJitter: 20,  // Random +/- percentage applied to every delay so clients do not retry in sync
+      reconnectMaxAttempts: 10  // Give up after this many failed attempts (0 = keep trying)
     };
   }
   
@@ -55,11 +357,28 @@ export class NatsConfigService {
       errors.push('NATS server URL must start with ws:// or wss://');
     }
     
-    // Check authentication - either user/pass pair or token
-    if (!config.token) {
-      if (!config.user || !config.pass) {
-        errors.push('Either token or username/password must be provided');
+    // Check authentication for the selected method
+    const authMethod = config.authMethod || (config.token ? 'token' : 'password');
+    if (authMethod === 'creds' || authMethod === 'nkey') {
+      if (config.credentials?.type !== authMethod) {
+        errors.push(authMethod === 'creds'
+          ? 'A .creds file must be uploaded or pasted'
+          : 'An NKey seed must be provided');
+      }
+    } else if (authMethod === 'token') {
+      if (!config.token) {
+        errors.push('A token must be provided');
       }
+    } else if (!config.user || !config.pass) {
+      errors.push('Username and password must be provided');
+    }
+    
+    if (config.monitoringUrl && !/^https?:\/\//.test(config.monitoringUrl)) {
+      errors.push('NATS monitoring URL must start with http:// or https://');
+    }
+    
+    if (Number(config.reconnectMaxDelay) < Number(config.reconnectInitialDelay)) {
+      errors.push('The maximum reconnect delay cannot be shorter than the initial delay');
     }
     
     return {
@@ -0,0 +1,75 @@
+// src/services/nats/natsConnectOptions.js
+import natsCredentialsService from './natsCredentialsService';
+
+/**
+ * Get the delay before a reconnect attempt: exponential backoff with jitter
+ * @param {number} attempt - Failed attempts so far (the delay doubles with each one)
+ * @param {Object} config - Connection configuration with the reconnect settings
+ * @returns {number} - Delay in ms
+ */
+export function getReconnectDelay(attempt, config) {
+  const initial = Math.max(0.1, Number(config.reconnectInitialDelay) || 1) * 1000;
+  const max = Math.max(initial, (Number(config.reconnectMaxDelay) || 30) * 1000);
+  const base = Math.min(max, initial * 2 ** Math.max(0, attempt - 1));
+  const jitter = Math.min(100, Math.max(0, Number(config.reconnectJitter) || 0)) / 100;
+
+  return Math.round(base * (1 + jitter * (Math.random() * 2 - 1)));
+}
+
+/**
+ * Create the reconnect state of a connection (see buildConnectOptions)
+ * @returns {Object} - { attempts, nextAttemptAt, exhausted }
+ */
+export function createReconnectState() {
+  return { attempts: 0, nextAttemptAt: null, exhausted: false };
+}
+
+/**
+ * Build nats.ws connect options from a connection configuration
+ * Shared by the in-tab connection and the SharedWorker connection
+ *
+ * nats.ws is the only component that reconnects: once connected it retries by itself,
+ * waiting getReconnectDelay() between attempts, and closes the connection after
+ * reconnectMaxAttempts failed attempts.
+ *
+ * @param {Object} config - Connection configuration (see natsConfigService)
+ * @param {Object} reconnectState - State from createReconnectState(); `attempts` is counted from
+ *   'reconnecting' status events and reset on 'reconnect'. Enables the backoff and gets the
+ *   time of the next attempt (`nextAttemptAt`, epoch ms)
+ * @param {Function} onReconnectScheduled - Called when `nextAttemptAt` changes
+ * @returns {Promise<Object>} - Options for connect()
+ */
+export async function buildConnectOptions(config, reconnectState = null, onReconnectScheduled = null) {
+  const maxAttempts = Number(config.reconnectMaxAttempts) || 0;
+  const options = {
+    servers: config.url,
+    maxReconnectAttempts: maxAttempts > 0 ? maxAttempts : -1,
+  };
+
+  if (reconnectState) {
+    // nats.ws asks for the delay on every pass of its reconnect loop, so keep it fixed per attempt
+    options.reconnectDelayHandler = () => {
+      if (reconnectState.delayFor !== reconnectState.attempts) {
+        reconnectState.delayFor = reconnectState.attempts;
+        reconnectState.delay = getReconnectDelay(reconnectState.attempts, config);
+        // The first attempt after a disconnect runs right away
+        reconnectState.nextAttemptAt = reconnectState.attempts > 0 ? Date.now() + reconnectState.delay : null;
+        if (onReconnectScheduled) onReconnectScheduled();
+      }
+      return reconnectState.delay;
+    };
+  }
+
+  // Add authentication if provided
+  if (config.authMethod === 'creds' || config.authMethod === 'nkey') {
+    // Decentralized auth: the secret is decrypted only for connecting
+    options.authenticator = await natsCredentialsService.getAuthenticator(config.authMethod, config.id);
+  } else if (config.authMethod !== 'token' && config.user && config.pass) {
+    options.user = config.user;
+    options.pass = config.pass;
+  } else if (config.token) {
+    options.token = config.token;
+  }
+
+  return options;
+}
@@ -26,14 +26,8 @@ class NatsConnectionManager {
     
     this.initialized = true;
     
-    // Listen for connection status changes
-    natsService.onStatusChange((status) => {
-      // If we get disconnected unexpectedly and auto-connect is enabled,
-      // try to reconnect
-      if (status === 'disconnected' && !this.isManualDisconnect) {
-        this.attemptAutoReconnect();
-      }
-    });
+    // Lost connections are reconnected by the client itself (see buildConnectOptions);
+    // once it gives up, connecting again is left to the user
     
     // Add storage event listener to synchronize across tabs
     window.addEventListener('storage', this.handleStorageChange.bind(this));
@@ -72,23 +66,14 @@ class NatsConnectionManager {
   }
 
   /**
-   * Attempt to reconnect if disconnected unexpectedly
+   * Get the state of the client's reconnect backoff
+   * @returns {Object} - { attempts, maxAttempts, nextAttemptAt, exhausted, reconnecting }
    */
-  async attemptAutoReconnect() {
-    const config = natsConfigService.getConfig();
-    if (config.autoConnect && !this.isManualDisconnect) {
-      // Store the reconnection promise
-      this.connectPromise = natsService.connect(config);
-      
-      try {
-        return await this.connectPromise;
-      } catch (err) {
-        return false;
-      } finally {
-        this.connectPromise = null;
-      }
-    }
-    return false;
+  getReconnectState() {
+    return {
+      ...natsService.getReconnectState(),
+      maxAttempts: Number(natsConfigService.getConfig().reconnectMaxAttempts) || 0
+    };
   }
 
   /**
@@ -137,6 +122,58 @@ class NatsConnectionManager {
     return natsService.disconnect();
   }
 
+  /**
+   * Switch to another connection profile of the current organization
+   * @param {string} profileId - Profile id
+   * @returns {Promise<boolean>} - Whether a connection with the new profile was made
+   */
+  async switchProfile(profileId) {
+    natsConfigService.setActiveProfile(profileId);
+    return this.connectActiveProfile();
+  }
+
+  /**
+   * Switch to the active profile of the organization that was just selected
+   * @returns {Promise<boolean>} - Whether a connection with the new profile was made
+   */
+  async handleOrganizationChange() {
+    return this.connectActiveProfile();
+  }
+
+  /**
+   * Reconnect with the active profile
+   * An open connection is left and opened again with the active profile;
+   * otherwise the profile only connects when auto-connect is enabled
+   * @returns {Promise<boolean>} - Whether a connection was made
+   */
+  async connectActiveProfile() {
+    // Let a running connection attempt finish before closing it
+    if (this.connectPromise) {
+      await this.connectPromise.catch(() => false);
+    }
+    
+    const wasConnected = natsService.isConnected();
+    if (wasConnected) {
+      // A shared connection stays open for the other tabs using it; only this tab leaves it
+      if (natsService.shared) {
+        natsService.leaveSharedConnection();
+      } else {
+        await this.disconnect();
+      }
+    }
+    
+    const config = natsConfigService.getConfig();
+    if (!wasConnected && !config.autoConnect) {
+      return false;
+    }
+    
+    try {
+      return await this.connect(config);
+    } catch (err) {
+      return false;
+    }
+  }
+
   /**
    * Reset the connection state to allow reconnection attempts
    */
@@ -151,7 +188,7 @@ class NatsConnectionManager {
    * @param {StorageEvent} event - Storage event
    */
   handleStorageChange(event) {
-    if (event.key === 'nats_config') {
+    if (event.key === 'nats_profiles') {
       const newConfig = natsConfigService.getConfig();
       
       // If auto-connect setting changed to true and we're not connected,
@@ -0,0 +1,307 @@
+// src/services/nats/natsCredentialsService.js
+import { credsAuthenticator, nkeyAuthenticator, nkeys } from 'nats.ws';
+import { jwtDecode } from 'jwt-decode';
+import { isIndexedDbAvailable, idbGet, idbPut, idbAdd, idbDelete } from '../../utils/indexedDbUtils';
+
+const STORE = 'natsSecrets';
+const KEY_ID = 'key';
+const CREDENTIALS_ID = 'credentials';  // Prefix of the per-profile credential records
+
+// Blocks of a .creds file: the user JWT first, then the user NKey seed
+const CREDS_BLOCK = /-{3,}BEGIN ([^-\n]+)-{3,}\s*\n\s*([^\s-][^\n]*?)\s*\n\s*-{3,}END [^-\n]+-{3,}/g;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// NKey seed prefixes (first two characters of the seed)
+const SEED_TYPES = {
+  SU: 'user',
+  SA: 'account',
+  SO: 'operator',
+  SN: 'server',
+  SC: 'cluster'
+};
+
+/**
+ * Describe what kind of seed a string is, for error messages
+ * @param {string} seed - Seed
+ * @returns {string|null} - Seed type or null if not an NKey seed
+ */
+function seedType(seed) {
+  return SEED_TYPES[seed.slice(0, 2)] || null;
+}
+
+/**
+ * Get the record id of the credentials of a connection profile
+ * @param {string} profileId - Connection profile id
+ * @returns {string} - Record id
+ */
+function credentialsId(profileId) {
+  return `${CREDENTIALS_ID}:${profileId}`;
+}
+
+/**
+ * Validate an NKey seed
+ * @param {string} seed - NKey seed
+ * @returns {Object} - { errors, publicKey }
+ */
+function checkSeed(seed) {
+  if (!seed) {
+    return { errors: ['The NKey seed is empty'], publicKey: null };
+  }
+  if (!/^S[A-Z2-7]+$/.test(seed)) {
+    return { errors: ['An NKey seed starts with "S" and only contains the characters A-Z and 2-7'], publicKey: null };
+  }
+
+  const type = seedType(seed);
+  if (type && type !== 'user') {
+    return { errors: [`This is an ${type} seed (${seed.slice(0, 2)}...). Clients need a user seed starting with "SU"`], publicKey: null };
+  }
+  if (!type) {
+    return { errors: ['Unknown NKey seed type. User seeds start with "SU"'], publicKey: null };
+  }
+
+  try {
+    const keyPair = nkeys.fromSeed(encoder.encode(seed));
+    return { errors: [], publicKey: keyPair.getPublicKey() };
+  } catch (error) {
+    // Wrong length or checksum, usually from a truncated copy
+    return { errors: ['The NKey seed is corrupt (bad length or checksum). Copy the complete seed again'], publicKey: null };
+  }
+}
+
+/**
+ * Validate a user JWT
+ * @param {string} jwt - JWT
+ * @returns {Object} - { errors, claims }
+ */
+function checkJwt(jwt) {
+  if (jwt.split('.').length !== 3) {
+    return { errors: ['The user JWT is malformed: expected three dot-separated parts'], claims: null };
+  }
+
+  let claims;
+  try {
+    claims = jwtDecode(jwt);
+  } catch (error) {
+    return { errors: ['The user JWT payload could not be decoded'], claims: null };
+  }
+
+  const errors = [];
+  const type = claims.nats?.type;
+  if (type && type !== 'user') {
+    errors.push(`The JWT is an ${type} JWT. Clients need a user JWT`);
+  }
+  if (claims.exp && claims.exp * 1000 < Date.now()) {
+    errors.push(`The user JWT expired on ${new Date(claims.exp * 1000).toLocaleString()}`);
+  }
+
+  return { errors, claims };
+}
+
+/**
+ * Stores NATS decentralized-auth credentials (.creds files and NKey seeds)
+ * encrypted in IndexedDB and builds nats.ws authenticators from them
+ *
+ * Secrets are encrypted with AES-GCM using a non-extractable key that is
+ * kept in IndexedDB, so they never appear in localStorage and the stored
+ * data cannot be decrypted outside this browser profile.
+ */
+export class NatsCredentialsService {
+  constructor() {
+    this.keyPromise = null; // Pending or loaded encryption key (see getKey)
+  }
+
+  /**
+   * Check whether credentials can be stored in this browser
+   * Web Crypto is only available in secure contexts (https or localhost)
+   * @returns {boolean} - True if available
+   */
+  isAvailable() {
+    return isIndexedDbAvailable() && !!globalThis.crypto?.subtle;
+  }
+
+  /**
+   * Parse and validate a .creds file
+   * @param {string} text - File content
+   * @returns {Object} - { valid, errors, summary }
+   */
+  validateCreds(text) {
+    const blocks = [...(text || '').matchAll(CREDS_BLOCK)];
+    const jwtBlock = blocks.find(block => /JWT/i.test(block[1]));
+    const seedBlock = blocks.find(block => /SEED/i.test(block[1]));
+
+    const errors = [];
+    if (!jwtBlock) {
+      errors.push('No user JWT found. A .creds file contains a "-----BEGIN NATS USER JWT-----" block');
+    }
+    if (!seedBlock) {
+      errors.push('No NKey seed found. A .creds file contains a "-----BEGIN USER NKEY SEED-----" block');
+    }
+    if (errors.length > 0) {
+      return { valid: false, errors, summary: null };
+    }
+
+    const jwt = checkJwt(jwtBlock[2].trim());
+    const seed = checkSeed(seedBlock[2].trim());
+    errors.push(...jwt.errors, ...seed.errors);
+
+    if (jwt.claims?.sub && seed.publicKey && jwt.claims.sub !== seed.publicKey) {
+      errors.push('The NKey seed does not belong to the user JWT (the public keys differ)');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      summary: errors.length === 0 ? {
+        type: 'creds',
+        name: jwt.claims.name || '',
+        publicKey: seed.publicKey,
+        account: jwt.claims.nats?.issuer_account || jwt.claims.iss || '',
+        expiresAt: jwt.claims.exp ? new Date(jwt.claims.exp * 1000).toISOString() : null
+      } : null
+    };
+  }
+
+  /**
+   * Validate an NKey seed
+   * @param {string} text - Seed
+   * @returns {Object} - { valid, errors, summary }
+   */
+  validateNkey(text) {
+    const { errors, publicKey } = checkSeed((text || '').trim());
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      summary: errors.length === 0 ? {
+        type: 'nkey',
+        name: '',
+        publicKey,
+        account: '',
+        expiresAt: null
+      } : null
+    };
+  }
+
+  /**
+   * Validate credentials of a type
+   * @param {string} type - 'creds' or 'nkey'
+   * @param {string} text - .creds file content or NKey seed
+   * @returns {Object} - { valid, errors, summary }
+   */
+  validate(type, text) {
+    return type === 'nkey' ? this.validateNkey(text) : this.validateCreds(text);
+  }
+
+  /**
+   * Get the encryption key, creating it on first use
+   * Concurrent calls share one lookup, so a double save in this tab creates one key
+   * @returns {Promise<CryptoKey>} - AES-GCM key
+   */
+  getKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.loadKey().catch(error => {
+        this.keyPromise = null;
+        throw error;
+      });
+    }
+    return this.keyPromise;
+  }
+
+  /**
+   * Read the stored encryption key, storing a new one if there is none
+   * Another tab may store its key at the same time; the first one stored wins
+   * and is read back, so no record is ever encrypted with a key that is lost
+   * @returns {Promise<CryptoKey>} - AES-GCM key
+   */
+  async loadKey() {
+    const record = await idbGet(STORE, KEY_ID);
+    if (record?.key) return record.key;
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await idbAdd(STORE, { id: KEY_ID, key });
+
+    const stored = await idbGet(STORE, KEY_ID);
+    return stored.key;
+  }
+
+  /**
+   * Validate, encrypt and store credentials, replacing stored ones
+   * @param {string} type - 'creds' or 'nkey'
+   * @param {string} text - .creds file content or NKey seed
+   * @param {string} profileId - Connection profile the credentials belong to
+   * @returns {Promise<Object>} - Credential summary (no secrets)
+   * @throws {Error} - With `errors` when the credentials are invalid
+   */
+  async saveCredentials(type, text, profileId) {
+    const { valid, errors, summary } = this.validate(type, text);
+    if (!valid) {
+      const error = new Error(errors[0]);
+      error.code = 'INVALID_CREDENTIALS';
+      error.errors = errors;
+      throw error;
+    }
+
+    const key = await this.getKey();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(text.trim()));
+
+    const stored = { ...summary, storedAt: new Date().toISOString() };
+    await idbPut(STORE, { id: credentialsId(profileId), iv, data, summary: stored });
+    return stored;
+  }
+
+  /**
+   * Load and decrypt the stored credentials of a connection profile
+   * @param {string} profileId - Connection profile id
+   * @returns {Promise<Object|null>} - { type, secret, summary } or null if none are stored
+   */
+  async loadCredentials(profileId) {
+    if (!this.isAvailable() || !profileId) return null;
+
+    const record = await idbGet(STORE, credentialsId(profileId));
+    if (!record) return null;
+
+    const key = await this.getKey();
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.data);
+
+    return {
+      type: record.summary.type,
+      secret: decoder.decode(data),
+      summary: record.summary
+    };
+  }
+
+  /**
+   * Remove the stored credentials of a connection profile
+   * @param {string} profileId - Connection profile id
+   * @returns {Promise<void>}
+   */
+  async clearCredentials(profileId) {
+    await idbDelete(STORE, credentialsId(profileId));
+  }
+
+  /**
+   * Build a nats.ws authenticator from the stored credentials of a connection profile
+   * @param {string} type - Expected credential type ('creds' or 'nkey')
+   * @param {string} profileId - Connection profile id
+   * @returns {Promise<Function>} - Authenticator for the connect options
+   * @throws {Error} - If no credentials of that type are stored
+   */
+  async getAuthenticator(type, profileId) {
+    const credentials = await this.loadCredentials(profileId);
+    if (!credentials || credentials.type !== type) {
+      throw new Error(type === 'nkey'
+        ? 'No NKey seed stored. Enter the seed in the NATS settings'
+        : 'No .creds file stored. Upload or paste it in the NATS settings');
+    }
+
+    const secret = encoder.encode(credentials.secret);
+    return type === 'nkey' ? nkeyAuthenticator(secret) : credsAuthenticator(secret);
+  }
+}
+
+// Create instance
+export const natsCredentialsService = new NatsCredentialsService();
+export default natsCredentialsService;
@@ -0,0 +1,150 @@
+// src/services/nats/natsDecoderService.js
+import { subjectMatchesPattern, patternSpecificity } from '../../utils/natsSubjectUtils';
+import {
+  decodeAuto,
+  decodeJson,
+  decodeText,
+  decodeHex,
+  decodeCbor,
+  decodeMessagePack
+} from '../../utils/payloadDecoders';
+
+const STORAGE_KEY = 'nats_decoder_rules';
+
+// Token index of the thing type in {org}.{edge}.{type}.{code}.{...}
+const THING_TYPE_TOKEN = 2;
+
+/**
+ * Registry of message payload decoders
+ *
+ * Decoders turn raw message bytes into a displayable value. Rules choose
+ * the decoder for a message by subject pattern or by thing type; messages
+ * without a matching rule use `auto` (JSON, then text, then hex).
+ *
+ * Additional decoders (e.g. Protobuf with an app-specific schema) can be
+ * added with registerDecoder().
+ */
+export class NatsDecoderService {
+  constructor() {
+    this.decoders = new Map();
+    this.rules = null;
+
+    this.registerDecoder({ id: 'auto', label: 'Auto', decode: decodeAuto });
+    this.registerDecoder({ id: 'json', label: 'JSON', decode: decodeJson });
+    this.registerDecoder({ id: 'text', label: 'UTF-8 Text', decode: decodeText });
+    this.registerDecoder({ id: 'hex', label: 'Hex', decode: decodeHex });
+    this.registerDecoder({ id: 'cbor', label: 'CBOR', decode: decodeCbor });
+    this.registerDecoder({ id: 'msgpack', label: 'MessagePack', decode: decodeMessagePack });
+  }
+
+  /**
+   * Add or replace a decoder
+   * @param {Object} decoder - Decoder definition
+   * @param {string} decoder.id - Unique id used in rules
+   * @param {string} decoder.label - Display name
+   * @param {Function} decoder.decode - (bytes: Uint8Array) => value; throws on invalid data
+   */
+  registerDecoder({ id, label, decode }) {
+    if (!id || typeof decode !== 'function') {
+      throw new Error('A decoder needs an id and a decode function');
+    }
+    this.decoders.set(id, { id, label: label || id, decode });
+  }
+
+  /**
+   * List registered decoders
+   * @returns {Array<Object>} - { id, label } in registration order
+   */
+  getDecoders() {
+    return [...this.decoders.values()].map(({ id, label }) => ({ id, label }));
+  }
+
+  /**
+   * Get the decoder rules
+   * @returns {Array<Object>} - Rules: { type: 'subject'|'thingType', match, decoder }
+   */
+  getRules() {
+    if (!this.rules) {
+      try {
+        this.rules = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+      } catch (error) {
+        console.error('Error parsing decoder rules:', error);
+        this.rules = [];
+      }
+    }
+    return this.rules;
+  }
+
+  /**
+   * Save the decoder rules
+   * @param {Array<Object>} rules - Rules: { type: 'subject'|'thingType', match, decoder }
+   */
+  saveRules(rules) {
+    this.rules = rules
+      .filter(rule => rule.match && rule.decoder)
+      .map(({ type, match, decoder }) => ({
+        type: type === 'thingType' ? 'thingType' : 'subject',
+        match: match.trim(),
+        decoder
+      }));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.rules));
+  }
+
+  /**
+   * Choose the decoder for a subject
+   * The most specific matching subject pattern wins; thing type rules apply
+   * when no subject pattern matches
+   * @param {string} subject - Message subject
+   * @param {Object} options - { thingType } when known, otherwise taken from the subject
+   * @returns {string} - Decoder id
+   */
+  resolveDecoder(subject, { thingType = null } = {}) {
+    const rules = this.getRules().filter(rule => this.decoders.has(rule.decoder));
+    if (rules.length === 0) return 'auto';
+
+    const subjectRule = rules
+      .filter(rule => rule.type === 'subject' && subjectMatchesPattern(rule.match, subject))
+      .sort((a, b) => patternSpecificity(b.match) - patternSpecificity(a.match))[0];
+    if (subjectRule) return subjectRule.decoder;
+
+    const type = thingType || (subject || '').split('.')[THING_TYPE_TOKEN];
+    const typeRule = rules.find(rule => rule.type === 'thingType' && rule.match === type);
+    return typeRule ? typeRule.decoder : 'auto';
+  }
+
+  /**
+   * Decode message bytes with a decoder
+   * @param {Uint8Array} bytes - Raw message data
+   * @param {string} decoderId - Decoder id
+   * @returns {any} - Decoded value
+   * @throws {Error} - If the decoder is unknown or the bytes are invalid for it
+   */
+  decode(bytes, decoderId = 'auto') {
+    const decoder = this.decoders.get(decoderId);
+    if (!decoder) {
+      throw new Error(`Unknown decoder: ${decoderId}`);
+    }
+    return decoder.decode(bytes);
+  }
+
+  /**
+   * Decode a message with the decoder its rules select
+   * Falls back to `auto` when the selected decoder fails
+   * @param {Uint8Array} bytes - Raw message data
+   * @param {string} subject - Message subject
+   * @returns {Object} - { data, decoder, error }
+   */
+  decodeForSubject(bytes, subject) {
+    const decoderId = this.resolveDecoder(subject);
+
+    try {
+      return { data: this.decode(bytes, decoderId), decoder: decoderId, error: null };
+    } catch (error) {
+      return { data: decodeAuto(bytes), decoder: 'auto', error: `${decoderId}: ${error.message}` };
+    }
+  }
+}
+
+// Create instance
+export const natsDecoderService = new NatsDecoderService();
+export default natsDecoderService;
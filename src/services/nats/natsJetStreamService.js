@@ -0,0 +1,313 @@
+// src/services/nats/natsJetStreamService.js
+import { DeliverPolicy } from 'nats.ws';
+import natsService from './natsService';
+
+// Defaults for message browsing
+const DEFAULT_FETCH_LIMIT = 100;
+const MAX_FETCH_LIMIT = 1000;
+const FETCH_EXPIRES = 3000;
+
+/**
+ * Convert a nanosecond duration (as used in stream configs) to seconds
+ * @param {number} nanos - Duration in nanoseconds
+ * @returns {number} - Duration in seconds (0 = unlimited)
+ */
+function nanosToSeconds(nanos) {
+  return nanos ? Math.round(nanos / 1e9) : 0;
+}
+
+/**
+ * Convert message headers to a plain object
+ * @param {Object} headers - nats.ws MsgHdrs
+ * @returns {Object|null} - Header values by name, or null without headers
+ */
+function headersToObject(headers) {
+  if (!headers) return null;
+
+  const result = {};
+  for (const [key, values] of headers) {
+    result[key] = values.length === 1 ? values[0] : values;
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Browses JetStream streams, consumers and stored messages over the
+ * existing nats.ws connection using the JetStream management API
+ *
+ * Browsing is read-only: messages are read with ephemeral ordered consumers,
+ * which the server removes after they go idle.
+ */
+export class NatsJetStreamService {
+  constructor() {
+    this.manager = null;
+    this.managerConnection = null;
+  }
+
+  /**
+   * Get a JetStream manager for the current connection
+   * The manager is recreated after a reconnect
+   * @returns {Promise<Object>} - nats.ws JetStreamManager
+   */
+  async getManager() {
+    const connection = await natsService.getConnection();
+    if (!connection) {
+      const error = new Error('Not connected to NATS server');
+      error.code = 'NOT_CONNECTED';
+      throw error;
+    }
+
+    if (!this.manager || this.managerConnection !== connection) {
+      try {
+        this.manager = await connection.jetstreamManager();
+        this.managerConnection = connection;
+      } catch (error) {
+        const jsError = new Error('JetStream is not enabled for this account or server');
+        jsError.code = 'JETSTREAM_UNAVAILABLE';
+        jsError.cause = error;
+        throw jsError;
+      }
+    }
+
+    return this.manager;
+  }
+
+  /**
+   * Get JetStream usage and limits of the connected account
+   * @returns {Promise<Object>} - { memory, storage, streams, consumers, limits }
+   */
+  async getAccountInfo() {
+    const manager = await this.getManager();
+    const info = await manager.getAccountInfo();
+
+    return {
+      memory: info.memory,
+      storage: info.storage,
+      streams: info.streams,
+      consumers: info.consumers,
+      limits: info.limits || {}
+    };
+  }
+
+  /**
+   * List streams, optionally only those that store a subject
+   * @param {string} subject - Optional subject (wildcards allowed)
+   * @returns {Promise<Array<Object>>} - Stream summaries sorted by name
+   */
+  async listStreams(subject = '') {
+    const manager = await this.getManager();
+    const streams = [];
+
+    for await (const info of manager.streams.list(subject || undefined)) {
+      streams.push(summarizeStream(info));
+    }
+
+    return streams.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a stream summary
+   * @param {string} name - Stream name
+   * @returns {Promise<Object>} - Stream summary
+   */
+  async getStream(name) {
+    const manager = await this.getManager();
+    return summarizeStream(await manager.streams.info(name));
+  }
+
+  /**
+   * Find the stream that stores a subject
+   * @param {string} subject - Literal subject
+   * @returns {Promise<string|null>} - Stream name or null if no stream stores it
+   */
+  async findStream(subject) {
+    const manager = await this.getManager();
+    try {
+      return await manager.streams.find(subject);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * List the consumers of a stream
+   * @param {string} stream - Stream name
+   * @returns {Promise<Array<Object>>} - Consumer summaries sorted by name
+   */
+  async listConsumers(stream) {
+    const manager = await this.getManager();
+    const consumers = [];
+
+    for await (const info of manager.consumers.list(stream)) {
+      consumers.push(summarizeConsumer(info));
+    }
+
+    return consumers.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a single stored message
+   * @param {string} stream - Stream name
+   * @param {Object} query - { seq } or { lastBySubject }
+   * @returns {Promise<Object|null>} - Message or null if it does not exist
+   */
+  async getMessage(stream, { seq = null, lastBySubject = '' } = {}) {
+    const manager = await this.getManager();
+    const request = lastBySubject ? { last_by_subj: lastBySubject } : { seq };
+
+    try {
+      const message = await manager.streams.getMessage(stream, request);
+      return {
+        seq: message.seq,
+        subject: message.subject,
+        time: message.time.toISOString(),
+        size: message.data.length,
+        headers: headersToObject(message.header),
+        data: natsService.decodeMessageData(message.data, message.subject)
+      };
+    } catch (error) {
+      // 10037: no message found
+      if (error.api_error?.err_code === 10037 || /no message found/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read stored messages in sequence order
+   * Starts at `startSeq` or `startTime` (or the beginning of the stream) and stops
+   * at `endSeq` / `endTime`, after `limit` messages, or at the end of the stream
+   *
+   * @param {string} stream - Stream name
+   * @param {Object} query - Message query
+   * @param {string} query.subject - Subject filter (wildcards allowed, must be within the stream's subjects)
+   * @param {number} query.startSeq - First stream sequence
+   * @param {number} query.endSeq - Last stream sequence
+   * @param {Date|string} query.startTime - Earliest receive time
+   * @param {Date|string} query.endTime - Latest receive time
+   * @param {number} query.limit - Maximum number of messages (default: 100, max: 1000)
+   * @returns {Promise<Object>} - { messages, hasMore, nextSeq }
+   */
+  async fetchMessages(stream, query = {}) {
+    const manager = await this.getManager();
+    const { subject = '', startSeq = null, endSeq = null, startTime = null, endTime = null } = query;
+    const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_FETCH_LIMIT, 1), MAX_FETCH_LIMIT);
+    const endMillis = endTime ? new Date(endTime).getTime() : null;
+
+    const options = {};
+    if (subject) options.filterSubjects = [subject];
+    if (startSeq) {
+      options.deliver_policy = DeliverPolicy.StartSequence;
+      options.opt_start_seq = Number(startSeq);
+    } else if (startTime) {
+      options.deliver_policy = DeliverPolicy.StartTime;
+      options.opt_start_time = new Date(startTime).toISOString();
+    }
+
+    const consumer = await manager.jetstream().consumers.get(stream, options);
+    const batch = await consumer.fetch({ max_messages: limit, expires: FETCH_EXPIRES });
+
+    const messages = [];
+    let hasMore = false;
+    let nextSeq = null;
+
+    for await (const message of batch) {
+      const seq = message.info.streamSequence;
+      const millis = Math.floor(message.info.timestampNanos / 1e6);
+
+      if ((endSeq && seq > endSeq) || (endMillis !== null && millis > endMillis)) {
+        break;
+      }
+
+      messages.push({
+        seq,
+        subject: message.subject,
+        time: new Date(millis).toISOString(),
+        size: message.data.length,
+        headers: headersToObject(message.headers),
+        data: natsService.decodeMessageData(message.data, message.subject)
+      });
+
+      nextSeq = seq + 1;
+      hasMore = message.info.pending > 0;
+
+      // Nothing left to read: don't wait for the fetch to expire
+      if (!hasMore || messages.length >= limit) break;
+    }
+
+    batch.stop();
+    await consumer.delete().catch(() => {});
+
+    return { messages, hasMore, nextSeq };
+  }
+}
+
+/**
+ * Flatten a JetStream StreamInfo
+ * @param {Object} info - StreamInfo
+ * @returns {Object} - Stream summary
+ */
+export function summarizeStream(info) {
+  const { config = {}, state = {} } = info;
+
+  return {
+    name: config.name,
+    description: config.description || '',
+    subjects: config.subjects || [],
+    retention: config.retention,
+    storage: config.storage,
+    replicas: config.num_replicas || 1,
+    discard: config.discard,
+    maxMsgs: config.max_msgs,
+    maxBytes: config.max_bytes,
+    maxAge: nanosToSeconds(config.max_age),
+    maxMsgsPerSubject: config.max_msgs_per_subject,
+    created: info.created,
+    messages: state.messages || 0,
+    bytes: state.bytes || 0,
+    firstSeq: state.first_seq || 0,
+    firstTime: state.first_ts && state.messages ? state.first_ts : null,
+    lastSeq: state.last_seq || 0,
+    lastTime: state.last_ts && state.messages ? state.last_ts : null,
+    numSubjects: state.num_subjects || 0,
+    numDeleted: state.num_deleted || 0,
+    consumerCount: state.consumer_count || 0,
+    // KV buckets and object stores are streams with reserved prefixes
+    kind: config.name?.startsWith('KV_') ? 'kv' : config.name?.startsWith('OBJ_') ? 'object-store' : 'stream'
+  };
+}
+
+/**
+ * Flatten a JetStream ConsumerInfo
+ * @param {Object} info - ConsumerInfo
+ * @returns {Object} - Consumer summary
+ */
+export function summarizeConsumer(info) {
+  const { config = {} } = info;
+  const filters = config.filter_subjects || (config.filter_subject ? [config.filter_subject] : []);
+
+  return {
+    name: info.name,
+    durable: !!config.durable_name,
+    description: config.description || '',
+    filterSubjects: filters,
+    deliverPolicy: config.deliver_policy,
+    ackPolicy: config.ack_policy,
+    pushBound: !!info.push_bound,
+    pull: !config.deliver_subject,
+    created: info.created,
+    numPending: info.num_pending || 0,
+    numAckPending: info.num_ack_pending || 0,
+    numRedelivered: info.num_redelivered || 0,
+    numWaiting: info.num_waiting || 0,
+    deliveredSeq: info.delivered?.stream_seq || 0,
+    ackFloorSeq: info.ack_floor?.stream_seq || 0,
+    lastActive: info.delivered?.last_active || null,
+    paused: !!info.paused
+  };
+}
+
+// Create instance
+export const natsJetStreamService = new NatsJetStreamService();
+export default natsJetStreamService;
@@ -0,0 +1,196 @@
+// src/services/nats/natsKvService.js
+import natsService from './natsService';
+import natsJetStreamService from './natsJetStreamService';
+import { natsConfigService } from './natsConfigService';
+
+// KV buckets are streams named KV_<bucket>
+const KV_STREAM_PREFIX = 'KV_';
+
+/**
+ * Convert a nats.ws KvEntry to a plain entry
+ * @param {Object} entry - KvEntry
+ * @returns {Object} - { bucket, key, revision, operation, deleted, created, size, value }
+ */
+function toEntry(entry) {
+  const deleted = entry.operation === 'DEL' || entry.operation === 'PURGE';
+
+  return {
+    bucket: entry.bucket,
+    key: entry.key,
+    revision: entry.revision,
+    operation: entry.operation,
+    deleted,
+    created: entry.created.toISOString(),
+    size: entry.length,
+    value: deleted || entry.length === 0 ? null : natsService.decodeMessageData(entry.value)
+  };
+}
+
+/**
+ * Reads NATS KV buckets (JetStream key-value stores) over the existing
+ * nats.ws connection: lists buckets and keys, reads values and their
+ * history, and watches keys for changes
+ *
+ * Used for device state that edges keep in KV instead of `current_state`.
+ */
+export class NatsKvService {
+  constructor() {
+    this.buckets = new Map();
+    this.bucketsManager = null;
+  }
+
+  /**
+   * Open an existing bucket
+   * Bucket handles are cached until the connection changes
+   * @param {string} name - Bucket name
+   * @returns {Promise<Object>} - nats.ws KV
+   */
+  async getBucket(name) {
+    const manager = await natsJetStreamService.getManager();
+    if (this.bucketsManager !== manager) {
+      this.buckets.clear();
+      this.bucketsManager = manager;
+    }
+
+    if (!this.buckets.has(name)) {
+      // bindOnly: never create a bucket that does not exist
+      const kv = await manager.jetstream().views.kv(name, { bindOnly: true });
+      this.buckets.set(name, kv);
+    }
+
+    return this.buckets.get(name);
+  }
+
+  /**
+   * List KV buckets
+   * @returns {Promise<Array<Object>>} - Bucket summaries sorted by name
+   */
+  async listBuckets() {
+    const manager = await natsJetStreamService.getManager();
+    const buckets = [];
+
+    for await (const status of manager.streams.listKvs()) {
+      const { config = {}, state = {} } = status.streamInfo;
+      buckets.push({
+        name: status.bucket,
+        stream: `${KV_STREAM_PREFIX}${status.bucket}`,
+        description: status.description,
+        values: status.values,
+        history: status.history,
+        ttl: config.max_age ? Math.round(config.max_age / 1e9) : 0,
+        storage: config.storage,
+        replicas: config.num_replicas || 1,
+        bytes: state.bytes || 0
+      });
+    }
+
+    return buckets.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * List the keys of a bucket
+   * @param {string} bucket - Bucket name
+   * @param {string} filter - Key filter, NATS wildcards allowed (default: all keys)
+   * @returns {Promise<Array<string>>} - Sorted keys with a current value
+   */
+  async listKeys(bucket, filter = '>') {
+    const kv = await this.getBucket(bucket);
+    const keys = new Set();
+
+    for await (const key of await kv.keys(filter || '>')) {
+      keys.add(key);
+    }
+
+    return [...keys].sort();
+  }
+
+  /**
+   * Get the current entry of a key
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Key
+   * @returns {Promise<Object|null>} - Entry or null if the key was never written
+   */
+  async getEntry(bucket, key) {
+    const kv = await this.getBucket(bucket);
+    const entry = await kv.get(key);
+    return entry ? toEntry(entry) : null;
+  }
+
+  /**
+   * Get the stored revisions of a key
+   * The number of revisions is limited by the bucket's history setting
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Key
+   * @returns {Promise<Array<Object>>} - Entries, newest first
+   */
+  async getHistory(bucket, key) {
+    const kv = await this.getBucket(bucket);
+    const entries = [];
+
+    for await (const entry of await kv.history({ key })) {
+      entries.push(toEntry(entry));
+    }
+
+    return entries.reverse();
+  }
+
+  /**
+   * Find the bucket that holds a key
+   * Uses the configured device state bucket when set, otherwise checks all buckets
+   * @param {string} key - Key (e.g. a thing code)
+   * @returns {Promise<Object|null>} - Current entry (with `bucket`) or null if no bucket has the key
+   */
+  async findEntry(key) {
+    const { stateBucket } = natsConfigService.getConfig();
+    const buckets = stateBucket
+      ? [stateBucket]
+      : (await this.listBuckets()).map(bucket => bucket.name);
+
+    for (const bucket of buckets) {
+      const entry = await this.getEntry(bucket, key);
+      if (entry) return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Watch keys for changes
+   * The callback first receives the current value of every matching key
+   * (`initial: true`), then each change as it happens
+   *
+   * @param {string} bucket - Bucket name
+   * @param {string} filter - Key filter, NATS wildcards allowed
+   * @param {Function} onEntry - Called with (entry, { initial })
+   * @param {Function} onError - Called if the watch ends with an error
+   * @returns {Promise<Object>} - Watcher with a stop() method
+   */
+  async watch(bucket, filter, onEntry, onError = null) {
+    const kv = await this.getBucket(bucket);
+    let initial = true;
+
+    const iterator = await kv.watch({
+      key: filter || '>',
+      initializedFn: () => {
+        initial = false;
+      }
+    });
+
+    (async () => {
+      for await (const entry of iterator) {
+        onEntry(toEntry(entry), { initial });
+      }
+    })().catch((error) => {
+      console.error(`KV watch on ${bucket} failed:`, error);
+      if (onError) onError(error);
+    });
+
+    return {
+      stop: () => iterator.stop()
+    };
+  }
+}
+
+// Create instance
+export const natsKvService = new NatsKvService();
+export default natsKvService;
@@ -0,0 +1,223 @@
+// src/services/nats/natsMonitoringService.js
+import axios from 'axios';
+import { natsConfigService } from './natsConfigService';
+
+const PAGE_SIZE = 1024;
+const MAX_PAGES = 20;
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Reads client presence from the NATS server HTTP monitoring endpoints
+ * (`/connz` and `/subsz` on the monitoring port, usually 8222).
+ *
+ * The monitoring URL is configured alongside the NATS connection settings.
+ * The endpoints are plain HTTP GETs without credentials, so the browser must be
+ * able to reach the monitoring port (directly or through a reverse proxy).
+ */
+export class NatsMonitoringService {
+  /**
+   * Get the configured monitoring base URL
+   * @returns {string} - Base URL without trailing slash, or '' when not configured
+   */
+  getMonitoringUrl() {
+    return (natsConfigService.getConfig().monitoringUrl || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * Check if a monitoring URL is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.getMonitoringUrl();
+  }
+
+  /**
+   * GET a monitoring endpoint
+   * @param {string} path - Endpoint path (e.g. '/connz')
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} - Response body
+   */
+  async request(path, params = {}) {
+    const baseUrl = this.getMonitoringUrl();
+    if (!baseUrl) {
+      throw new Error('NATS monitoring URL not configured');
+    }
+
+    // Plain axios: the API instance would attach the PocketBase auth header
+    const response = await axios.get(`${baseUrl}${path}`, {
+      params,
+      timeout: REQUEST_TIMEOUT
+    });
+    return response.data;
+  }
+
+  /**
+   * Get all open client connections with their subscriptions
+   * @returns {Promise<Object>} - { connections, serverId, now }
+   */
+  async getConnections() {
+    const connections = [];
+    let offset = 0;
+    let total = 0;
+    let page = 0;
+    let data = null;
+
+    do {
+      data = await this.request('/connz', {
+        auth: true,
+        subs: 'detail',
+        offset,
+        limit: PAGE_SIZE
+      });
+      const batch = data.connections || [];
+      connections.push(...batch);
+      total = data.total ?? data.num_connections ?? connections.length;
+      offset += batch.length;
+      page++;
+      if (batch.length === 0) break;
+    } while (offset < total && page < MAX_PAGES);
+
+    return {
+      connections,
+      serverId: data?.server_id || null,
+      now: data?.now || null
+    };
+  }
+
+  /**
+   * Get server-wide subscription statistics and subscriptions
+   * @returns {Promise<Object>} - { stats, subscriptions }
+   */
+  async getSubscriptions() {
+    const data = await this.request('/subsz', { subs: true, limit: PAGE_SIZE });
+    const { subscriptions_list: subscriptions = [], ...stats } = data;
+
+    return {
+      stats: {
+        numSubscriptions: stats.num_subscriptions ?? 0,
+        numCache: stats.num_cache ?? 0,
+        numMatches: stats.num_matches ?? 0,
+        cacheHitRate: stats.cache_hit_rate ?? 0,
+        maxFanout: stats.max_fanout ?? 0,
+        avgFanout: stats.avg_fanout ?? 0
+      },
+      subscriptions
+    };
+  }
+
+  /**
+   * Load connections and subscriptions and group them by username
+   * @returns {Promise<Object>} - { byUsername: Map, anonymous, stats, fetchedAt }
+   */
+  async getPresence() {
+    const [{ connections }, { stats, subscriptions }] = await Promise.all([
+      this.getConnections(),
+      // Subscription stats are optional: older servers or proxies may not expose /subsz
+      this.getSubscriptions().catch(error => {
+        console.warn('NATS /subsz unavailable:', error.message);
+        return { stats: null, subscriptions: [] };
+      })
+    ]);
+
+    return {
+      ...buildPresence(connections, subscriptions),
+      stats,
+      fetchedAt: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Normalize a /connz connection entry
+ * @param {Object} connection - Raw connection
+ * @param {Array<Object>} subscriptions - Subscriptions of this connection
+ * @returns {Object} - Connection summary
+ */
+function normalizeConnection(connection, subscriptions) {
+  return {
+    cid: connection.cid,
+    name: connection.name || '',
+    ip: connection.ip,
+    port: connection.port,
+    start: connection.start,
+    lastActivity: connection.last_activity,
+    uptime: connection.uptime,
+    idle: connection.idle,
+    rtt: connection.rtt,
+    lang: connection.lang || '',
+    version: connection.version || '',
+    inMsgs: connection.in_msgs || 0,
+    outMsgs: connection.out_msgs || 0,
+    inBytes: connection.in_bytes || 0,
+    outBytes: connection.out_bytes || 0,
+    subscriptions: subscriptions.map(sub => ({
+      subject: sub.subject,
+      queue: sub.qgroup || null,
+      sid: sub.sid || null,
+      msgs: sub.msgs ?? null
+    }))
+  };
+}
+
+/**
+ * Group connections by authorized user
+ * Subscriptions come from the /connz detail list, or from /subsz (matched by cid)
+ * when the server did not include them
+ * @param {Array<Object>} connections - /connz connections
+ * @param {Array<Object>} subsz - /subsz subscriptions
+ * @returns {Object} - { byUsername: Map<string, Object>, anonymous: Array<Object> }
+ */
+export function buildPresence(connections, subsz = []) {
+  const subsByCid = new Map();
+  subsz.forEach(sub => {
+    if (!subsByCid.has(sub.cid)) subsByCid.set(sub.cid, []);
+    subsByCid.get(sub.cid).push(sub);
+  });
+
+  const byUsername = new Map();
+  const anonymous = [];
+
+  connections.forEach(connection => {
+    const subscriptions = connection.subscriptions_list_detail
+      || (connection.subscriptions_list || []).map(subject => ({ subject }));
+    const summary = normalizeConnection(
+      connection,
+      subscriptions.length > 0 ? subscriptions : (subsByCid.get(connection.cid) || [])
+    );
+
+    const username = connection.authorized_user;
+    if (!username) {
+      anonymous.push(summary);
+      return;
+    }
+
+    if (!byUsername.has(username)) {
+      byUsername.set(username, {
+        username,
+        online: true,
+        connections: [],
+        inMsgs: 0,
+        outMsgs: 0,
+        inBytes: 0,
+        outBytes: 0,
+        since: null
+      });
+    }
+
+    const presence = byUsername.get(username);
+    presence.connections.push(summary);
+    presence.inMsgs += summary.inMsgs;
+    presence.outMsgs += summary.outMsgs;
+    presence.inBytes += summary.inBytes;
+    presence.outBytes += summary.outBytes;
+    if (!presence.since || new Date(summary.start) < new Date(presence.since)) {
+      presence.since = summary.start;
+    }
+  });
+
+  return { byUsername, anonymous };
+}
+
+// Create instance
+export const natsMonitoringService = new NatsMonitoringService();
+export default natsMonitoringService;
@@ -0,0 +1,490 @@
+// src/services/nats/natsRecordingService.js
+import { generateUUIDv7 } from '../../utils/uuidUtils';
+import { subjectMatchesPattern } from '../../utils/natsSubjectUtils';
+import {
+  idbGet,
+  idbGetAll,
+  idbPut,
+  idbPutMany,
+  idbDelete,
+  isIndexedDbAvailable,
+  prefixKeyRange
+} from '../../utils/indexedDbUtils';
+
+const RECORDINGS_STORE = 'natsRecordings';
+const MESSAGES_STORE = 'natsRecordedMessages';
+
+// Received messages are buffered and written in batches
+const FLUSH_INTERVAL = 500;
+const FLUSH_SIZE = 200;
+
+// Idle gaps longer than this are shortened during timed replay
+const DEFAULT_MAX_GAP = 5000;
+
+/**
+ * Build the key of a recorded message
+ * Sequences are zero-padded so keys sort in arrival order
+ * @param {string} recordingId - Recording ID
+ * @param {number} sequence - Message sequence within the recording
+ * @returns {string} - Message key
+ */
+function messageKey(recordingId, sequence) {
+  return `${recordingId}:${String(sequence).padStart(10, '0')}`;
+}
+
+/**
+ * Convert a Date, ISO string or epoch value to epoch milliseconds
+ * @param {Date|string|number|null} value - Time value
+ * @returns {number|null} - Epoch milliseconds or null
+ */
+function toEpoch(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const epoch = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(epoch) ? null : epoch;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} - Base64 text
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 text to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Raw bytes
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index++) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes;
+}
+
+/**
+ * Records NATS feed messages to IndexedDB and replays them
+ *
+ * A recording is a session (`natsRecordings`) plus its messages
+ * (`natsRecordedMessages`). Messages are stored with their subject, the
+ * original payload bytes (`raw`, base64), the decoded payload for display
+ * and the receive time. They can be filtered by subject pattern and time
+ * range, exported as NDJSON (one message per line) and replayed with their
+ * original timing or at a fixed rate.
+ */
+export class NatsRecordingService {
+  constructor() {
+    // recordingId -> { recording, buffer, timer, flushing }
+    this.active = new Map();
+  }
+
+  /**
+   * Check whether recordings can be stored in this browser
+   * @returns {boolean} - True if IndexedDB is available
+   */
+  isAvailable() {
+    return isIndexedDbAvailable();
+  }
+
+  /**
+   * Start a recording session
+   * @param {Object} options - Recording options
+   * @param {string} options.name - Display name
+   * @param {string} options.organizationId - Organization the recording belongs to
+   * @param {Array<string>} options.topics - Subscribed topics at start (informational)
+   * @param {string} options.subjectFilter - Only record subjects matching this pattern
+   * @returns {Promise<Object>} - Recording
+   */
+  async startRecording({ name = '', organizationId = null, topics = [], subjectFilter = '' } = {}) {
+    const startedAt = new Date().toISOString();
+    const recording = {
+      id: generateUUIDv7(),
+      name: name || `Recording ${new Date(startedAt).toLocaleString()}`,
+      organizationId,
+      topics,
+      subjectFilter: subjectFilter || '',
+      startedAt,
+      stoppedAt: null,
+      messageCount: 0,
+      firstMessageAt: null,
+      lastMessageAt: null
+    };
+
+    await idbPut(RECORDINGS_STORE, recording);
+    this.active.set(recording.id, { recording, buffer: [], timer: null, flushing: null });
+    return { ...recording };
+  }
+
+  /**
+   * Check if a recording is currently receiving messages
+   * @param {string} recordingId - Recording ID
+   * @returns {boolean}
+   */
+  isRecording(recordingId) {
+    return this.active.has(recordingId);
+  }
+
+  /**
+   * Add a received message to an active recording
+   * Messages not matching the recording's subject filter are ignored
+   * @param {string} recordingId - Recording ID
+   * @param {Object} message - Feed message ({ topic|subject, data, raw, timestamp })
+   * @returns {boolean} - True if the message was recorded
+   */
+  record(recordingId, message) {
+    const session = this.active.get(recordingId);
+    if (!session) return false;
+
+    const subject = message.subject || message.topic;
+    const { recording } = session;
+    if (recording.subjectFilter && !subjectMatchesPattern(recording.subjectFilter, subject)) {
+      return false;
+    }
+
+    const sequence = ++recording.messageCount;
+    const timestamp = toEpoch(message.timestamp) ?? Date.now();
+
+    session.buffer.push({
+      id: messageKey(recordingId, sequence),
+      recordingId,
+      sequence,
+      subject,
+      data: message.data,
+      raw: message.raw ? toBase64(message.raw) : null,
+      decoder: message.decoder || null,
+      timestamp
+    });
+
+    recording.firstMessageAt = recording.firstMessageAt ?? timestamp;
+    recording.lastMessageAt = timestamp;
+
+    if (session.buffer.length >= FLUSH_SIZE) {
+      this.flush(recordingId);
+    } else if (!session.timer) {
+      session.timer = setTimeout(() => this.flush(recordingId), FLUSH_INTERVAL);
+    }
+
+    return true;
+  }
+
+  /**
+   * Write buffered messages of a recording
+   * @param {string} recordingId - Recording ID
+   * @returns {Promise<void>}
+   */
+  async flush(recordingId) {
+    const session = this.active.get(recordingId);
+    if (!session) return;
+
+    clearTimeout(session.timer);
+    session.timer = null;
+
+    // Serialize writes so the recording record never goes backwards
+    const previous = session.flushing || Promise.resolve();
+    session.flushing = previous.then(async () => {
+      const batch = session.buffer;
+      session.buffer = [];
+      if (batch.length > 0) {
+        await idbPutMany(MESSAGES_STORE, batch);
+      }
+      await idbPut(RECORDINGS_STORE, { ...session.recording });
+    }).catch(error => {
+      console.error('Failed to write NATS recording:', error);
+    });
+
+    return session.flushing;
+  }
+
+  /**
+   * Stop a recording and write the remaining messages
+   * @param {string} recordingId - Recording ID
+   * @returns {Promise<Object|null>} - Final recording or null if it was not active
+   */
+  async stopRecording(recordingId) {
+    const session = this.active.get(recordingId);
+    if (!session) return null;
+
+    session.recording.stoppedAt = new Date().toISOString();
+    await this.flush(recordingId);
+    this.active.delete(recordingId);
+
+    return { ...session.recording };
+  }
+
+  /**
+   * List recordings, newest first
+   * @param {string|null} organizationId - Only recordings of this organization
+   * @returns {Promise<Array<Object>>} - Recordings
+   */
+  async listRecordings(organizationId = null) {
+    const recordings = organizationId
+      ? await idbGetAll(RECORDINGS_STORE, 'organizationId', organizationId)
+      : await idbGetAll(RECORDINGS_STORE);
+
+    // Active recordings have counters that are ahead of the stored record
+    return (recordings || [])
+      .map(recording => this.active.get(recording.id)?.recording || recording)
+      .map(recording => ({ ...recording }))
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * Get a recording by ID
+   * @param {string} recordingId - Recording ID
+   * @returns {Promise<Object|null>} - Recording or null
+   */
+  async getRecording(recordingId) {
+    const active = this.active.get(recordingId);
+    if (active) return { ...active.recording };
+    return (await idbGet(RECORDINGS_STORE, recordingId)) || null;
+  }
+
+  /**
+   * Get the messages of a recording in arrival order
+   * @param {string} recordingId - Recording ID
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.subject - Subject pattern (NATS wildcards allowed)
+   * @param {Date|string|number} filters.from - Only messages received at or after
+   * @param {Date|string|number} filters.to - Only messages received at or before
+   * @returns {Promise<Array<Object>>} - Messages ({ id, sequence, subject, data, raw, timestamp })
+   */
+  async getMessages(recordingId, { subject = '', from = null, to = null } = {}) {
+    await this.flush(recordingId);
+
+    const fromEpoch = toEpoch(from);
+    const toEpochValue = toEpoch(to);
+
+    let messages;
+    if (fromEpoch !== null || toEpochValue !== null) {
+      const range = IDBKeyRange.bound(
+        [recordingId, fromEpoch ?? 0],
+        [recordingId, toEpochValue ?? Number.MAX_SAFE_INTEGER]
+      );
+      messages = await idbGetAll(MESSAGES_STORE, 'recordingTime', range);
+      messages.sort((a, b) => a.sequence - b.sequence);
+    } else {
+      messages = await idbGetAll(MESSAGES_STORE, null, prefixKeyRange(`${recordingId}:`));
+    }
+
+    return subject
+      ? messages.filter(message => subjectMatchesPattern(subject, message.subject))
+      : messages;
+  }
+
+  /**
+   * Get the original payload bytes of a recorded message
+   * @param {Object} message - Recorded message
+   * @returns {Uint8Array|null} - Bytes, or null for messages recorded without them
+   */
+  getBytes(message) {
+    if (typeof message.raw !== 'string') return null;
+
+    try {
+      return fromBase64(message.raw);
+    } catch (error) {
+      console.warn('Invalid raw payload in recorded message:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Rename a recording
+   * @param {string} recordingId - Recording ID
+   * @param {string} name - New name
+   * @returns {Promise<Object|null>} - Updated recording
+   */
+  async renameRecording(recordingId, name) {
+    const active = this.active.get(recordingId);
+    if (active) {
+      active.recording.name = name;
+      await this.flush(recordingId);
+      return { ...active.recording };
+    }
+
+    const recording = await idbGet(RECORDINGS_STORE, recordingId);
+    if (!recording) return null;
+
+    const updated = { ...recording, name };
+    await idbPut(RECORDINGS_STORE, updated);
+    return updated;
+  }
+
+  /**
+   * Delete a recording and all of its messages
+   * @param {string} recordingId - Recording ID
+   * @returns {Promise<void>}
+   */
+  async deleteRecording(recordingId) {
+    const session = this.active.get(recordingId);
+    if (session) {
+      clearTimeout(session.timer);
+      this.active.delete(recordingId);
+      await session.flushing;
+    }
+
+    await idbDelete(MESSAGES_STORE, prefixKeyRange(`${recordingId}:`));
+    await idbDelete(RECORDINGS_STORE, recordingId);
+  }
+
+  /**
+   * Serialize messages as NDJSON
+   * The first line describes the recording, every following line is one message
+   * @param {Object} recording - Recording
+   * @param {Array<Object>} messages - Messages to export
+   * @returns {string} - NDJSON text
+   */
+  toNdjson(recording, messages) {
+    const header = {
+      type: 'recording',
+      name: recording.name,
+      topics: recording.topics,
+      subjectFilter: recording.subjectFilter,
+      startedAt: recording.startedAt,
+      stoppedAt: recording.stoppedAt,
+      messageCount: messages.length
+    };
+
+    const lines = messages.map(message => JSON.stringify({
+      subject: message.subject,
+      timestamp: new Date(message.timestamp).toISOString(),
+      data: message.data,
+      ...(message.raw ? { raw: message.raw } : {})
+    }));
+
+    return [JSON.stringify(header), ...lines].join('\n') + '\n';
+  }
+
+  /**
+   * Import an NDJSON export as a new recording
+   * Lines without a subject are skipped; the header line is optional
+   * @param {string} text - NDJSON text
+   * @param {Object} options - Import options
+   * @param {string} options.organizationId - Organization the recording belongs to
+   * @param {string} options.name - Name used when the file has no header
+   * @returns {Promise<Object>} - { recording, skipped }
+   */
+  async importNdjson(text, { organizationId = null, name = '' } = {}) {
+    let header = null;
+    let skipped = 0;
+    const entries = [];
+
+    text.split(/\r?\n/).forEach(line => {
+      if (!line.trim()) return;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (error) {
+        skipped++;
+        return;
+      }
+
+      if (parsed?.type === 'recording' && !header && entries.length === 0) {
+        header = parsed;
+      } else if (parsed && typeof parsed.subject === 'string' && parsed.subject) {
+        entries.push(parsed);
+      } else {
+        skipped++;
+      }
+    });
+
+    if (entries.length === 0) {
+      throw new Error('No messages found in the file');
+    }
+
+    const id = generateUUIDv7();
+    const now = Date.now();
+    const messages = entries.map((entry, index) => ({
+      id: messageKey(id, index + 1),
+      recordingId: id,
+      sequence: index + 1,
+      subject: entry.subject,
+      data: entry.data,
+      raw: typeof entry.raw === 'string' ? entry.raw : null,
+      timestamp: toEpoch(entry.timestamp) ?? now
+    }));
+
+    const recording = {
+      id,
+      name: name || (header?.name ? `${header.name} (imported)` : `Imported ${new Date(now).toLocaleString()}`),
+      organizationId,
+      topics: header?.topics || [],
+      subjectFilter: header?.subjectFilter || '',
+      startedAt: header?.startedAt || new Date(messages[0].timestamp).toISOString(),
+      stoppedAt: header?.stoppedAt || new Date(messages[messages.length - 1].timestamp).toISOString(),
+      messageCount: messages.length,
+      firstMessageAt: messages[0].timestamp,
+      lastMessageAt: messages[messages.length - 1].timestamp,
+      imported: true
+    };
+
+    await idbPutMany(MESSAGES_STORE, messages);
+    await idbPut(RECORDINGS_STORE, recording);
+
+    return { recording, skipped };
+  }
+
+  /**
+   * Replay messages with their original timing or at a fixed rate
+   * @param {Array<Object>} messages - Messages in arrival order
+   * @param {Object} options - Replay options
+   * @param {Function} options.onMessage - Called with each message (may return a promise)
+   * @param {Function} options.onProgress - Called with (sent, total)
+   * @param {number} options.speed - Timing multiplier for original timing (2 = twice as fast)
+   * @param {number} options.rate - Messages per second; overrides original timing when set
+   * @param {number} options.maxGap - Longest wait between two messages in ms (original timing only)
+   * @returns {Object} - { promise, stop } where promise resolves with the number of messages sent
+   */
+  replay(messages, { onMessage, onProgress = null, speed = 1, rate = null, maxGap = DEFAULT_MAX_GAP } = {}) {
+    let stopped = false;
+    let timer = null;
+    let resolveWait = null;
+
+    const wait = (ms) => new Promise(resolve => {
+      resolveWait = resolve;
+      timer = setTimeout(resolve, ms);
+    });
+
+    const delayBefore = (index) => {
+      if (index === 0) return 0;
+      if (rate) return 1000 / rate;
+      const gap = messages[index].timestamp - messages[index - 1].timestamp;
+      return Math.min(Math.max(gap, 0), maxGap) / (speed || 1);
+    };
+
+    const promise = (async () => {
+      let sent = 0;
+      for (let index = 0; index < messages.length; index++) {
+        const delay = delayBefore(index);
+        if (delay > 0) await wait(delay);
+        if (stopped) break;
+
+        await onMessage(messages[index], index);
+        sent++;
+        if (onProgress) onProgress(sent, messages.length);
+      }
+      return sent;
+    })();
+
+    return {
+      promise,
+      stop: () => {
+        stopped = true;
+        clearTimeout(timer);
+        if (resolveWait) resolveWait();
+      }
+    };
+  }
+}
+
+// Create instance
+export const natsRecordingService = new NatsRecordingService();
+export default natsRecordingService;
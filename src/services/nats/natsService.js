@@ -1,9 +1,33 @@
 // src/services/nats/natsService.js
-import { connect } from 'nats.ws';
+import { connect, ErrorCode } from 'nats.ws';
+import natsDecoderService from './natsDecoderService';
+import { buildConnectOptions, createReconnectState } from './natsConnectOptions';
+import NatsSharedConnection from './natsSharedConnection';
+import { natsConfigService } from './natsConfigService';
+import { measureConnection, getSubscriptionCounts } from '../../utils/natsHealthUtils';
 
+/**
+ * NATS client used by the whole app
+ *
+ * Where SharedWorker is available the connection lives in natsSharedWorker and is
+ * shared by all tabs; this service then proxies subscribe, unsubscribe, publish and
+ * request to it. Otherwise (or if the worker fails to start) the tab connects itself.
+ */
 class NatsService {
   constructor() {
-    this.connection = null;
+    this.connection = null; // In-tab connection (null while using the shared connection)
+    this.shared = null; // Client of the shared worker connection
+    this.sharedDisabled = !NatsSharedConnection.isSupported();
+    this.sharedOpen = false; // Whether the shared connection exists (it keeps subscriptions)
+    this.localConnectionPromise = null; // Tab connection for APIs the worker does not proxy
+    this.config = null; // Configuration of the last connect
+    this.manualDisconnect = false; // Set when the connection was closed on request (in any tab)
+    this.reconnectState = createReconnectState(); // Reconnect backoff of the in-tab connection (see buildConnectOptions)
+    this.sharedReconnectState = createReconnectState(); // Reconnect backoff of the shared connection
+    this.reconnects = 0; // Times the connection came back since it was opened
+    this.connectedAt = null;
+    this.wasConnected = false;
+    this.lastError = null; // { message, at }
     this.status = 'disconnected'; // disconnected, connecting, connected, error
     this.statusListeners = [];
     this.errorMessage = '';
@@ -20,6 +44,8 @@ class NatsService {
    * @param {string} config.user - NATS username
    * @param {string} config.pass - NATS password
    * @param {boolean} config.token - NATS token (alternative to user/pass)
+   * @param {string} config.authMethod - password, token, creds or nkey (stored .creds file or NKey seed)
+   * @param {string} config.id - Connection profile id (selects the stored .creds file or NKey seed)
    * @returns {Promise<boolean>} - Connection success
    */
   async connect(config) {
@@ -33,27 +59,35 @@ class NatsService {
       return this.connectingPromise;
     }
     
+    this.config = config;
+    this.manualDisconnect = false;
+    
+    // Connect through the shared worker; the tab status follows the worker's status events
+    const shared = this.getSharedConnection();
+    if (shared) {
+      try {
+        this.connectingPromise = shared.connect(config);
+        return await this.connectingPromise;
+      } catch (error) {
+        if (error.code !== 'WORKER_UNAVAILABLE') {
+          this.setStatus('error', error.message);
+          return false;
+        }
+        // Fall back to connecting in this tab
+      } finally {
+        this.connectingPromise = null;
+      }
+    }
+    
     try {
       this.setStatus('connecting');
       
       // Store the promise to prevent duplicate connection attempts
       this.connectingPromise = (async () => {
         try {
-          // Build connection options
-          const options = {
-            servers: config.url,
-          };
-          
-          // Add authentication if provided
-          if (config.user && config.pass) {
-            options.user = config.user;
-            options.pass = config.pass;
-          } else if (config.token) {
-            options.token = config.token;
-          }
-  
           // Connect to NATS
-          this.connection = await connect(options);
+          this.reconnectState = createReconnectState();
+          this.connection = await connect(await buildConnectOptions(config, this.reconnectState));
           
           this.setStatus('connected');
           
@@ -83,12 +117,19 @@ class NatsService {
   setupStatusHandler() {
     if (!this.connection) return;
     
+    const connection = this.connection;
+    
     // Setup disconnect handler
     (async () => {
-      for await (const status of this.connection.status()) {
+      for await (const status of connection.status()) {
         if (status.type === 'disconnect') {
           this.setStatus('disconnected');
+        } else if (status.type === 'reconnecting') {
+          // Each attempt lengthens the backoff (see buildConnectOptions)
+          this.reconnectState.attempts++;
         } else if (status.type === 'reconnect') {
+          this.reconnectState.attempts = 0;
+          this.reconnectState.nextAttemptAt = null;
           this.setStatus('connected');
         } else if (status.type === 'error') {
           this.setStatus('error', status.data ? status.data.message : 'Connection error');
@@ -97,12 +138,198 @@ class NatsService {
     })().catch((err) => {
       // Error in status handler
     });
+    
+    // The client gave up reconnecting (or the server closed the connection)
+    connection.closed().then((error) => {
+      if (this.connection !== connection) return;
+      
+      this.connection = null;
+      this.reconnectState.nextAttemptAt = null;
+      this.reconnectState.exhausted = !!error && this.reconnectState.attempts > 0;
+      this.clearSubscriptions();
+      this.setStatus(error ? 'error' : 'disconnected', error ? error.message : '');
+    });
+  }
+
+  /**
+   * Get the client of the shared worker connection, starting the worker on first use
+   * @returns {NatsSharedConnection|null} - Client, or null when connecting in the tab
+   */
+  getSharedConnection() {
+    if (this.sharedDisabled) return null;
+    if (this.shared) return this.shared;
+    
+    try {
+      this.shared = new NatsSharedConnection({
+        onStatus: (message) => this.handleSharedStatus(message),
+        onMessage: (message) => this.handleSharedMessage(message),
+        onFailure: () => this.disableSharedConnection()
+      });
+      this.shared.start();
+      return this.shared;
+    } catch (error) {
+      this.disableSharedConnection();
+      return null;
+    }
+  }
+  
+  /**
+   * Stop using the shared worker; later connections are made in the tab
+   */
+  disableSharedConnection() {
+    const wasOpen = this.sharedOpen;
+    this.sharedDisabled = true;
+    this.shared = null;
+    this.sharedOpen = false;
+    this.sharedReconnectState = createReconnectState();
+    this.clearSubscriptions();
+    if (this.status !== 'connecting') {
+      this.setStatus('disconnected');
+    }
+    
+    // The connection went away with the worker, not with the server; open it in this tab
+    if (wasOpen && !this.manualDisconnect && this.config) {
+      this.connect(this.config);
+    }
+  }
+  
+  /**
+   * Apply a status event of the shared connection
+   * @param {Object} message - { status, error, open, manual, reconnect }
+   */
+  handleSharedStatus({ status, error, open, manual, reconnect }) {
+    this.sharedOpen = open;
+    if (reconnect) {
+      this.sharedReconnectState = reconnect;
+    }
+    if (manual) {
+      this.manualDisconnect = true;
+    } else if (status === 'connected') {
+      this.manualDisconnect = false;
+    }
+    
+    // The worker dropped the connection together with its subscriptions
+    if (!open) {
+      this.clearSubscriptions();
+      this.closeLocalConnection();
+    }
+    
+    this.setStatus(status, error);
+  }
+  
+  /**
+   * Stop using the shared connection in this tab without closing it for the other tabs
+   * The next connect() attaches the tab to the connection of its config
+   */
+  leaveSharedConnection() {
+    this.sharedOpen = false;
+    // The worker stops forwarding them; listeners subscribe again once connected
+    this.subscriptions.forEach(subscription => subscription.unsubscribe());
+    this.clearSubscriptions();
+    this.closeLocalConnection();
+    this.setStatus('disconnected');
+  }
+  
+  /**
+   * Deliver a message forwarded by the shared worker
+   * @param {Object} message - { sid, subject, data }
+   */
+  handleSharedMessage({ sid, subject, data }) {
+    const subscription = this.subscriptions.get(sid);
+    if (subscription) {
+      this.dispatchMessage(subscription, subject, data);
+    }
+  }
+  
+  /**
+   * Get a nats.ws connection for APIs the shared worker does not proxy (JetStream, KV)
+   * With a shared connection, a separate connection is opened in this tab on first use.
+   * Known limit: that connection is a second WebSocket per tab; its status and reconnects
+   * are not tracked (nats.ws reconnects it with its defaults) and it is closed only with
+   * the shared connection
+   * @returns {Promise<Object|null>} - nats.ws connection, or null when not connected
+   */
+  async getConnection() {
+    if (!this.shared) {
+      return this.connection;
+    }
+    if (!this.sharedOpen) {
+      return null;
+    }
+    
+    if (!this.localConnectionPromise) {
+      // Another tab may have opened the shared connection; use the active profile then
+      const config = this.config || natsConfigService.getConfig();
+      this.localConnectionPromise = (async () => connect(await buildConnectOptions(config)))();
+      this.localConnectionPromise.catch(() => {
+        this.localConnectionPromise = null;
+      });
+    }
+    return this.localConnectionPromise;
+  }
+  
+  /**
+   * Close the tab connection opened by getConnection()
+   */
+  closeLocalConnection() {
+    const promise = this.localConnectionPromise;
+    this.localConnectionPromise = null;
+    if (promise) {
+      promise.then(connection => connection.close()).catch(() => {});
+    }
+  }
+  
+  /**
+   * Check whether a connection to send through exists (in this tab or in the shared worker)
+   * @returns {boolean} - True if messages can be sent
+   */
+  hasConnection() {
+    return this.shared ? this.sharedOpen : !!this.connection;
+  }
+  
+  /**
+   * Get the state of the client's reconnect backoff
+   * @returns {Object} - { attempts, nextAttemptAt, exhausted, reconnecting }
+   */
+  getReconnectState() {
+    const state = this.shared ? this.sharedReconnectState : this.reconnectState;
+    return {
+      attempts: state.attempts,
+      nextAttemptAt: state.nextAttemptAt ? new Date(state.nextAttemptAt) : null,
+      exhausted: state.exhausted,
+      // The connection is kept while the client retries
+      reconnecting: this.hasConnection() && !this.isConnected()
+    };
+  }
+  
+  /**
+   * Forget all subscriptions after their connection is gone
+   */
+  clearSubscriptions() {
+    this.subscriptions.clear();
+    this.topicSubscriptions.clear();
   }
 
   /**
    * Disconnect from NATS server
+   * With a shared connection this closes it for every tab
    */
   async disconnect() {
+    this.manualDisconnect = true;
+    this.wasConnected = false;
+    this.reconnects = 0;
+    
+    if (this.shared) {
+      this.closeLocalConnection();
+      try {
+        await this.shared.disconnect();
+      } catch (error) {
+        // Error disconnecting from NATS
+      }
+      this.clearSubscriptions();
+      return;
+    }
+    
     if (this.connection) {
       try {
         // First, unsubscribe from all active subscriptions
@@ -115,8 +342,7 @@ class NatsService {
         }
         
         // Clear subscriptions maps
-        this.subscriptions.clear();
-        this.topicSubscriptions.clear();
+        this.clearSubscriptions();
         
         // Now close the connection
         await this.connection.close();
@@ -133,19 +359,26 @@ class NatsService {
   /**
    * Publish a message to a NATS subject
    * @param {string} subject - NATS subject to publish to
-   * @param {Object} message - Message to publish (will be JSON stringified)
+   * @param {Object|Uint8Array} message - Message to publish (JSON stringified; bytes are sent as-is)
+   * @param {Object} options - Publish options
+   * @param {boolean} options.raw - Publish string messages as-is instead of JSON encoding them
    * @returns {Promise<boolean>} - Publish success
    */
-  async publish(subject, message) {
-    if (!this.connection) {
+  async publish(subject, message, options = {}) {
+    if (!this.hasConnection()) {
       this.setStatus('error', 'Not connected to NATS server');
       return false;
     }
 
     try {
-      const jsonData = JSON.stringify(message);
+      const jsonData = message instanceof Uint8Array || (options.raw && typeof message === 'string')
+        ? message
+        : JSON.stringify(message);
       
       // Publish message
+      if (this.shared) {
+        return await this.shared.publish(subject, jsonData);
+      }
       this.connection.publish(subject, jsonData);
       return true;
     } catch (error) {
@@ -154,24 +387,111 @@ class NatsService {
     }
   }
 
+  /**
+   * Send a request and wait for a single reply
+   * Rejects with an error whose `code` is 'TIMEOUT', 'NO_RESPONDERS',
+   * 'NOT_CONNECTED' or 'REQUEST_FAILED' so callers can tell failures apart
+   * @param {string} subject - NATS subject to send the request to
+   * @param {Object} message - Request payload (will be JSON stringified)
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Time to wait for a reply in ms (default: 5000)
+   * @returns {Promise<Object>} - Reply with decoded `data`, `subject` and `duration` in ms
+   */
+  async request(subject, message, options = {}) {
+    const { timeout = 5000 } = options;
+    
+    if (!this.hasConnection()) {
+      const error = new Error('Not connected to NATS server');
+      error.code = 'NOT_CONNECTED';
+      throw error;
+    }
+    
+    const startedAt = Date.now();
+    
+    try {
+      const reply = this.shared
+        ? await this.shared.request(subject, JSON.stringify(message), timeout)
+        : await this.connection.request(subject, JSON.stringify(message), { timeout });
+      
+      return {
+        data: this.decodeMessageData(reply.data),
+        subject: reply.subject,
+        duration: Date.now() - startedAt
+      };
+    } catch (error) {
+      const requestError = new Error(error.message);
+      
+      if (error.code === ErrorCode.Timeout) {
+        requestError.code = 'TIMEOUT';
+        requestError.message = `No reply within ${timeout}ms`;
+      } else if (error.code === ErrorCode.NoResponders) {
+        requestError.code = 'NO_RESPONDERS';
+        requestError.message = `No responders are listening on ${subject}`;
+      } else {
+        requestError.code = 'REQUEST_FAILED';
+      }
+      
+      requestError.duration = Date.now() - startedAt;
+      throw requestError;
+    }
+  }
+
+  /**
+   * Decode a message payload with the decoder selected for its subject
+   * Without a decoder rule, JSON is parsed when possible (see natsDecoderService)
+   * @param {Uint8Array} data - Raw message data
+   * @param {string} subject - Message subject, used to pick the decoder
+   * @returns {any} - Decoded payload
+   */
+  decodeMessageData(data, subject = '') {
+    return natsDecoderService.decodeForSubject(data, subject).data;
+  }
+
   /**
    * Subscribe to a NATS subject
    * @param {string} subject - NATS subject to subscribe to
-   * @param {Function} callback - Callback function for received messages
+   * @param {Function} callback - Called with (data, subject, subscriptionId, { raw, decoder, decodeError })
    * @returns {Object|null} - Enhanced subscription object or null on failure
    */
   async subscribe(subject, callback) {
-    if (!this.connection) {
+    if (!this.hasConnection()) {
       return null;
     }
 
     // Check if we already have an active subscription for this subject
     if (this.topicSubscriptions.has(subject)) {
       const existingSub = this.topicSubscriptions.get(subject);
-      // Return the existing subscription
+      // Share the existing subscription and register this callback as a listener
+      existingSub.listeners.add(callback);
       return existingSub;
     }
 
+    // The shared worker forwards the messages; the proxy only tracks the listeners
+    if (this.shared) {
+      const subscriptionId = this.nextSubscriptionId++;
+      const subscription = {
+        sid: subscriptionId,
+        subject,
+        listeners: new Set([callback]),
+        unsubscribe: () => this.shared?.unsubscribe(subscriptionId)
+      };
+      
+      this.subscriptions.set(subscriptionId, subscription);
+      this.topicSubscriptions.set(subject, subscription);
+      
+      try {
+        await this.shared.subscribe(subscriptionId, subject);
+        return subscription;
+      } catch (error) {
+        // The worker's connection went away in the meantime; callers subscribe again once connected
+        this.subscriptions.delete(subscriptionId);
+        if (this.topicSubscriptions.get(subject) === subscription) {
+          this.topicSubscriptions.delete(subject);
+        }
+        return null;
+      }
+    }
+
     try {
       // Create subscription
       const subscription = this.connection.subscribe(subject);
@@ -182,6 +502,12 @@ class NatsService {
       // Store the ID on the subscription object
       subscription.sid = subscriptionId;
       
+      // Callbacks sharing this subscription (one per subscriber)
+      subscription.listeners = new Set([callback]);
+      
+      // Messages received but not delivered (see getSubscriptionCounts)
+      subscription.dropped = 0;
+      
       // Store subscription with ID as key
       this.subscriptions.set(subscriptionId, subscription);
       
@@ -198,16 +524,10 @@ class NatsService {
                 break;
               }
               
-              let data;
-              try {
-                data = JSON.parse(new TextDecoder().decode(message.data));
-              } catch (parseError) {
-                data = new TextDecoder().decode(message.data);
-              }
-              
-              callback(data, message.subject, subscriptionId);
+              this.dispatchMessage(subscription, message.subject, message.data);
             } catch (messageError) {
               // Error processing message
+              subscription.dropped++;
             }
           }
         } catch (subscriptionError) {
@@ -225,6 +545,26 @@ class NatsService {
     }
   }
 
+  /**
+   * Decode a message and pass it to every listener of its subscription
+   * @param {Object} subscription - Subscription with `sid` and `listeners`
+   * @param {string} subject - Message subject
+   * @param {Uint8Array} raw - Raw message data
+   */
+  dispatchMessage(subscription, subject, raw) {
+    const { data, decoder, error: decodeError } = natsDecoderService.decodeForSubject(raw, subject);
+    const meta = { raw, decoder, decodeError };
+    
+    // Fan out to every listener sharing this subscription
+    subscription.listeners.forEach(listener => {
+      try {
+        listener(data, subject, subscription.sid, meta);
+      } catch (listenerError) {
+        // Error in message listener
+      }
+    });
+  }
+
   /**
    * Update connection status and notify listeners
    * @param {string} status - New status
@@ -236,6 +576,18 @@ class NatsService {
       return;
     }
     
+    // Track connection health
+    if (status === 'connected' && this.status !== 'connected') {
+      if (this.wasConnected) {
+        this.reconnects++;
+      }
+      this.wasConnected = true;
+      this.connectedAt = new Date();
+    }
+    if (status === 'error' && errorMessage) {
+      this.lastError = { message: errorMessage, at: new Date() };
+    }
+    
     // Update status
     this.status = status;
     this.errorMessage = errorMessage;
@@ -250,6 +602,50 @@ class NatsService {
     });
   }
 
+  /**
+   * Get connection health: round-trip time, server details, reconnects,
+   * the last error and the counters of every subscription
+   * @returns {Promise<Object>} - Health snapshot
+   */
+  async getHealth() {
+    const health = {
+      status: this.status,
+      mode: this.shared ? 'shared' : 'tab',
+      connectedAt: this.isConnected() ? this.connectedAt : null,
+      reconnects: this.reconnects,
+      lastError: this.lastError,
+      rtt: null,
+      server: null,
+      stats: null,
+      subscriptions: []
+    };
+    
+    // Counters by subject (the shared worker keeps one subscription per subject)
+    let counts = () => null;
+    
+    try {
+      if (this.shared && this.sharedOpen) {
+        const remote = await this.shared.health();
+        Object.assign(health, { rtt: remote.rtt, server: remote.server, stats: remote.stats });
+        counts = (subject) => remote.subjects[subject];
+      } else if (this.connection) {
+        Object.assign(health, await measureConnection(this.connection));
+        counts = (subject, subscription) => getSubscriptionCounts(subscription);
+      }
+    } catch (error) {
+      // Health is best effort; keep the local details
+    }
+    
+    health.subscriptions = [...this.topicSubscriptions.entries()].map(([subject, subscription]) => ({
+      sid: subscription.sid,
+      subject,
+      listeners: subscription.listeners?.size || 0,
+      ...(counts(subject, subscription) || { received: 0, pending: 0, dropped: 0 })
+    }));
+    
+    return health;
+  }
+
   /**
    * Add a connection status listener
    * @param {Function} listener - Status change listener
@@ -298,10 +694,21 @@ class NatsService {
   
   /**
    * Unsubscribe from a subject
+   * When a callback is given only that listener is removed, and the underlying
+   * subscription is closed once no listeners remain
    * @param {Object} subscription - Subscription object to unsubscribe
+   * @param {Function} callback - Optional listener to remove
    */
-  async unsubscribe(subscription) {
+  async unsubscribe(subscription, callback = null) {
     if (subscription) {
+      // Detach a single listener and keep the subscription if others remain
+      if (callback && subscription.listeners) {
+        subscription.listeners.delete(callback);
+        if (subscription.listeners.size > 0) {
+          return;
+        }
+      }
+      
       try {
         // Only unsubscribe if this is a valid subscription
         if (typeof subscription.unsubscribe === 'function') {
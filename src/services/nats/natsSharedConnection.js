@@ -0,0 +1,191 @@
+// src/services/nats/natsSharedConnection.js
+
+/**
+ * Tab-side client of the NATS connection hosted in natsSharedWorker
+ * Sends commands over the worker's MessagePort and reports status changes
+ * and subscription messages through the callbacks given to the constructor
+ */
+export class NatsSharedConnection {
+  /**
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.onStatus - Called with { status, error, open, manual }
+   * @param {Function} handlers.onMessage - Called with { sid, subject, data }
+   * @param {Function} handlers.onFailure - Called once if the worker cannot be started
+   */
+  constructor({ onStatus, onMessage, onFailure }) {
+    this.onStatus = onStatus;
+    this.onMessage = onMessage;
+    this.onFailure = onFailure;
+    this.port = null;
+    this.failed = false;
+    this.pending = new Map(); // Request id -> { resolve, reject }
+    this.nextRequestId = 1;
+  }
+
+  /**
+   * Check whether the browser supports SharedWorker
+   * @returns {boolean} - True if supported
+   */
+  static isSupported() {
+    return typeof SharedWorker !== 'undefined';
+  }
+
+  /**
+   * Start (or attach to) the shared worker
+   * @throws {Error} - If the worker cannot be created
+   */
+  start() {
+    const worker = new SharedWorker(new URL('./natsSharedWorker.js', import.meta.url), {
+      type: 'module',
+      name: 'nats-connection'
+    });
+
+    // The worker script failed to load or crashed
+    worker.onerror = () => this.fail();
+
+    this.port = worker.port;
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+    this.port.start();
+
+    // Let the worker release this tab's subscriptions (and the connection after the last tab)
+    window.addEventListener('pagehide', (event) => {
+      if (!event.persisted) this.close();
+    });
+  }
+
+  /**
+   * Stop using the worker and reject pending commands
+   */
+  fail() {
+    if (this.failed) return;
+    this.failed = true;
+
+    const error = new Error('The shared NATS worker is not available');
+    error.code = 'WORKER_UNAVAILABLE';
+    this.pending.forEach(({ reject }) => reject(error));
+    this.pending.clear();
+
+    if (this.onFailure) this.onFailure(error);
+  }
+
+  handleMessage(message) {
+    if (message.type === 'status') {
+      this.onStatus(message);
+    } else if (message.type === 'message') {
+      this.onMessage(message);
+    } else if (message.type === 'result') {
+      const pending = this.pending.get(message.id);
+      if (!pending) return;
+      this.pending.delete(message.id);
+
+      if (message.ok) {
+        pending.resolve(message.value);
+      } else {
+        const error = new Error(message.error.message);
+        error.code = message.error.code;
+        pending.reject(error);
+      }
+    }
+  }
+
+  post(message) {
+    if (this.failed || !this.port) return;
+    this.port.postMessage(message);
+  }
+
+  /**
+   * Send a command and wait for its result
+   * @param {string} type - Command type
+   * @param {Object} payload - Command fields
+   * @returns {Promise<any>} - Result value
+   */
+  call(type, payload = {}) {
+    if (this.failed) {
+      const error = new Error('The shared NATS worker is not available');
+      error.code = 'WORKER_UNAVAILABLE';
+      return Promise.reject(error);
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.post({ ...payload, type, id });
+    });
+  }
+
+  /**
+   * Connect the shared connection of a configuration
+   * Tabs with the same configuration share a connection; other configurations get their own
+   * @param {Object} config - Connection configuration
+   * @returns {Promise<boolean>} - Connection success
+   */
+  connect(config) {
+    // Reactive objects cannot be cloned into the worker
+    return this.call('connect', { config: JSON.parse(JSON.stringify(config)) });
+  }
+
+  /**
+   * Close the shared connection for every tab using it
+   * @returns {Promise<void>}
+   */
+  disconnect() {
+    return this.call('disconnect');
+  }
+
+  /**
+   * Forward the messages of a subject to this tab
+   * @param {number} sid - Subscription id
+   * @param {string} subject - NATS subject
+   * @returns {Promise<boolean>} - Resolves once subscribed; rejects with code NOT_CONNECTED
+   *   when this tab's connection is gone
+   */
+  subscribe(sid, subject) {
+    return this.call('subscribe', { sid, subject });
+  }
+
+  /**
+   * Stop forwarding a subscription to this tab
+   * @param {number} sid - Subscription id
+   */
+  unsubscribe(sid) {
+    this.post({ type: 'unsubscribe', sid });
+  }
+
+  /**
+   * Publish a payload
+   * @param {string} subject - NATS subject
+   * @param {string|Uint8Array} data - Encoded payload
+   * @returns {Promise<boolean>} - Publish success
+   */
+  publish(subject, data) {
+    return this.call('publish', { subject, data });
+  }
+
+  /**
+   * Send a request and wait for the reply
+   * @param {string} subject - NATS subject
+   * @param {string} data - Encoded payload
+   * @param {number} timeout - Time to wait in ms
+   * @returns {Promise<Object>} - { subject, data } with raw reply bytes
+   */
+  request(subject, data, timeout) {
+    return this.call('request', { subject, data, timeout });
+  }
+
+  /**
+   * Measure the shared connection
+   * @returns {Promise<Object>} - { rtt, server, stats, subjects } with counters by subject
+   */
+  health() {
+    return this.call('health');
+  }
+
+  /**
+   * Detach this tab from the worker
+   */
+  close() {
+    this.post({ type: 'close' });
+  }
+}
+
+export default NatsSharedConnection;
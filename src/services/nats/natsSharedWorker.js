@@ -0,0 +1,418 @@
+// src/services/nats/natsSharedWorker.js
+/**
+ * SharedWorker that hosts the NATS connections of all tabs of the app
+ *
+ * Tabs talk to it through natsSharedConnection over a MessagePort. There is one
+ * connection per configuration (see configKey): a tab is attached to the connection
+ * of the config it connected with, so tabs of different organizations or profiles
+ * never share a connection.
+ *
+ * Tab → worker:
+ *   { type: 'connect', id, config }             - Attach to the connection of this config, connecting if needed
+ *   { type: 'disconnect', id }                  - Close the connection for every tab attached to it
+ *   { type: 'subscribe', id, sid, subject }     - Start forwarding messages of a subject
+ *                                                 (fails with code NOT_CONNECTED without a connection)
+ *   { type: 'unsubscribe', sid }                - Stop forwarding them
+ *   { type: 'publish', id, subject, data }      - Publish a string or byte payload
+ *   { type: 'request', id, subject, data, timeout }
+ *   { type: 'health', id }                      - Round-trip time, server details and counters by subject
+ *   { type: 'close' }                           - The tab is going away
+ *
+ * Worker → tab:
+ *   { type: 'status', status, error, open, manual, reconnect }
+ *                                               - Connection status (sent to the tabs attached to it). open is
+ *                                                 false once the connection and its subscriptions are gone,
+ *                                                 manual is true when a tab asked to disconnect, reconnect is
+ *                                                 the client's backoff { attempts, nextAttemptAt, exhausted }
+ *                                                 (also sent whenever the next attempt is scheduled)
+ *   { type: 'message', sid, subject, data }     - Raw message bytes (decoded in the tab)
+ *   { type: 'result', id, ok, value, error }    - Reply to every command except unsubscribe and close
+ *
+ * Tabs on the same connection subscribed to the same subject share a single NATS subscription.
+ */
+import { connect } from 'nats.ws';
+import { buildConnectOptions, createReconnectState } from './natsConnectOptions';
+import { measureConnection, getSubscriptionCounts } from '../../utils/natsHealthUtils';
+
+// config key -> connection entry (see createEntry)
+const entries = new Map();
+// port -> { key, subscriptions: Map<sid, subject> }
+const tabs = new Map();
+
+/**
+ * Identify the settings a connection was made with
+ * @param {Object} config - Connection configuration
+ * @returns {string} - Key that changes when the server or credentials change
+ */
+function configKey(config) {
+  return JSON.stringify([config.id, config.url, config.authMethod, config.user, config.pass, config.token]);
+}
+
+/**
+ * Create the state of one shared connection
+ * @param {string} key - Config key
+ * @returns {Object} - Connection entry
+ */
+function createEntry(key) {
+  return {
+    key,
+    connection: null,
+    connectingPromise: null,
+    reconnectState: createReconnectState(),
+    status: 'disconnected',
+    errorMessage: '',
+    ports: new Set(),
+    // subject -> { subscription, targets: Set<{ port, sid }> }
+    subjects: new Map()
+  };
+}
+
+function post(port, message) {
+  try {
+    port.postMessage(message);
+    return true;
+  } catch (error) {
+    // Port closed
+    return false;
+  }
+}
+
+function statusMessage(entry, manual = false) {
+  const { attempts, nextAttemptAt, exhausted } = entry.reconnectState;
+  return {
+    type: 'status',
+    status: entry.status,
+    error: entry.errorMessage,
+    open: entry.connection !== null,
+    manual,
+    reconnect: { attempts, nextAttemptAt, exhausted }
+  };
+}
+
+function postStatus(entry, manual = false) {
+  entry.ports.forEach(port => post(port, statusMessage(entry, manual)));
+}
+
+function setStatus(entry, nextStatus, error = '', manual = false) {
+  entry.status = nextStatus;
+  entry.errorMessage = error;
+  postStatus(entry, manual);
+}
+
+function serializeError(error) {
+  return { message: error.message, code: error.code || null };
+}
+
+function notConnectedError() {
+  const error = new Error('Not connected to NATS server');
+  error.code = 'NOT_CONNECTED';
+  return error;
+}
+
+/**
+ * Get the connection entry a tab is attached to
+ * @param {MessagePort} port - Tab port
+ * @returns {Object|null} - Connection entry
+ */
+function getEntry(port) {
+  const key = tabs.get(port)?.key;
+  return key ? entries.get(key) || null : null;
+}
+
+/**
+ * Attach a tab to the connection of a config, leaving the one it used before
+ * @param {MessagePort} port - Tab port
+ * @param {string} key - Config key
+ * @returns {Object} - Connection entry
+ */
+function attach(port, key) {
+  const tab = tabs.get(port);
+  if (tab.key === key) return entries.get(key);
+
+  const switched = tab.key !== null;
+  detach(port);
+
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = createEntry(key);
+    entries.set(key, entry);
+  }
+  entry.ports.add(port);
+  tab.key = key;
+
+  // Tell the tab where this connection stands; a tab that switched also learns
+  // that its subscriptions stayed with the previous connection
+  if (switched || entry.status !== 'disconnected') {
+    post(port, statusMessage(entry));
+  }
+  return entry;
+}
+
+/**
+ * Detach a tab from its connection; the connection is closed when no tab uses it anymore
+ * @param {MessagePort} port - Tab port
+ */
+function detach(port) {
+  const tab = tabs.get(port);
+  const entry = getEntry(port);
+  if (!entry) return;
+
+  [...tab.subscriptions.keys()].forEach(sid => unsubscribe(port, sid));
+  entry.ports.delete(port);
+  tab.key = null;
+
+  if (entry.ports.size === 0) {
+    entries.delete(entry.key);
+    disconnectNats(entry);
+  }
+}
+
+/**
+ * Attach a tab to the connection of its config and connect it if needed
+ * @param {MessagePort} port - Tab port
+ * @param {Object} config - Connection configuration
+ * @returns {Promise<boolean>} - Connection success
+ */
+async function connectNats(port, config) {
+  const entry = attach(port, configKey(config));
+  if (entry.connection) {
+    // A tab that left the connection (see natsService.leaveSharedConnection) connects to it again
+    post(port, statusMessage(entry));
+    return true;
+  }
+  if (entry.connectingPromise) {
+    return entry.connectingPromise;
+  }
+
+  setStatus(entry, 'connecting');
+  entry.connectingPromise = (async () => {
+    try {
+      entry.reconnectState = createReconnectState();
+      const nc = await connect(await buildConnectOptions(config, entry.reconnectState, () => postStatus(entry)));
+
+      // Every tab left while connecting
+      if (entries.get(entry.key) !== entry) {
+        nc.close().catch(() => {});
+        return false;
+      }
+
+      entry.connection = nc;
+      setStatus(entry, 'connected');
+      watchConnection(entry, nc);
+      return true;
+    } catch (error) {
+      setStatus(entry, 'error', error.message);
+      return false;
+    } finally {
+      entry.connectingPromise = null;
+    }
+  })();
+
+  return entry.connectingPromise;
+}
+
+/**
+ * Forward status changes of a connection to its tabs
+ * @param {Object} entry - Connection entry
+ * @param {Object} nc - nats.ws connection
+ */
+function watchConnection(entry, nc) {
+  (async () => {
+    for await (const event of nc.status()) {
+      if (nc !== entry.connection) break;
+      if (event.type === 'disconnect') {
+        setStatus(entry, 'disconnected');
+      } else if (event.type === 'reconnecting') {
+        entry.reconnectState.attempts++;
+      } else if (event.type === 'reconnect') {
+        entry.reconnectState.attempts = 0;
+        entry.reconnectState.nextAttemptAt = null;
+        setStatus(entry, 'connected');
+      } else if (event.type === 'error') {
+        setStatus(entry, 'error', event.data ? event.data.message : 'Connection error');
+      }
+    }
+  })().catch(() => {});
+
+  // Closed by the server or after running out of reconnect attempts
+  nc.closed().then((error) => {
+    if (nc === entry.connection) {
+      resetConnection(entry);
+      entry.reconnectState.nextAttemptAt = null;
+      entry.reconnectState.exhausted = !!error && entry.reconnectState.attempts > 0;
+      setStatus(entry, error ? 'error' : 'disconnected', error ? error.message : '');
+    }
+  });
+}
+
+function resetConnection(entry) {
+  entry.connection = null;
+  entry.subjects.clear();
+  entry.ports.forEach(port => tabs.get(port)?.subscriptions.clear());
+}
+
+/**
+ * Close a connection for every tab attached to it
+ * @param {Object} entry - Connection entry
+ * @param {boolean} manual - Whether a tab asked to disconnect (tabs then do not reopen it themselves)
+ */
+async function disconnectNats(entry, manual = false) {
+  if (!entry?.connection) return;
+
+  const nc = entry.connection;
+  resetConnection(entry);
+  try {
+    await nc.close();
+  } catch (error) {
+    // Error disconnecting from NATS
+  }
+  setStatus(entry, 'disconnected', '', manual);
+}
+
+/**
+ * Forward messages of a subject to a tab subscription
+ * @param {MessagePort} port - Tab port
+ * @param {number} sid - Subscription id in the tab
+ * @param {string} subject - NATS subject
+ * @returns {boolean} - True once the subscription is in place
+ * @throws {Error} - With code NOT_CONNECTED when the tab's connection is gone; the tab subscribes again once connected
+ */
+function subscribe(port, sid, subject) {
+  const entry = getEntry(port);
+  if (!entry?.connection) throw notConnectedError();
+
+  let subjectEntry = entry.subjects.get(subject);
+  if (!subjectEntry) {
+    const subscription = entry.connection.subscribe(subject);
+    subscription.dropped = 0;
+    subjectEntry = { subscription, targets: new Set() };
+    entry.subjects.set(subject, subjectEntry);
+
+    (async () => {
+      for await (const message of subscription) {
+        subjectEntry.targets.forEach(target => {
+          const delivered = post(target.port, {
+            type: 'message',
+            sid: target.sid,
+            subject: message.subject,
+            data: message.data
+          });
+          if (!delivered) subscription.dropped++;
+        });
+      }
+    })().catch(() => {}).finally(() => {
+      if (entry.subjects.get(subject) === subjectEntry) entry.subjects.delete(subject);
+    });
+  }
+
+  subjectEntry.targets.add({ port, sid });
+  tabs.get(port).subscriptions.set(sid, subject);
+  return true;
+}
+
+/**
+ * Stop forwarding a tab subscription, closing the NATS subscription when no tab uses it
+ * @param {MessagePort} port - Tab port
+ * @param {number} sid - Subscription id in the tab
+ */
+function unsubscribe(port, sid) {
+  const subscriptions = tabs.get(port)?.subscriptions;
+  const subject = subscriptions?.get(sid);
+  subscriptions?.delete(sid);
+
+  const entry = getEntry(port);
+  const subjectEntry = subject && entry?.subjects.get(subject);
+  if (!subjectEntry) return;
+
+  subjectEntry.targets.forEach(target => {
+    if (target.port === port && target.sid === sid) subjectEntry.targets.delete(target);
+  });
+  if (subjectEntry.targets.size === 0) {
+    entry.subjects.delete(subject);
+    try {
+      subjectEntry.subscription.unsubscribe();
+    } catch (error) {
+      // Already closed
+    }
+  }
+}
+
+/**
+ * Forget a tab; its connection is closed when no other tab uses it
+ * @param {MessagePort} port - Tab port
+ */
+function removePort(port) {
+  detach(port);
+  tabs.delete(port);
+}
+
+/**
+ * Get the open connection of a tab
+ * @param {MessagePort} port - Tab port
+ * @returns {Object} - nats.ws connection
+ * @throws {Error} - With code NOT_CONNECTED
+ */
+function requireConnection(port) {
+  const connection = getEntry(port)?.connection;
+  if (!connection) throw notConnectedError();
+  return connection;
+}
+
+/**
+ * Run an operation and send its result to the tab
+ * @param {MessagePort} port - Tab port
+ * @param {number} id - Request id in the tab
+ * @param {Function} operation - Operation returning the result value
+ */
+async function reply(port, id, operation) {
+  try {
+    post(port, { type: 'result', id, ok: true, value: await operation() });
+  } catch (error) {
+    post(port, { type: 'result', id, ok: false, error: serializeError(error) });
+  }
+}
+
+async function handleMessage(port, message) {
+  switch (message.type) {
+    case 'connect':
+      return reply(port, message.id, () => connectNats(port, message.config));
+    case 'disconnect':
+      return reply(port, message.id, () => disconnectNats(getEntry(port), true));
+    case 'subscribe':
+      return reply(port, message.id, () => subscribe(port, message.sid, message.subject));
+    case 'unsubscribe':
+      return unsubscribe(port, message.sid);
+    case 'publish':
+      return reply(port, message.id, () => {
+        requireConnection(port).publish(message.subject, message.data);
+        return true;
+      });
+    case 'request':
+      return reply(port, message.id, async () => {
+        const response = await requireConnection(port).request(message.subject, message.data, { timeout: message.timeout });
+        return { subject: response.subject, data: response.data };
+      });
+    case 'health':
+      return reply(port, message.id, async () => {
+        const connection = requireConnection(port);
+        const subjectCounts = {};
+        getEntry(port).subjects.forEach((subjectEntry, subject) => {
+          subjectCounts[subject] = getSubscriptionCounts(subjectEntry.subscription);
+        });
+        return { ...(await measureConnection(connection)), subjects: subjectCounts };
+      });
+    case 'close':
+      return removePort(port);
+    default:
+      return undefined;
+  }
+}
+
+self.onconnect = (event) => {
+  const port = event.ports[0];
+  // The tab is attached to a connection by its first connect
+  tabs.set(port, { key: null, subscriptions: new Map() });
+
+  port.onmessage = (messageEvent) => handleMessage(port, messageEvent.data);
+  port.start();
+};
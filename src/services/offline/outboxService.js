@@ -0,0 +1,584 @@
+// src/services/offline/outboxService.js
+import { apiHelpers } from '../api';
+import { generateUUIDv7 } from '../../utils/uuidUtils';
+import { idbGetAll, idbPut, idbDelete, isIndexedDbAvailable } from '../../utils/indexedDbUtils';
+
+const STORE_NAME = 'outbox';
+
+// How often pending entries are retried while the browser reports being online
+// (the API itself may still be unreachable)
+const RETRY_INTERVAL = 30000;
+
+/**
+ * Check whether an API error means the API could not be reached
+ * @param {Object} error - Error thrown by apiHelpers
+ * @returns {boolean} - True for offline/network errors
+ */
+export function isOfflineError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return !!error?.isNetworkError;
+}
+
+/**
+ * Offline outbox for entity mutations
+ *
+ * BaseService queues create/update/delete calls here when the API is unreachable.
+ * Entries are persisted in IndexedDB and replayed in order once connectivity returns.
+ * Updates and deletes carry the record's `updated` timestamp at edit time; if the
+ * server record has moved on since, the entry is parked as a conflict until the
+ * user chooses to overwrite the server or discard the local change.
+ *
+ * Entry statuses: 'pending' (waiting to sync), 'failed' (rejected by the API),
+ * 'conflict' (server record changed or was deleted)
+ *
+ * Entries record the user and organization that queued them. Only the entries of the
+ * signed-in owner are listed and replayed, after login (start); on logout (stop) the
+ * outbox is parked until the same owner signs in again.
+ */
+export class OutboxService {
+  constructor() {
+    this.entries = [];
+    this.loaded = false;
+    this.loadPromise = null;
+    this.replaying = false;
+    this.online = typeof navigator === 'undefined' ? true : navigator.onLine;
+    this.listeners = [];
+    this.services = new Map();
+    this.retryTimer = null;
+    this.initialized = false;
+    this.owner = null;
+  }
+
+  /**
+   * Load persisted entries and start listening for connectivity changes
+   * Called once at application startup; nothing is replayed until start()
+   */
+  initialize() {
+    if (this.initialized || !this.isAvailable()) {
+      return;
+    }
+
+    this.initialized = true;
+
+    window.addEventListener('online', () => {
+      this.setOnline(true);
+      this.replay();
+    });
+    window.addEventListener('offline', () => this.setOnline(false));
+
+    this.load()
+      .catch(error => console.warn('Failed to load offline outbox:', error));
+  }
+
+  /**
+   * Activate the entries of the signed-in user and organization and replay them
+   * Called after authentication and again after switching organization
+   */
+  start() {
+    if (!this.isAvailable()) return;
+
+    this.owner = this.readOwner();
+    this.notify();
+    this.updateRetryTimer();
+
+    if (this.owner) {
+      this.replay().catch(error => console.warn('Failed to replay offline outbox:', error));
+    }
+  }
+
+  /**
+   * Park all entries on logout; they stay persisted for their owner's next login
+   */
+  stop() {
+    this.owner = null;
+    this.notify();
+    this.updateRetryTimer();
+  }
+
+  /**
+   * Re-evaluate the owner (e.g. after switching organization)
+   */
+  restart() {
+    this.stop();
+    this.start();
+  }
+
+  /**
+   * Read the signed-in user and organization from the persisted auth data
+   * @returns {Object|null} - { userId, orgId } or null when signed out
+   */
+  readOwner() {
+    try {
+      if (!localStorage.getItem('token')) return null;
+
+      const authData = JSON.parse(localStorage.getItem('auth') || '{}');
+      const userId = authData.user?.id;
+      if (!userId) return null;
+
+      return {
+        userId,
+        orgId: authData.currentOrgId || authData.user?.current_organization_id || null
+      };
+    } catch (error) {
+      console.warn('Failed to read outbox owner:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether an entry was queued by the active owner
+   * @param {Object} entry - Outbox entry
+   * @returns {boolean} - True if the entry belongs to the signed-in user and organization
+   */
+  isOwned(entry) {
+    return !!this.owner
+      && entry.userId === this.owner.userId
+      && entry.orgId === this.owner.orgId;
+  }
+
+  /**
+   * Check whether mutations can be queued in this browser
+   * @returns {boolean} - True if IndexedDB is available
+   */
+  isAvailable() {
+    return isIndexedDbAvailable();
+  }
+
+  /**
+   * Check whether a mutation can be queued now: IndexedDB is available and a user is signed in
+   * @returns {boolean} - True if enqueue() will accept the mutation
+   */
+  canQueue() {
+    return this.isAvailable() && !!(this.owner || this.readOwner());
+  }
+
+  /**
+   * Register an entity service so its cache is cleared after a replayed mutation
+   * @param {Object} service - BaseService instance
+   */
+  registerService(service) {
+    this.services.set(service.collectionName, service);
+  }
+
+  /**
+   * Load entries from IndexedDB (once)
+   * @returns {Promise<Array>} - Entries in creation order
+   */
+  async load() {
+    if (this.loaded) return this.entries;
+
+    if (!this.loadPromise) {
+      this.loadPromise = idbGetAll(STORE_NAME, 'createdAt')
+        .then(entries => {
+          this.entries = entries || [];
+          this.loaded = true;
+          this.notify();
+          this.updateRetryTimer();
+          return this.entries;
+        })
+        .finally(() => {
+          this.loadPromise = null;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Get the active owner's queued entries in creation order
+   * @returns {Array<Object>} - Outbox entries
+   */
+  getEntries() {
+    return this.entries.filter(entry => this.isOwned(entry));
+  }
+
+  /**
+   * Find one of the active owner's entries
+   * @param {string} id - Entry ID
+   * @returns {Object|undefined} - Outbox entry
+   */
+  findEntry(id) {
+    return this.entries.find(entry => entry.id === id && this.isOwned(entry));
+  }
+
+  /**
+   * Get the active owner's queued entry for a record, if any
+   * @param {string} collectionName - PocketBase collection name
+   * @param {string} recordId - Record ID
+   * @returns {Object|null} - Outbox entry or null
+   */
+  getEntryForRecord(collectionName, recordId) {
+    return this.entries.find(entry =>
+      entry.collectionName === collectionName && entry.recordId === recordId && this.isOwned(entry)
+    ) || null;
+  }
+
+  /**
+   * Queue a mutation
+   * Mutations of a record that is already queued are folded into the existing entry,
+   * so a record is replayed (and conflict-checked) once:
+   * create + update → create, update + update → update, update + delete → delete,
+   * create + delete → nothing left to sync
+   *
+   * @param {Object} mutation - Mutation to queue
+   * @param {string} mutation.operation - 'create', 'update' or 'delete'
+   * @param {string} mutation.collectionName - PocketBase collection name
+   * @param {string} mutation.recordId - Record ID
+   * @param {string} mutation.endpoint - API endpoint to call on replay
+   * @param {Object} mutation.data - Request payload (already processed for the API)
+   * @param {string} mutation.baseUpdated - Record `updated` timestamp when the edit was made
+   * @param {string} mutation.label - Human readable record label
+   * @returns {Promise<Object|null>} - Queued entry, or null if the mutation cancelled a queued create
+   */
+  async enqueue(mutation) {
+    await this.load();
+
+    // Queued before start() ran (e.g. right after login): adopt the current owner
+    if (!this.owner) {
+      this.owner = this.readOwner();
+    }
+    if (!this.owner) {
+      throw new Error('Cannot queue changes while signed out');
+    }
+
+    const { operation, collectionName, recordId } = mutation;
+    const existing = this.getEntryForRecord(collectionName, recordId);
+    const now = new Date().toISOString();
+
+    if (existing && existing.operation !== 'delete') {
+      if (operation === 'delete' && existing.operation === 'create') {
+        await this.remove(existing.id);
+        return null;
+      }
+
+      const merged = {
+        ...existing,
+        operation: operation === 'delete' ? 'delete' : existing.operation,
+        endpoint: operation === 'delete' ? mutation.endpoint : existing.endpoint,
+        data: operation === 'delete' ? null : { ...existing.data, ...mutation.data },
+        label: mutation.label || existing.label,
+        status: existing.status === 'conflict' ? 'conflict' : 'pending',
+        error: existing.status === 'conflict' ? existing.error : null,
+        queuedAt: now
+      };
+
+      await this.save(merged);
+      return merged;
+    }
+
+    const entry = {
+      id: generateUUIDv7(),
+      operation,
+      collectionName,
+      recordId,
+      userId: this.owner.userId,
+      orgId: this.owner.orgId,
+      endpoint: mutation.endpoint,
+      data: mutation.data || null,
+      baseUpdated: mutation.baseUpdated || null,
+      label: mutation.label || recordId,
+      status: 'pending',
+      error: null,
+      serverRecord: null,
+      attempts: 0,
+      createdAt: now,
+      queuedAt: now
+    };
+
+    await this.save(entry);
+    return entry;
+  }
+
+  /**
+   * Persist an entry and update the in-memory list
+   * @param {Object} entry - Outbox entry
+   */
+  async save(entry) {
+    await idbPut(STORE_NAME, entry);
+
+    const index = this.entries.findIndex(e => e.id === entry.id);
+    if (index === -1) {
+      this.entries.push(entry);
+    } else {
+      this.entries.splice(index, 1, entry);
+    }
+
+    this.notify();
+    this.updateRetryTimer();
+  }
+
+  /**
+   * Remove an entry (discarding the queued change)
+   * @param {string} id - Entry ID
+   */
+  async remove(id) {
+    await idbDelete(STORE_NAME, id);
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    this.notify();
+    this.updateRetryTimer();
+  }
+
+  /**
+   * Replay queued entries in order
+   * Stops at the first network error; failed and conflicting entries wait for the user
+   * @returns {Promise<Object>} - { synced, conflicts, failed }
+   */
+  async replay() {
+    const result = { synced: 0, conflicts: 0, failed: 0 };
+
+    if (this.replaying || !this.online || !this.owner) return result;
+
+    await this.load();
+
+    this.replaying = true;
+    this.notify();
+
+    try {
+      const queue = this.getEntries().filter(entry => entry.status === 'pending');
+
+      for (const entry of queue) {
+        try {
+          const status = await this.replayEntry(entry);
+          if (status === 'conflict') {
+            result.conflicts++;
+          } else {
+            result.synced++;
+          }
+        } catch (error) {
+          if (isOfflineError(error)) {
+            break;
+          }
+          await this.markFailed(entry, error);
+          result.failed++;
+        }
+      }
+    } finally {
+      this.replaying = false;
+      this.notify();
+    }
+
+    return result;
+  }
+
+  /**
+   * Retry a single failed or pending entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<string>} - 'synced', 'conflict' or 'failed'
+   */
+  async retry(id) {
+    const entry = this.findEntry(id);
+    if (!entry) return 'failed';
+
+    try {
+      return await this.replayEntry(entry);
+    } catch (error) {
+      await this.markFailed(entry, error);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Resolve a conflicting entry
+   * @param {string} id - Entry ID
+   * @param {string} resolution - 'overwrite' (apply the local change anyway) or 'discard'
+   * @returns {Promise<string>} - 'synced', 'discarded' or 'failed'
+   */
+  async resolveConflict(id, resolution) {
+    const entry = this.findEntry(id);
+    if (!entry) return 'failed';
+
+    if (resolution === 'discard') {
+      await this.remove(id);
+      return 'discarded';
+    }
+
+    // An update of a record deleted on the server has nothing left to apply to
+    if (entry.operation === 'update' && entry.status === 'conflict' && !entry.serverRecord) {
+      return 'failed';
+    }
+
+    try {
+      return await this.replayEntry(entry, { force: true });
+    } catch (error) {
+      await this.markFailed(entry, error);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Send one entry to the API
+   * @param {Object} entry - Outbox entry
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Skip the conflict check
+   * @returns {Promise<string>} - 'synced' or 'conflict'
+   */
+  async replayEntry(entry, { force = false } = {}) {
+    if (!force && entry.operation !== 'create' && entry.baseUpdated) {
+      const serverRecord = await this.fetchServerRecord(entry);
+
+      if (!serverRecord) {
+        if (entry.operation === 'delete') {
+          // Already gone, nothing to do
+          await this.complete(entry);
+          return 'synced';
+        }
+        await this.markConflict(entry, null, 'The record was deleted on the server');
+        return 'conflict';
+      }
+
+      if (serverRecord.updated !== entry.baseUpdated) {
+        await this.markConflict(entry, serverRecord, 'The record was changed on the server');
+        return 'conflict';
+      }
+    }
+
+    if (entry.operation === 'create') {
+      await apiHelpers.create(entry.endpoint, entry.data);
+    } else if (entry.operation === 'update') {
+      await apiHelpers.update(entry.endpoint, null, entry.data);
+    } else {
+      try {
+        await apiHelpers.delete(entry.endpoint);
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+
+    await this.complete(entry);
+    return 'synced';
+  }
+
+  /**
+   * Fetch the current server version of an entry's record
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<Object|null>} - Server record or null if it no longer exists
+   */
+  async fetchServerRecord(entry) {
+    try {
+      const response = await apiHelpers.getById(entry.endpoint);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a synced entry and refresh the affected collection
+   * @param {Object} entry - Outbox entry
+   */
+  async complete(entry) {
+    await this.remove(entry.id);
+
+    const service = this.services.get(entry.collectionName);
+    if (service) {
+      await service.clearCache();
+    }
+  }
+
+  /**
+   * Park an entry as a conflict
+   * @param {Object} entry - Outbox entry
+   * @param {Object|null} serverRecord - Current server record (null if deleted)
+   * @param {string} message - Conflict description
+   */
+  async markConflict(entry, serverRecord, message) {
+    await this.save({
+      ...entry,
+      status: 'conflict',
+      serverRecord,
+      error: message,
+      attempts: entry.attempts + 1
+    });
+  }
+
+  /**
+   * Mark an entry as rejected by the API
+   * @param {Object} entry - Outbox entry
+   * @param {Object} error - API error
+   */
+  async markFailed(entry, error) {
+    const current = this.entries.find(e => e.id === entry.id) || entry;
+    await this.save({
+      ...current,
+      status: 'failed',
+      error: error.response?.data?.message || error.message || 'Request failed',
+      attempts: current.attempts + 1
+    });
+  }
+
+  /**
+   * Update the online flag and notify listeners
+   * @param {boolean} online - Browser connectivity
+   */
+  setOnline(online) {
+    if (this.online === online) return;
+    this.online = online;
+    this.notify();
+    this.updateRetryTimer();
+  }
+
+  /**
+   * Retry periodically while the owner has pending entries and the browser is online
+   */
+  updateRetryTimer() {
+    const hasPending = this.getEntries().some(entry => entry.status === 'pending');
+
+    if (hasPending && this.online && !this.retryTimer) {
+      this.retryTimer = setInterval(() => this.replay(), RETRY_INTERVAL);
+    } else if ((!hasPending || !this.online) && this.retryTimer) {
+      clearInterval(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Notify change listeners
+   */
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.warn('Error in outbox listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Get a snapshot of the outbox state
+   * @returns {Object} - { entries, online, replaying }
+   */
+  getState() {
+    return {
+      entries: this.getEntries(),
+      online: this.online,
+      replaying: this.replaying
+    };
+  }
+
+  /**
+   * Add a change listener
+   * @param {Function} listener - Called with the outbox state
+   */
+  onChange(listener) {
+    if (!this.listeners.includes(listener)) {
+      this.listeners.push(listener);
+      // Immediately invoke with current state
+      listener(this.getState());
+    }
+  }
+
+  /**
+   * Remove a change listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeChangeListener(listener) {
+    this.listeners = this.listeners.filter(l => l !== listener);
+  }
+}
+
+// Export singleton instance
+export const outboxService = new OutboxService();
+export default outboxService;
@@ -18,7 +18,8 @@ export class OrganizationService extends BaseService {
       collectionEndpoint,
       {
         jsonFields: ['settings'],
-        expandFields: []
+        expandFields: [],
+        offlineQueue: false
       }
     )
   }
@@ -0,0 +1,265 @@
+// src/services/realtime/realtimeService.js
+import { apiHelpers } from '../api';
+import configService from '../config/configService';
+import { clearCollectionCache } from '../../utils/cacheUtils';
+
+/**
+ * PocketBase realtime (SSE) client used to keep caches fresh
+ *
+ * Opens the `/api/realtime` event stream, subscribes to every collection in
+ * `configService.collections` and, for each record event:
+ * - drops the persistent (IndexedDB/localStorage) cache of the collection
+ * - patches the matching list/detail entries in the reactive cacheStore
+ *   (updates and deletes) or flags the collection for a refetch (creates)
+ * - bumps the collection timestamp so LastUpdatedIndicator and useReactiveData react
+ *
+ * PocketBase API rules decide which record events a user receives.
+ */
+export class RealtimeService {
+  constructor() {
+    this.eventSource = null;
+    this.clientId = null;
+    this.status = 'disconnected';
+    this.statusListeners = [];
+    this.services = new Map();
+    this.reconnectTimer = null;
+    this.active = false;
+  }
+
+  /**
+   * Register an entity service so its JSON fields are parsed in patched records
+   * @param {Object} service - BaseService instance
+   */
+  registerService(service) {
+    this.services.set(service.collectionName, service);
+  }
+
+  /**
+   * Get the collections to subscribe to
+   * @returns {Array<string>} - Collection names
+   */
+  getCollections() {
+    return Object.values(configService.collections);
+  }
+
+  /**
+   * Open the event stream (no-op when disabled, unauthenticated or already started)
+   */
+  start() {
+    if (this.active || !configService.isRealtimeEnabled() || !localStorage.getItem('token')) {
+      return;
+    }
+    if (typeof EventSource === 'undefined') {
+      console.warn('Realtime updates are not supported in this browser');
+      return;
+    }
+
+    this.active = true;
+    this.open();
+  }
+
+  /**
+   * Close the event stream and stop reconnecting
+   */
+  stop() {
+    this.active = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.close();
+    this.setStatus('disconnected');
+  }
+
+  /**
+   * Reconnect so subscriptions are re-evaluated (e.g. after switching organization,
+   * since PocketBase checks API rules against the auth state of the subscription)
+   */
+  restart() {
+    this.stop();
+    this.start();
+  }
+
+  /**
+   * Open a new EventSource and wire its handlers
+   */
+  open() {
+    this.close();
+    this.setStatus('connecting');
+
+    const eventSource = new EventSource(configService.getPocketBaseUrl('/realtime'));
+    this.eventSource = eventSource;
+
+    // PocketBase sends the client ID first; subscriptions are bound to it,
+    // so they are (re)submitted on every new connection
+    eventSource.addEventListener('PB_CONNECT', (event) => {
+      try {
+        this.clientId = JSON.parse(event.data).clientId;
+      } catch (error) {
+        this.clientId = event.lastEventId;
+      }
+      this.subscribe();
+    });
+
+    this.getCollections().forEach(collection => {
+      eventSource.addEventListener(this.getTopic(collection), (event) => {
+        this.handleMessage(collection, event);
+      });
+    });
+
+    eventSource.onerror = () => {
+      // EventSource retries by itself unless the stream was closed for good
+      if (eventSource.readyState === EventSource.CLOSED) {
+        this.scheduleReconnect();
+      } else {
+        this.setStatus('connecting');
+      }
+    };
+  }
+
+  /**
+   * Close the current EventSource
+   */
+  close() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    this.clientId = null;
+  }
+
+  /**
+   * Reopen the stream after the configured delay
+   */
+  scheduleReconnect() {
+    this.close();
+    this.setStatus('disconnected');
+
+    if (!this.active || this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.active) this.open();
+    }, configService.realtime.reconnectDelay);
+  }
+
+  /**
+   * Build the subscription topic of a collection
+   * @param {string} collection - Collection name
+   * @returns {string} - Topic
+   */
+  getTopic(collection) {
+    return `${collection}${configService.realtime.topicSuffix}`;
+  }
+
+  /**
+   * Submit the collection subscriptions for the current client
+   * The request carries the auth token, which scopes events to the user's API rules
+   */
+  async subscribe() {
+    if (!this.clientId) return;
+
+    try {
+      await apiHelpers.create('/api/realtime', {
+        clientId: this.clientId,
+        subscriptions: this.getCollections().map(collection => this.getTopic(collection))
+      });
+      this.setStatus('connected');
+    } catch (error) {
+      console.warn('Failed to subscribe to realtime updates:', error);
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Parse a record event and apply it
+   * @param {string} collection - Collection name
+   * @param {MessageEvent} event - SSE message
+   */
+  handleMessage(collection, event) {
+    try {
+      const { action, record } = JSON.parse(event.data);
+      if (!action || !record?.id) return;
+
+      this.applyRecordEvent(collection, action, record);
+    } catch (error) {
+      console.warn(`Invalid realtime message for ${collection}:`, error);
+    }
+  }
+
+  /**
+   * Invalidate and patch caches for a record change
+   * @param {string} collection - Collection name
+   * @param {string} action - 'create', 'update' or 'delete'
+   * @param {Object} record - Changed record
+   */
+  async applyRecordEvent(collection, action, record) {
+    const service = this.services.get(collection);
+    const parsedRecord = service ? service.parseJsonFields(record) : record;
+
+    // Persistent cache entries may hold any page/filter, so drop them all
+    if (configService.isCacheEnabled()) {
+      await clearCollectionCache(collection);
+    }
+
+    if (service) {
+      service.rememberVersions([parsedRecord]);
+    }
+
+    try {
+      // Dynamically import the cache store to avoid circular dependencies
+      const { useCacheStore } = await import('../../stores/cacheStore');
+      const cacheStore = useCacheStore();
+
+      if (action === 'update') {
+        cacheStore.patchRecord(collection, parsedRecord);
+      } else if (action === 'delete') {
+        cacheStore.removeRecord(collection, parsedRecord.id);
+      }
+
+      cacheStore.recordRemoteChange(collection, action, parsedRecord.id);
+      cacheStore.updateTimestamp(collection, cacheStore.remoteChanges[collection].timestamp);
+    } catch (error) {
+      console.warn('Failed to apply realtime update to cache store:', error);
+    }
+  }
+
+  /**
+   * Update connection status and notify listeners
+   * @param {string} status - 'disconnected', 'connecting' or 'connected'
+   */
+  setStatus(status) {
+    if (this.status === status) return;
+
+    this.status = status;
+    this.statusListeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        console.warn('Error in realtime status listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Add a connection status listener
+   * @param {Function} listener - Status change listener
+   */
+  onStatusChange(listener) {
+    if (!this.statusListeners.includes(listener)) {
+      this.statusListeners.push(listener);
+      // Immediately invoke with current status
+      listener(this.status);
+    }
+  }
+
+  /**
+   * Remove a connection status listener
+   * @param {Function} listener - Status change listener to remove
+   */
+  removeStatusListener(listener) {
+    this.statusListeners = this.statusListeners.filter(l => l !== listener);
+  }
+}
+
+// Export singleton instance
+export const realtimeService = new RealtimeService();
+export default realtimeService;
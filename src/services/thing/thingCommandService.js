@@ -0,0 +1,104 @@
+// src/services/thing/thingCommandService.js
+import natsService from '../nats/natsService'
+import { generateUUIDv7 } from '../../utils/uuidUtils'
+import { getFieldDefaults, validateFieldValues, normalizeFieldValues } from '../../utils/fieldSchemaUtils'
+
+// Reply timeout used when a command does not declare its own
+const DEFAULT_COMMAND_TIMEOUT = 5000
+
+/**
+ * Service for sending commands to things over NATS request/reply
+ * Commands are declared per thing type (see ThingTypeService.validateCommands)
+ */
+export class ThingCommandService {
+  /**
+   * Get the default parameter values for a command
+   * @param {Object} command - Command definition
+   * @returns {Object} - Parameter values keyed by name
+   */
+  getDefaultParams(command) {
+    return getFieldDefaults(command?.params)
+  }
+
+  /**
+   * Validate parameter values against a command's parameter schema
+   * @param {Object} command - Command definition
+   * @param {Object} params - Parameter values keyed by name
+   * @returns {Object} - Error messages keyed by parameter name (empty if valid)
+   */
+  validateParams(command, params = {}) {
+    return validateFieldValues(command?.params, params)
+  }
+
+  /**
+   * Build the request payload for a command
+   * Empty optional parameters are omitted and numbers are coerced
+   * @param {Object} command - Command definition
+   * @param {Object} params - Parameter values keyed by name
+   * @returns {Object} - Command payload
+   */
+  buildPayload(command, params = {}) {
+    return {
+      id: generateUUIDv7(),
+      command: command.name,
+      params: normalizeFieldValues(command.params, params),
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Interpret a device reply as an acknowledgement or a rejection
+   * Devices reject by replying with `ok: false`, an `error`, or a status of 'error'/'rejected'
+   * @param {any} data - Decoded reply payload
+   * @returns {string} - 'acknowledged' or 'rejected'
+   */
+  getReplyStatus(data) {
+    if (data && typeof data === 'object') {
+      if (data.ok === false || data.error) return 'rejected'
+      if (data.status === 'error' || data.status === 'rejected') return 'rejected'
+    }
+    return 'acknowledged'
+  }
+
+  /**
+   * Send a command and wait for the device acknowledgement
+   * Never throws - the outcome is described by the returned status
+   * @param {string} subject - Thing command subject
+   * @param {Object} command - Command definition
+   * @param {Object} params - Parameter values keyed by name
+   * @returns {Promise<Object>} - Invocation result with id, status, payload, response, error and duration
+   */
+  async sendCommand(subject, command, params = {}) {
+    const payload = this.buildPayload(command, params)
+    const timeout = Number(command.timeout) || DEFAULT_COMMAND_TIMEOUT
+
+    try {
+      const reply = await natsService.request(subject, payload, { timeout })
+
+      return {
+        id: payload.id,
+        status: this.getReplyStatus(reply.data),
+        payload,
+        response: reply.data,
+        error: null,
+        duration: reply.duration
+      }
+    } catch (error) {
+      let status = 'error'
+      if (error.code === 'TIMEOUT') status = 'timeout'
+      else if (error.code === 'NO_RESPONDERS') status = 'no-responders'
+
+      return {
+        id: payload.id,
+        status,
+        payload,
+        response: null,
+        error: error.message,
+        duration: error.duration || null
+      }
+    }
+  }
+}
+
+// Create instance
+export const thingCommandService = new ThingCommandService()
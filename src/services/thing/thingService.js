@@ -1,5 +1,7 @@
 // src/services/thing/thingService.js
-import { BaseService } from '../base/BaseService'
+import { BaseService, ValidationError } from '../base/BaseService'
+import { thingTypeService } from '../type/thingTypeService'
+import { validateFieldValues } from '../../utils/fieldSchemaUtils'
 import { 
   COLLECTIONS, 
   collectionEndpoint 
@@ -33,6 +35,23 @@ export class ThingService extends BaseService {
     })
   }
   
+  /**
+   * Count things per location
+   * Only the location_id field is fetched, so a whole edge can be counted cheaply
+   * @param {Object} params - Query parameters (e.g. { edge_id })
+   * @returns {Promise<Object>} - Thing counts keyed by location ID
+   */
+  async countByLocation(params = {}) {
+    const things = await this.getFullList({ ...params, fields: 'id,location_id' })
+    
+    return things.reduce((counts, thing) => {
+      if (thing.location_id) {
+        counts[thing.location_id] = (counts[thing.location_id] || 0) + 1
+      }
+      return counts
+    }, {})
+  }
+  
   /**
    * Update thing current state
    * @param {string} id - Thing ID
@@ -111,6 +130,60 @@ export class ThingService extends BaseService {
     return this.update(id, thingData)
   }
   
+  /**
+   * Validate metadata and current_state against the schemas of a thing type
+   * Undeclared fields are allowed
+   * @param {Object} thingType - Thing type record
+   * @param {Object} thing - Thing data (metadata and/or current_state)
+   * @returns {Object} - Error messages keyed by field path (e.g. 'metadata.serial')
+   */
+  validateAgainstType(thingType, thing) {
+    const errors = {}
+    
+    const sections = [
+      { field: 'metadata', schema: thingTypeService.getMetadataSchema(thingType) },
+      { field: 'current_state', schema: thingTypeService.getStateSchema(thingType) }
+    ]
+    
+    sections.forEach(({ field, schema }) => {
+      // Only validate sections present in the payload (updates may be partial)
+      if (schema.length === 0 || thing[field] === undefined) return
+      
+      const sectionErrors = validateFieldValues(schema, thing[field] || {})
+      Object.entries(sectionErrors).forEach(([name, message]) => {
+        errors[`${field}.${name}`] = message
+      })
+    })
+    
+    return errors
+  }
+  
+  /**
+   * Reject metadata/current_state that does not conform to the thing type schemas
+   * @override
+   */
+  async validateEntity(entity, context) {
+    if (entity.metadata === undefined && entity.current_state === undefined) return
+    
+    // Partial updates don't carry the type, so look it up from the record
+    let typeCode = entity.type
+    if (!typeCode && context.id) {
+      const existing = await this.getById(context.id)
+      typeCode = existing.data?.type
+    }
+    
+    const thingType = await thingTypeService.getTypeByCode(typeCode)
+    if (!thingType) return
+    
+    const errors = this.validateAgainstType(thingType, entity)
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(
+        `Thing does not match the ${thingType.type} schema: ${Object.values(errors).join(', ')}`,
+        errors
+      )
+    }
+  }
+  
   /**
    * Custom parameter transformation for thing specific filters
    * @override
@@ -127,6 +200,9 @@ export class ThingService extends BaseService {
     if (originalParams.type) {
       filters.push(`type="${originalParams.type}"`)
     }
+    if (typeof originalParams.active === 'boolean') {
+      filters.push(`active=${originalParams.active}`)
+    }
     
     // If we have filters, add them to the params
     if (filters.length > 0) {
@@ -6,6 +6,7 @@ import {
   transformResponse
 } from '../pocketbase-config'
 import { apiHelpers } from '../api'
+import { subjectMatchesPattern, hasWildcards, patternSpecificity } from '../../utils/natsSubjectUtils'
 
 /**
  * Service for Topic Permission entity operations
@@ -162,3 +163,171 @@ export const validateTopic = (topic) => {
   
   return true;
 }
+
+/**
+ * Evaluate whether a permission role may publish or subscribe to a subject
+ * Follows NATS allow-list semantics: access is granted only when one of the
+ * role's patterns for the action covers the subject (`*` = one token, `>` = the rest).
+ * @param {Object} permission - Topic permission record
+ * @param {string} subject - Subject to test (may contain wildcards when subscribing)
+ * @param {string} action - Either 'publish' or 'subscribe'
+ * @returns {Object} - { subject, action, valid, allowed, grantedBy, matches, reason }
+ */
+export const evaluateTopicAccess = (permission, subject, action) => {
+  const trimmed = (subject || '').trim();
+  const patterns = (permission?.[`${action}_permissions`] || []).filter(Boolean);
+  const result = {
+    subject: trimmed,
+    action,
+    valid: true,
+    allowed: false,
+    grantedBy: null,
+    matches: [],
+    reason: ''
+  };
+
+  if (!validateTopic(trimmed)) {
+    result.valid = false;
+    result.reason = 'Invalid subject';
+    return result;
+  }
+
+  // Publishing always targets a concrete subject
+  if (action === 'publish' && hasWildcards(trimmed)) {
+    result.valid = false;
+    result.reason = 'Messages cannot be published to a wildcard subject';
+    return result;
+  }
+
+  if (patterns.length === 0) {
+    result.reason = `The role has no ${action} permissions`;
+    return result;
+  }
+
+  // Most specific pattern first, so the explanation names the narrowest grant
+  result.matches = patterns
+    .filter(pattern => subjectMatchesPattern(pattern, trimmed))
+    .sort((a, b) => patternSpecificity(b) - patternSpecificity(a));
+
+  if (result.matches.length === 0) {
+    result.reason = hasWildcards(trimmed)
+      ? `No ${action} pattern covers every subject matched by ${trimmed}`
+      : `No ${action} pattern matches ${trimmed}`;
+    return result;
+  }
+
+  result.allowed = true;
+  result.grantedBy = result.matches[0];
+  result.reason = result.matches.length > 1
+    ? `Granted by ${result.grantedBy} (also matched by ${result.matches.length - 1} other pattern(s))`
+    : `Granted by ${result.grantedBy}`;
+  return result;
+}
+
+/**
+ * Evaluate a list of subjects for both publish and subscribe access
+ * @param {Object} permission - Topic permission record
+ * @param {Array<string>} subjects - Subjects to test
+ * @returns {Array<Object>} - { subject, publish, subscribe } per subject
+ */
+export const evaluateTopicAccessBatch = (permission, subjects) => {
+  return subjects.map(subject => ({
+    subject,
+    publish: evaluateTopicAccess(permission, subject, 'publish'),
+    subscribe: evaluateTopicAccess(permission, subject, 'subscribe')
+  }));
+}
+
+/**
+ * Analyze topic permission roles for overlapping, redundant or overly broad grants
+ *
+ * Findings (one object per issue):
+ * - `full-access` (high): a role grants `>` (every subject) for an action
+ * - `foreign-organization` (medium): a pattern does not start with the owning organization's code
+ * - `subsumed` (low): a pattern is already covered by a broader pattern of the same role and action
+ * - `duplicate` (low): the same pattern is listed twice for the same action
+ * - `cross-action-duplicate` (info): a pattern is granted for both publish and subscribe
+ *
+ * @param {Array<Object>} permissions - Topic permission records
+ * @param {Object} options - Options
+ * @param {Function} options.getOrganizationCode - Returns the organization code of a record (or null to skip the check)
+ * @returns {Array<Object>} - { type, severity, roleId, roleName, action, pattern, relatedPattern, message }
+ */
+export const analyzeTopicPermissions = (permissions, { getOrganizationCode = () => null } = {}) => {
+  const findings = [];
+
+  permissions.forEach(permission => {
+    const base = { roleId: permission.id, roleName: permission.name };
+    const organizationCode = getOrganizationCode(permission);
+
+    ['publish', 'subscribe'].forEach(action => {
+      const patterns = (permission[`${action}_permissions`] || []).filter(Boolean);
+      const seen = new Set();
+
+      patterns.forEach((pattern, index) => {
+        const finding = { ...base, action, pattern, relatedPattern: null };
+
+        if (seen.has(pattern)) {
+          findings.push({
+            ...finding,
+            type: 'duplicate',
+            severity: 'low',
+            message: `${pattern} is listed more than once in ${action} permissions`
+          });
+          return;
+        }
+        seen.add(pattern);
+
+        if (pattern === '>') {
+          findings.push({
+            ...finding,
+            type: 'full-access',
+            severity: 'high',
+            message: `Grants ${action} access to every subject on the server`
+          });
+          return;
+        }
+
+        if (organizationCode && pattern.split('.')[0] !== organizationCode) {
+          findings.push({
+            ...finding,
+            type: 'foreign-organization',
+            severity: 'medium',
+            message: `${pattern} does not start with the organization code ${organizationCode}`
+          });
+        }
+
+        // Identical patterns are reported as duplicates above, not as subsumed
+        const broader = patterns.find((other, otherIndex) =>
+          otherIndex !== index && other !== pattern && subjectMatchesPattern(other, pattern)
+        );
+        if (broader) {
+          findings.push({
+            ...finding,
+            type: 'subsumed',
+            severity: 'low',
+            relatedPattern: broader,
+            message: `${pattern} is already covered by ${broader}`
+          });
+        }
+      });
+    });
+
+    const subscribePatterns = new Set(permission.subscribe_permissions || []);
+    new Set(permission.publish_permissions || []).forEach(pattern => {
+      if (pattern && subscribePatterns.has(pattern)) {
+        findings.push({
+          ...base,
+          type: 'cross-action-duplicate',
+          severity: 'info',
+          action: 'both',
+          pattern,
+          relatedPattern: null,
+          message: `${pattern} is granted for both publish and subscribe`
+        });
+      }
+    });
+  });
+
+  return findings;
+}
@@ -1,5 +1,6 @@
 // src/services/type/thingTypeService.js
 import { TypeService } from './typeService'
+import { validateFieldDefinitions } from '../../utils/fieldSchemaUtils'
 
 /**
  * Service for thing type operations
@@ -11,16 +12,116 @@ import { TypeService } from './typeService'
  * - type: Display name of the thing type (e.g., "Temperature Sensor")
  * - code: Unique code used in thing identification (e.g., 'temperature-sensor')
  * - description: Optional detailed description
+ * - commands: JSON catalogue of commands things of this type accept (see validateCommands)
+ * - metadata_schema: JSON field schema for thing metadata (see utils/fieldSchemaUtils)
+ * - state_schema: JSON field schema for thing current_state (see utils/fieldSchemaUtils)
  * - created: Creation timestamp (auto-generated)
  * - updated: Update timestamp (auto-generated)
  */
 export class ThingTypeService extends TypeService {
   constructor() {
     super('thing_types', {
-      // Any specific options for thing types
+      jsonFields: ['commands', 'metadata_schema', 'state_schema']
     })
   }
   
+  /**
+   * Get a thing type record by its code
+   * @param {string} code - Thing type code
+   * @returns {Promise<Object|null>} - Thing type record or null if not found
+   */
+  async getTypeByCode(code) {
+    if (!code) return null;
+    
+    const response = await this.getTypes({ filter: `code="${code}"` });
+    return response.data.items[0] || null;
+  }
+  
+  /**
+   * Get the command catalogue of a thing type
+   * @param {Object} thingType - Thing type record
+   * @returns {Array<Object>} - Command definitions (empty if none declared)
+   */
+  getCommands(thingType) {
+    return Array.isArray(thingType?.commands) ? thingType.commands : [];
+  }
+  
+  /**
+   * Get the metadata field schema of a thing type
+   * @param {Object} thingType - Thing type record
+   * @returns {Array<Object>} - Field definitions (empty if none declared)
+   */
+  getMetadataSchema(thingType) {
+    return Array.isArray(thingType?.metadata_schema) ? thingType.metadata_schema : [];
+  }
+  
+  /**
+   * Get the current_state field schema of a thing type
+   * @param {Object} thingType - Thing type record
+   * @returns {Array<Object>} - Field definitions (empty if none declared)
+   */
+  getStateSchema(thingType) {
+    return Array.isArray(thingType?.state_schema) ? thingType.state_schema : [];
+  }
+  
+  /**
+   * Validate a metadata or state field schema
+   * @param {Array} schema - Field definitions
+   * @param {string} context - Label used in error messages
+   * @returns {Array<string>} - Validation errors (empty if valid)
+   */
+  validateSchema(schema, context = 'Field') {
+    return validateFieldDefinitions(schema, context);
+  }
+  
+  /**
+   * Validate a command catalogue
+   * 
+   * Each command is an object:
+   * - name: Command identifier sent to the device (e.g. 'unlock')
+   * - label: Optional display name
+   * - description: Optional help text
+   * - timeout: Optional reply timeout in ms
+   * - params: Optional field schema for the parameters (see utils/fieldSchemaUtils)
+   * 
+   * @param {Array} commands - Command catalogue to validate
+   * @returns {Array<string>} - Validation errors (empty if valid)
+   */
+  validateCommands(commands) {
+    const errors = [];
+    
+    if (commands === null || commands === undefined) return errors;
+    if (!Array.isArray(commands)) {
+      return ['Commands must be an array'];
+    }
+    
+    const names = new Set();
+    commands.forEach((command, index) => {
+      const label = command?.name || `#${index + 1}`;
+      
+      if (!command || typeof command !== 'object') {
+        errors.push(`Command ${label} must be an object`);
+        return;
+      }
+      if (!command.name || !/^[a-z][-_a-z0-9]*$/i.test(command.name)) {
+        errors.push(`Command ${label} needs a name of letters, digits, '-' or '_'`);
+      } else if (names.has(command.name)) {
+        errors.push(`Command ${label} is declared more than once`);
+      }
+      names.add(command.name);
+      
+      if (command.timeout !== undefined && !(Number(command.timeout) > 0)) {
+        errors.push(`Command ${label} has an invalid timeout`);
+      }
+      
+      if (command.params !== undefined) {
+        errors.push(...validateFieldDefinitions(command.params, `Command ${label} parameter`));
+      }
+    });
+    
+    return errors;
+  }
+  
   /**
    * Get all active thing types for dropdown options
    * @returns {Promise<Array>} - Array of {label, value} objects for dropdowns
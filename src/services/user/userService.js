@@ -34,7 +34,8 @@ export class UserService extends BaseService {
       collectionEndpoint,
       {
         jsonFields: ['org_roles'],
-        expandFields: ['current_organization_id', 'organizations']
+        expandFields: ['current_organization_id', 'organizations'],
+        offlineQueue: false
       }
     )
   }
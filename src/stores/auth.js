@@ -8,6 +8,8 @@ import configService from '../services/config/configService'
 import { useTypesStore } from './types'
 import { useOrganizationStore } from './organization'
 import { clearUserCache } from '../utils/cacheUtils'
+import realtimeService from '../services/realtime/realtimeService'
+import outboxService from '../services/offline/outboxService'
 import { userService } from '../services/user/userService'
 import { organizationService } from '../services/organization/organizationService'
 
@@ -206,6 +208,12 @@ export const useAuthStore = defineStore('auth', () => {
   }
 
   function logout() {
+    // Stop realtime updates before the token goes away
+    realtimeService.stop()
+    
+    // Park queued offline changes until this user signs in again
+    outboxService.stop()
+    
     // Clear user-scoped cache before removing user data
     if (user.value?.id) {
       clearUserCache(user.value.id)
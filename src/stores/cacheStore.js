@@ -19,6 +19,9 @@ export const useCacheStore = defineStore('cache', () => {
   // Background refresh state
   const isRefreshing = ref(false);
   
+  // Last change received from other clients via realtime, keyed by collection
+  const remoteChanges = ref({});
+  
   // Computed for the current timestamp
   const currentTimestamp = computed(() => {
     if (!currentCollection.value) return null;
@@ -117,6 +120,88 @@ export const useCacheStore = defineStore('cache', () => {
     cachedData.value = updatedData;
   }
   
+  /**
+   * Replace a record in the stored list and detail data of a collection
+   * Expanded relations of the stored copy are kept, as realtime records are not expanded
+   * @param {string} collection - Collection name
+   * @param {Object} record - Updated record
+   */
+  function patchRecord(collection, record) {
+    if (!collection || !record?.id) return;
+    
+    const merge = (existing) => ({
+      ...existing,
+      ...record,
+      expand: record.expand || existing.expand
+    });
+    
+    const updatedData = { ...cachedData.value };
+    let changed = false;
+    
+    const listKey = generateDataKey(collection, 'list');
+    const list = updatedData[listKey];
+    if (list?.items?.some(item => item.id === record.id)) {
+      updatedData[listKey] = {
+        ...list,
+        items: list.items.map(item => item.id === record.id ? merge(item) : item)
+      };
+      changed = true;
+    }
+    
+    const detailKey = generateDataKey(collection, 'detail', record.id);
+    if (updatedData[detailKey]) {
+      updatedData[detailKey] = merge(updatedData[detailKey]);
+      changed = true;
+    }
+    
+    if (changed) {
+      cachedData.value = updatedData;
+    }
+  }
+  
+  /**
+   * Remove a record from the stored list and detail data of a collection
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   */
+  function removeRecord(collection, id) {
+    if (!collection || !id) return;
+    
+    const updatedData = { ...cachedData.value };
+    
+    const listKey = generateDataKey(collection, 'list');
+    const list = updatedData[listKey];
+    if (list?.items?.some(item => item.id === id)) {
+      updatedData[listKey] = {
+        ...list,
+        items: list.items.filter(item => item.id !== id),
+        totalItems: Math.max(0, (list.totalItems || list.items.length) - 1)
+      };
+    }
+    
+    delete updatedData[generateDataKey(collection, 'detail', id)];
+    cachedData.value = updatedData;
+  }
+  
+  /**
+   * Record a change made by another client (received via realtime)
+   * @param {string} collection - Collection name
+   * @param {string} action - 'create', 'update' or 'delete'
+   * @param {string} recordId - Changed record ID
+   */
+  function recordRemoteChange(collection, action, recordId) {
+    const previous = remoteChanges.value[collection];
+    remoteChanges.value = {
+      ...remoteChanges.value,
+      [collection]: {
+        action,
+        recordId,
+        timestamp: Date.now(),
+        count: (previous?.count || 0) + 1
+      }
+    };
+  }
+  
   /**
    * Start background refresh
    */
@@ -137,6 +222,7 @@ export const useCacheStore = defineStore('cache', () => {
   function resetAll() {
     lastUpdated.value = {};
     cachedData.value = {};
+    remoteChanges.value = {};
   }
   
   return {
@@ -145,6 +231,7 @@ export const useCacheStore = defineStore('cache', () => {
     cachedData,
     currentCollection,
     isRefreshing,
+    remoteChanges,
     currentTimestamp,
     
     // Actions
@@ -153,6 +240,9 @@ export const useCacheStore = defineStore('cache', () => {
     storeData,
     getData,
     clearCollectionData,
+    patchRecord,
+    removeRecord,
+    recordRemoteChange,
     startRefresh,
     endRefresh,
     resetAll
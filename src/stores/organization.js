@@ -2,6 +2,9 @@
 import { defineStore } from 'pinia'
 import { ref, computed, watch } from 'vue'
 import { clearAllCache } from '../utils/cacheUtils'
+import realtimeService from '../services/realtime/realtimeService'
+import outboxService from '../services/offline/outboxService'
+import natsConnectionManager from '../services/nats/natsConnectionManager'
 import { useTypesStore } from './types'
 import { organizationService } from '../services/organization/organizationService'
 
@@ -222,8 +225,17 @@ export const useOrganizationStore = defineStore('organization', () => {
    * Clear all caches and reload essential data when switching organizations
    */
   async function clearCachesAndReload() {
-    // Clear all localStorage caches
-    clearAllCache()
+    // Clear all persistent caches
+    await clearAllCache()
+    
+    // Resubscribe to realtime updates for the new organization
+    realtimeService.restart()
+    
+    // Show and replay the offline changes queued in the new organization
+    outboxService.restart()
+    
+    // Switch to the NATS connection profile of the new organization
+    natsConnectionManager.handleOrganizationChange()
     
     // Reset and reload types data
     const typesStore = useTypesStore()
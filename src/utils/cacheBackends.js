@@ -0,0 +1,248 @@
+/**
+ * Cache storage backends
+ * cacheUtils builds keys and picks a backend; backends only store and evict entries.
+ *
+ * Every backend implements the same asynchronous interface:
+ * - get(key) → { data, timestamp } or null when missing/expired
+ * - set(key, data, { collectionName, ttl, maxBytes }) → true if stored
+ * - remove(key)
+ * - removeByPrefix(prefix)
+ */
+
+import { idbGet, idbGetAll, idbPut, idbDelete, prefixKeyRange } from './indexedDbUtils';
+
+/**
+ * Estimate the stored size of a value in bytes (UTF-16 length of its JSON)
+ * @param {any} data - Value to measure
+ * @returns {number} - Approximate size in bytes
+ */
+function estimateSize(data) {
+  try {
+    return JSON.stringify(data).length * 2;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Check whether an error is a storage quota error
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True if storage is full
+ */
+function isQuotaError(error) {
+  return error instanceof DOMException && (
+    error.code === 22 || // Chrome quota exceeded
+    error.code === 1014 || // Firefox quota exceeded
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+  );
+}
+
+/**
+ * localStorage backend
+ * Synchronous storage with a ~5MB origin quota; kept as a fallback where IndexedDB
+ * is unavailable. TTLs are honoured, size budgets are not (quota errors evict the
+ * oldest 20% of entries instead).
+ */
+export class LocalStorageCacheBackend {
+  /**
+   * @param {string} keyPrefix - Prefix shared by every cache key
+   */
+  constructor(keyPrefix) {
+    this.keyPrefix = keyPrefix;
+  }
+
+  async get(key) {
+    try {
+      const item = localStorage.getItem(key);
+      if (!item) return null;
+
+      const cacheItem = JSON.parse(item);
+      if (cacheItem.expiresAt && cacheItem.expiresAt < Date.now()) {
+        localStorage.removeItem(key);
+        return null;
+      }
+
+      return { data: cacheItem.data, timestamp: cacheItem.timestamp || null };
+    } catch (error) {
+      console.warn('Failed to retrieve cache item:', error);
+      return null;
+    }
+  }
+
+  async set(key, data, { ttl } = {}) {
+    const timestamp = Date.now();
+
+    try {
+      localStorage.setItem(key, JSON.stringify({
+        data,
+        timestamp,
+        expiresAt: ttl ? timestamp + ttl : null
+      }));
+      return true;
+    } catch (error) {
+      console.warn('Failed to set cache item:', error);
+      if (isQuotaError(error)) {
+        // Clear oldest cache items to make space
+        this.removeOldest();
+      }
+      return false;
+    }
+  }
+
+  async remove(key) {
+    localStorage.removeItem(key);
+  }
+
+  async removeByPrefix(prefix) {
+    this.getKeys(prefix).forEach(key => localStorage.removeItem(key));
+  }
+
+  /**
+   * List cache keys starting with a prefix
+   * Collected before removal so the localStorage index does not shift under the loop
+   * @param {string} prefix - Key prefix
+   * @returns {Array<string>} - Matching keys
+   */
+  getKeys(prefix) {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Remove approximately 20% of the oldest cache items
+   */
+  removeOldest() {
+    const cacheItems = this.getKeys(this.keyPrefix).map(key => {
+      try {
+        const item = JSON.parse(localStorage.getItem(key));
+        return { key, timestamp: item.timestamp || 0 };
+      } catch (e) {
+        // If item can't be parsed, consider it old
+        return { key, timestamp: 0 };
+      }
+    });
+
+    // Sort by timestamp (oldest first)
+    cacheItems.sort((a, b) => a.timestamp - b.timestamp);
+
+    const removeCount = Math.max(1, Math.ceil(cacheItems.length * 0.2));
+    cacheItems.slice(0, removeCount).forEach(item => {
+      localStorage.removeItem(item.key);
+    });
+  }
+}
+
+/**
+ * IndexedDB backend
+ * Responses are stored as structured clones (no JSON parsing on read) in `apiCache`;
+ * size, timestamps and last access live in `apiCacheMeta`. Each collection has a
+ * byte budget: when a write pushes it over, least recently used entries are evicted.
+ */
+export class IndexedDbCacheBackend {
+  async get(key) {
+    try {
+      const meta = await idbGet('apiCacheMeta', key);
+      if (!meta) return null;
+
+      if (meta.expiresAt && meta.expiresAt < Date.now()) {
+        await this.remove(key);
+        return null;
+      }
+
+      const entry = await idbGet('apiCache', key);
+      if (!entry) return null;
+
+      // Record the access for LRU eviction without delaying the read
+      idbPut('apiCacheMeta', { ...meta, lastAccessed: Date.now() })
+        .catch(error => console.warn('Failed to update cache access time:', error));
+
+      return { data: entry.data, timestamp: meta.timestamp };
+    } catch (error) {
+      console.warn('Failed to retrieve cache item:', error);
+      return null;
+    }
+  }
+
+  async set(key, data, { collectionName, ttl, maxBytes } = {}) {
+    const size = estimateSize(data);
+
+    // A single response larger than the whole budget is not worth caching
+    if (maxBytes && size > maxBytes) {
+      await this.remove(key);
+      return false;
+    }
+
+    const timestamp = Date.now();
+
+    try {
+      await idbPut('apiCache', { key, data });
+      await idbPut('apiCacheMeta', {
+        key,
+        collection: collectionName || '',
+        size,
+        timestamp,
+        lastAccessed: timestamp,
+        expiresAt: ttl ? timestamp + ttl : null
+      });
+
+      if (maxBytes) {
+        await this.enforceBudget(collectionName || '', maxBytes);
+      }
+      return true;
+    } catch (error) {
+      console.warn('Failed to set cache item:', error);
+      return false;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await idbDelete('apiCache', key);
+      await idbDelete('apiCacheMeta', key);
+    } catch (error) {
+      console.warn('Failed to remove cache item:', error);
+    }
+  }
+
+  async removeByPrefix(prefix) {
+    try {
+      const range = prefixKeyRange(prefix);
+      await idbDelete('apiCache', range);
+      await idbDelete('apiCacheMeta', range);
+    } catch (error) {
+      console.warn('Failed to clear cache items:', error);
+    }
+  }
+
+  /**
+   * Evict expired, then least recently used entries until a collection fits its budget
+   * @param {string} collectionName - Collection to trim
+   * @param {number} maxBytes - Budget in bytes
+   */
+  async enforceBudget(collectionName, maxBytes) {
+    const metas = await idbGetAll('apiCacheMeta', 'collection', collectionName);
+    const now = Date.now();
+
+    let total = metas.reduce((sum, meta) => sum + (meta.size || 0), 0);
+    if (total <= maxBytes) return;
+
+    const candidates = [...metas].sort((a, b) => {
+      const aExpired = a.expiresAt && a.expiresAt < now ? 0 : 1;
+      const bExpired = b.expiresAt && b.expiresAt < now ? 0 : 1;
+      return aExpired - bExpired || a.lastAccessed - b.lastAccessed;
+    });
+
+    for (const meta of candidates) {
+      if (total <= maxBytes) break;
+      await this.remove(meta.key);
+      total -= meta.size || 0;
+    }
+  }
+}
@@ -2,11 +2,42 @@
  * Cache utilities for API responses
  * Provides functionality to store, retrieve, and manage API response caching
  * Updated to support organization-based caching
+ *
+ * Storage is delegated to a backend (see cacheBackends.js): IndexedDB with
+ * per-collection size budgets by default, localStorage as a fallback.
+ * All read/write/clear functions are asynchronous.
  */
 
+import configService from '../services/config/configService';
+import { isIndexedDbAvailable } from './indexedDbUtils';
+import { LocalStorageCacheBackend, IndexedDbCacheBackend } from './cacheBackends';
+
 // Cache namespace to avoid conflicts with other localStorage items
 const CACHE_PREFIX = 'iot_api_cache_';
 
+const localStorageBackend = new LocalStorageCacheBackend(CACHE_PREFIX);
+let indexedDbBackend = null;
+
+/**
+ * Get the configured cache backend
+ * IndexedDB falls back to localStorage when the browser does not provide it.
+ * The first time IndexedDB is selected, entries left in localStorage by the
+ * previous cache implementation are removed to free the quota.
+ * @returns {Object} - Cache backend
+ */
+export function getCacheBackend() {
+  if (configService.getCacheBackend() !== 'indexeddb' || !isIndexedDbAvailable()) {
+    return localStorageBackend;
+  }
+
+  if (!indexedDbBackend) {
+    indexedDbBackend = new IndexedDbCacheBackend();
+    localStorageBackend.removeByPrefix(CACHE_PREFIX);
+  }
+
+  return indexedDbBackend;
+}
+
 /**
  * Get the currently logged in user ID and organization ID or null if not authenticated
  * @returns {Object} - User ID and organization ID
@@ -66,76 +97,52 @@ export function generateCacheKey(collectionName, operation, id = null, params =
 
 /**
  * Store data in cache
+ * The collection's TTL and size budget come from configService
  * @param {string} key - Cache key
  * @param {any} data - Data to cache
+ * @param {string} collectionName - Collection the data belongs to
+ * @returns {Promise<boolean>} - True if stored
  */
-export function setCache(key, data) {
-  try {
-    const cacheItem = {
-      data,
-      timestamp: Date.now()
-    };
-    
-    localStorage.setItem(key, JSON.stringify(cacheItem));
-    return true;
-  } catch (error) {
-    console.warn('Failed to set cache item:', error);
-    // Handle localStorage quota exceeded
-    if (error instanceof DOMException && (
-        error.code === 22 || // Chrome quota exceeded
-        error.code === 1014 || // Firefox quota exceeded
-        error.name === 'QuotaExceededError' || 
-        error.name === 'NS_ERROR_DOM_QUOTA_REACHED')
-    ) {
-      // Clear oldest cache items to make space
-      clearOldestCacheItems();
-    }
-    return false;
-  }
+export async function setCache(key, data, collectionName = null) {
+  const { ttl, maxBytes } = configService.getCacheSettings(collectionName);
+  return getCacheBackend().set(key, data, { collectionName, ttl, maxBytes });
+}
+
+/**
+ * Get a cache entry (data and timestamp) if it exists and has not expired
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - { data, timestamp } or null if not found
+ */
+export async function getCacheEntry(key) {
+  return getCacheBackend().get(key);
 }
 
 /**
  * Get data from cache if it exists
  * @param {string} key - Cache key
- * @returns {Object|null} - Cached data or null if not found
+ * @returns {Promise<any|null>} - Cached data or null if not found
  */
-export function getCache(key) {
-  try {
-    const item = localStorage.getItem(key);
-    if (!item) return null;
-    
-    const cacheItem = JSON.parse(item);
-    return cacheItem.data;
-  } catch (error) {
-    console.warn('Failed to retrieve cache item:', error);
-    return null;
-  }
+export async function getCache(key) {
+  const entry = await getCacheEntry(key);
+  return entry ? entry.data : null;
 }
 
 /**
  * Get cache timestamp if it exists
  * @param {string} key - Cache key
- * @returns {number|null} - Timestamp or null if not found
+ * @returns {Promise<number|null>} - Timestamp or null if not found
  */
-export function getCacheTimestamp(key) {
-  try {
-    const item = localStorage.getItem(key);
-    if (!item) return null;
-    
-    const cacheItem = JSON.parse(item);
-    return cacheItem.timestamp || null;
-  } catch (error) {
-    console.warn('Failed to retrieve cache timestamp:', error);
-    return null;
-  }
+export async function getCacheTimestamp(key) {
+  const entry = await getCacheEntry(key);
+  return entry ? entry.timestamp : null;
 }
 
 /**
  * Remove a specific item from cache
  * @param {string} key - Cache key
  */
-export function removeCache(key) {
-  localStorage.removeItem(key);
+export async function removeCache(key) {
+  await getCacheBackend().remove(key);
 }
 
 /**
@@ -145,85 +152,27 @@ export function removeCache(key) {
  * @param {string} collectionName - PocketBase collection name
  * @param {string} userId - Optional user ID to scope clearing (defaults to current user)
  */
-export function clearCollectionCache(collectionName, userId = null) {
+export async function clearCollectionCache(collectionName, userId = null) {
   // Get user ID and org ID for cache segmentation - use provided ID or get current user
   const { userId: currentUserId, orgId: currentOrgId } = getCurrentUserAndOrgId();
   const userScope = userId || currentUserId || 'anonymous';
-  const prefix = `${CACHE_PREFIX}${userScope}_${currentOrgId}_${collectionName}_`;
   
-  // Get all keys in localStorage
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key && key.startsWith(prefix)) {
-      localStorage.removeItem(key);
-    }
-  }
+  await getCacheBackend().removeByPrefix(`${CACHE_PREFIX}${userScope}_${currentOrgId}_${collectionName}_`);
 }
 
 /**
  * Clear all cache items for a specific user
  * @param {string} userId - User ID
  */
-export function clearUserCache(userId) {
+export async function clearUserCache(userId) {
   if (!userId) return;
   
-  const prefix = `${CACHE_PREFIX}${userId}_`;
-  
-  // Get all keys in localStorage
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key && key.startsWith(prefix)) {
-      localStorage.removeItem(key);
-    }
-  }
+  await getCacheBackend().removeByPrefix(`${CACHE_PREFIX}${userId}_`);
 }
 
 /**
  * Clear all API cache items
  */
-export function clearAllCache() {
-  // Get all keys in localStorage
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key && key.startsWith(CACHE_PREFIX)) {
-      localStorage.removeItem(key);
-    }
-  }
-}
-
-/**
- * Clear the oldest cache items when storage quota is exceeded
- * Removes approximately 20% of the oldest items
- */
-function clearOldestCacheItems() {
-  const cacheItems = [];
-  
-  // Collect all cache items with their timestamps
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key && key.startsWith(CACHE_PREFIX)) {
-      try {
-        const item = JSON.parse(localStorage.getItem(key));
-        cacheItems.push({
-          key,
-          timestamp: item.timestamp || 0
-        });
-      } catch (e) {
-        // If item can't be parsed, consider it old
-        cacheItems.push({
-          key,
-          timestamp: 0
-        });
-      }
-    }
-  }
-  
-  // Sort by timestamp (oldest first)
-  cacheItems.sort((a, b) => a.timestamp - b.timestamp);
-  
-  // Remove the oldest 20% of items
-  const removeCount = Math.max(1, Math.ceil(cacheItems.length * 0.2));
-  cacheItems.slice(0, removeCount).forEach(item => {
-    localStorage.removeItem(item.key);
-  });
+export async function clearAllCache() {
+  await getCacheBackend().removeByPrefix(CACHE_PREFIX);
 }
@@ -0,0 +1,181 @@
+/**
+ * Field schema utilities
+ * A field schema is a list of field definitions used to describe (and validate)
+ * free-form JSON such as thing metadata, thing state and command parameters.
+ *
+ * Field definition:
+ * - name: Field key in the JSON object
+ * - label: Optional display name
+ * - description: Optional help text
+ * - type: One of FIELD_TYPES
+ * - required: Whether a value must be present
+ * - default: Optional default value
+ * - min / max: Bounds for number fields
+ * - options: Allowed values for enum fields
+ * - pattern: Optional regular expression for string fields
+ */
+
+/**
+ * Supported field types
+ */
+export const FIELD_TYPES = ['string', 'number', 'boolean', 'enum', 'json'];
+
+/**
+ * Check if a value counts as empty for required checks
+ * @param {any} value - Value to check
+ * @returns {boolean} - True if empty
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Validate a list of field definitions
+ * @param {Array} fields - Field definitions
+ * @param {string} context - Label used in error messages (e.g. 'Metadata field')
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+export function validateFieldDefinitions(fields, context = 'Field') {
+  const errors = [];
+
+  if (fields === null || fields === undefined) return errors;
+  if (!Array.isArray(fields)) {
+    return [`${context} definitions must be an array`];
+  }
+
+  const names = new Set();
+  fields.forEach((field, index) => {
+    const label = field?.name || `#${index + 1}`;
+
+    if (!field || typeof field !== 'object') {
+      errors.push(`${context} ${label} must be an object`);
+      return;
+    }
+    if (!field.name) {
+      errors.push(`${context} ${label} needs a name`);
+    } else if (names.has(field.name)) {
+      errors.push(`${context} ${label} is declared more than once`);
+    }
+    names.add(field.name);
+
+    if (!FIELD_TYPES.includes(field.type)) {
+      errors.push(`${context} ${label} must have a type of ${FIELD_TYPES.join(', ')}`);
+    }
+    if (field.type === 'enum' && (!Array.isArray(field.options) || field.options.length === 0)) {
+      errors.push(`${context} ${label} needs a list of options`);
+    }
+    if (field.pattern) {
+      try {
+        new RegExp(field.pattern);
+      } catch (e) {
+        errors.push(`${context} ${label} has an invalid pattern`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate values against a list of field definitions
+ * Fields that are not declared are allowed and left untouched
+ * @param {Array} fields - Field definitions
+ * @param {Object} values - Values keyed by field name
+ * @returns {Object} - Error messages keyed by field name (empty if valid)
+ */
+export function validateFieldValues(fields, values = {}) {
+  const errors = {};
+  const source = values && typeof values === 'object' ? values : {};
+
+  (fields || []).forEach(field => {
+    const value = source[field.name];
+    const label = field.label || field.name;
+
+    if (isEmptyValue(value)) {
+      if (field.required) {
+        errors[field.name] = `${label} is required`;
+      }
+      return;
+    }
+
+    switch (field.type) {
+      case 'number': {
+        const number = Number(value);
+        if (typeof value === 'boolean' || Number.isNaN(number)) {
+          errors[field.name] = `${label} must be a number`;
+        } else if (field.min !== undefined && number < field.min) {
+          errors[field.name] = `${label} must be at least ${field.min}`;
+        } else if (field.max !== undefined && number > field.max) {
+          errors[field.name] = `${label} must be at most ${field.max}`;
+        }
+        break;
+      }
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          errors[field.name] = `${label} must be true or false`;
+        }
+        break;
+      case 'enum':
+        if (!(field.options || []).includes(value)) {
+          errors[field.name] = `${label} must be one of ${(field.options || []).join(', ')}`;
+        }
+        break;
+      case 'json':
+        if (typeof value !== 'object') {
+          errors[field.name] = `${label} must be an object or array`;
+        }
+        break;
+      default:
+        if (typeof value !== 'string') {
+          errors[field.name] = `${label} must be text`;
+        } else if (field.pattern && !new RegExp(field.pattern).test(value)) {
+          errors[field.name] = `${label} has an invalid format`;
+        }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build default values for a list of field definitions
+ * @param {Array} fields - Field definitions
+ * @returns {Object} - Values keyed by field name
+ */
+export function getFieldDefaults(fields) {
+  const values = {};
+
+  (fields || []).forEach(field => {
+    if (field.default !== undefined) {
+      values[field.name] = field.default;
+    } else if (field.type === 'boolean') {
+      values[field.name] = false;
+    } else {
+      values[field.name] = null;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Normalize values for storage: drop empty optional values and coerce numbers
+ * Values of undeclared fields are kept as-is
+ * @param {Array} fields - Field definitions
+ * @param {Object} values - Values keyed by field name
+ * @returns {Object} - Normalized values
+ */
+export function normalizeFieldValues(fields, values = {}) {
+  const result = { ...(values || {}) };
+
+  (fields || []).forEach(field => {
+    const value = result[field.name];
+    if (isEmptyValue(value)) {
+      delete result[field.name];
+    } else if (field.type === 'number') {
+      result[field.name] = Number(value);
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,188 @@
+/**
+ * File utilities for importing and exporting tabular data
+ * Provides CSV parsing/serialization, JSON record parsing and browser downloads
+ */
+
+/**
+ * Parse CSV text into headers and row objects
+ * Supports quoted values, escaped quotes ("") and line breaks inside quotes
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Column delimiter (default: ',')
+ * @returns {Object} - { headers: Array<string>, rows: Array<Object> }
+ */
+export function parseCsv(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let value = '';
+  let inQuotes = false;
+
+  // Strip the byte order mark spreadsheet tools like to add
+  const source = (text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || record.length > 0) {
+    record.push(value);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  const nonEmpty = records.filter(r => r.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return { headers: [], rows: [] };
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  const rows = nonEmpty.slice(1).map(cells => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = (cells[index] ?? '').trim();
+    });
+    return row;
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Parse JSON text holding an array of records (or { items: [...] })
+ * @param {string} text - JSON text
+ * @returns {Object} - { headers: Array<string>, rows: Array<Object> }
+ * @throws {Error} - If the JSON is invalid or does not contain records
+ */
+export function parseJsonRecords(text) {
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed) ? parsed : parsed?.items;
+
+  if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new Error('JSON must be an array of objects');
+  }
+
+  // Collect headers in order of first appearance
+  const headers = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Flatten a record into dot-path keys for tabular exports
+ * Nested objects (expanded relations, JSON fields) become 'expand.location_id.name' style keys,
+ * arrays are kept whole and serialized as JSON by the writers
+ * @param {Object} record - Record to flatten
+ * @param {string} prefix - Key prefix used while recursing
+ * @param {Object} result - Accumulator used while recursing
+ * @returns {Object} - Flat record
+ */
+export function flattenRecord(record, prefix = '', result = {}) {
+  Object.entries(record || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      if (Object.keys(value).length === 0) {
+        result[path] = null;
+      } else {
+        flattenRecord(value, path, result);
+      }
+    } else {
+      result[path] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Serialize a single CSV value, quoting when needed
+ * Text that a spreadsheet would run as a formula is prefixed with `'`
+ * @param {any} value - Value to serialize
+ * @returns {string} - CSV-safe value
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows to CSV text
+ * @param {Array<Object>} rows - Rows to serialize
+ * @param {Array<Object>} columns - Columns as { field, header }; defaults to the keys of the first row
+ * @returns {string} - CSV text
+ */
+export function toCsv(rows, columns = null) {
+  const cols = columns || Object.keys(rows[0] || {}).map(field => ({ field, header: field }));
+
+  const lines = [cols.map(col => toCsvValue(col.header ?? col.field)).join(',')];
+  rows.forEach(row => {
+    lines.push(cols.map(col => toCsvValue(row[col.field])).join(','));
+  });
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Read a File as text
+ * @param {File} file - File to read
+ * @returns {Promise<string>} - File contents
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type (ignored when content is a Blob)
+ */
+export function downloadFile(content, filename, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,43 @@
+/**
+ * Display formatting utilities
+ */
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Format a byte count with a binary unit (1 KB = 1024 B)
+ * @param {number} bytes - Byte count
+ * @returns {string} - Formatted size, e.g. "1.5 MB"
+ */
+export function formatBytes(bytes) {
+  let value = Number(bytes || 0);
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${BYTE_UNITS[unit]}`;
+}
+
+/**
+ * Format a count with thousands separators
+ * @param {number} value - Count
+ * @returns {string} - Formatted count
+ */
+export function formatCount(value) {
+  return Number(value || 0).toLocaleString();
+}
+
+/**
+ * Format a duration in seconds as the largest whole unit
+ * @param {number} seconds - Duration in seconds (0 = unlimited)
+ * @returns {string} - Formatted duration, e.g. "7d" or "unlimited"
+ */
+export function formatDuration(seconds) {
+  if (!seconds) return 'unlimited';
+  const units = [['d', 86400], ['h', 3600], ['m', 60]];
+  for (const [suffix, size] of units) {
+    if (seconds >= size && seconds % size === 0) return `${seconds / size}${suffix}`;
+  }
+  return `${seconds}s`;
+}
@@ -0,0 +1,223 @@
+/**
+ * IndexedDB utilities
+ * Shared database for data that outgrows localStorage (offline outbox, API cache, ...)
+ * Stores are declared once here; bump DB_VERSION when adding a store
+ */
+
+const DB_NAME = 'iot_ui';
+const DB_VERSION = 4;
+
+/**
+ * Object stores and their indexes
+ * Missing stores (and indexes) are created on upgrade, existing data is kept
+ */
+export const STORES = {
+  outbox: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'createdAt', keyPath: 'createdAt' },
+      { name: 'record', keyPath: ['collectionName', 'recordId'] }
+    ]
+  },
+  // Cached API responses, keyed by cacheUtils cache key
+  apiCache: {
+    keyPath: 'key'
+  },
+  // Size and access bookkeeping for apiCache, kept apart so eviction never loads response data
+  apiCacheMeta: {
+    keyPath: 'key',
+    indexes: [
+      { name: 'collection', keyPath: 'collection' }
+    ]
+  },
+  // NATS feed recording sessions
+  natsRecordings: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'organizationId', keyPath: 'organizationId' }
+    ]
+  },
+  // Recorded messages, keyed `${recordingId}:${sequence}` so a recording is one key prefix
+  natsRecordedMessages: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'recordingTime', keyPath: ['recordingId', 'timestamp'] }
+    ]
+  },
+  // Encrypted secrets and the non-extractable key that encrypts them
+  natsSecrets: {
+    keyPath: 'id'
+  }
+};
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB can be used in this browser
+ * @returns {boolean} - True if available
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and upgrade if needed) the shared database
+ * The connection is reused for the lifetime of the page
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+export function openDatabase() {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const transaction = request.transaction;
+
+        Object.entries(STORES).forEach(([storeName, definition]) => {
+          const store = db.objectStoreNames.contains(storeName)
+            ? transaction.objectStore(storeName)
+            : db.createObjectStore(storeName, { keyPath: definition.keyPath });
+
+          (definition.indexes || []).forEach(index => {
+            if (!store.indexNames.contains(index.name)) {
+              store.createIndex(index.name, index.keyPath, { unique: !!index.unique });
+            }
+          });
+        });
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let other tabs upgrade the schema instead of blocking them
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback against an object store and wait for the transaction to finish
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the store and returns an IDBRequest
+ * @returns {Promise<any>} - Request result
+ */
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get a record by key
+ * @param {string} storeName - Object store name
+ * @param {any} key - Record key
+ * @returns {Promise<Object|undefined>} - Record or undefined
+ */
+export function idbGet(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Get all records of a store, optionally through an index
+ * @param {string} storeName - Object store name
+ * @param {string} indexName - Optional index to read in order
+ * @param {IDBKeyRange|any} query - Optional key or key range
+ * @returns {Promise<Array>} - Records
+ */
+export function idbGetAll(storeName, indexName = null, query = undefined) {
+  return withStore(storeName, 'readonly', store => {
+    const source = indexName ? store.index(indexName) : store;
+    return source.getAll(query);
+  });
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {Object} value - Record (must contain the store key)
+ * @returns {Promise<any>} - Record key
+ */
+export function idbPut(storeName, value) {
+  return withStore(storeName, 'readwrite', store => store.put(value));
+}
+
+/**
+ * Insert a record unless one with the same key exists
+ * @param {string} storeName - Object store name
+ * @param {Object} value - Record (must contain the store key)
+ * @returns {Promise<boolean>} - True if inserted, false if the key was already taken
+ */
+export async function idbAdd(storeName, value) {
+  try {
+    await withStore(storeName, 'readwrite', store => store.add(value));
+    return true;
+  } catch (error) {
+    if (error?.name === 'ConstraintError') return false;
+    throw error;
+  }
+}
+
+/**
+ * Insert or replace several records in a single transaction
+ * @param {string} storeName - Object store name
+ * @param {Array<Object>} values - Records (each must contain the store key)
+ * @returns {Promise<void>}
+ */
+export function idbPutMany(storeName, values) {
+  return withStore(storeName, 'readwrite', store => {
+    values.forEach(value => store.put(value));
+    return null;
+  });
+}
+
+/**
+ * Delete a record by key (or every record in a key range)
+ * @param {string} storeName - Object store name
+ * @param {any|IDBKeyRange} key - Record key or key range
+ * @returns {Promise<void>}
+ */
+export function idbDelete(storeName, key) {
+  return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Delete every record of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<void>}
+ */
+export function idbClear(storeName) {
+  return withStore(storeName, 'readwrite', store => store.clear());
+}
+
+/**
+ * Build a key range matching every string key that starts with a prefix
+ * @param {string} prefix - Key prefix
+ * @returns {IDBKeyRange} - Key range
+ */
+export function prefixKeyRange(prefix) {
+  return IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+}
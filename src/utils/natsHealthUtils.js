@@ -0,0 +1,64 @@
+/**
+ * NATS connection health helpers
+ * Used by natsService for in-tab connections and by natsSharedWorker
+ */
+
+/**
+ * Pick the server details shown in the health panel
+ * @param {Object} info - nats.ws ServerInfo
+ * @returns {Object|null} - Server summary
+ */
+export function summarizeServerInfo(info) {
+  if (!info) return null;
+
+  return {
+    id: info.server_id,
+    name: info.server_name || info.server_id,
+    version: info.version,
+    cluster: info.cluster || null,
+    host: info.host,
+    port: info.port,
+    maxPayload: info.max_payload,
+    jetstream: !!info.jetstream,
+    headers: !!info.headers,
+    clientId: info.client_id,
+    clientIp: info.client_ip || null,
+    connectUrls: info.connect_urls || []
+  };
+}
+
+/**
+ * Measure a connection: round-trip time, server details and traffic counters
+ * @param {Object} connection - nats.ws connection
+ * @returns {Promise<Object>} - { rtt, server, stats }
+ */
+export async function measureConnection(connection) {
+  let rtt = null;
+  try {
+    // Flushes the outgoing buffer and times a PING/PONG with the server
+    rtt = await connection.rtt();
+  } catch (error) {
+    // No PONG (e.g. while reconnecting)
+  }
+
+  return {
+    rtt,
+    server: summarizeServerInfo(connection.info),
+    stats: { ...connection.stats() }
+  };
+}
+
+/**
+ * Get the counters of a nats.ws subscription
+ * nats.ws queues every message, so `dropped` only counts messages that reached the
+ * subscription but could not be delivered (a closed tab port or a failed dispatch)
+ * @param {Object} subscription - nats.ws Subscription with a `dropped` count
+ * @returns {Object} - { received, pending, dropped }
+ */
+export function getSubscriptionCounts(subscription) {
+  return {
+    received: subscription.getReceived(),
+    pending: subscription.getPending(),
+    dropped: subscription.dropped || 0
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * NATS subject utilities
+ * Builds the subjects used to address things on the message bus
+ *
+ * Subject convention: {org}.{edge}.{type}.{code}.{...}
+ */
+
+/**
+ * Build the subject prefix for a thing (without trailing tokens)
+ * Missing org/edge tokens fall back to the same patterns the message feed uses
+ * @param {Object} parts - Subject parts
+ * @param {string} parts.orgCode - Organization code
+ * @param {string} parts.edgeCode - Edge code
+ * @param {string} parts.thingType - Thing type code
+ * @param {string} parts.thingCode - Thing code
+ * @returns {string|null} - Subject prefix or null if type/code are missing
+ */
+export function buildThingSubjectPrefix({ orgCode, edgeCode, thingType, thingCode }) {
+  // Type and code are the minimum needed to address a thing
+  if (!thingCode || !thingType) return null;
+
+  if (orgCode && edgeCode) {
+    return `${orgCode}.${edgeCode}.${thingType}.${thingCode}`;
+  }
+  if (orgCode) {
+    // Organization but no edge - use wildcard for edge
+    return `${orgCode}.*.${thingType}.${thingCode}`;
+  }
+  if (edgeCode) {
+    // Edge but no organization
+    return `org.${edgeCode}.${thingType}.${thingCode}`;
+  }
+
+  // Most generic fallback pattern
+  return `*.*.${thingType}.${thingCode}`;
+}
+
+/**
+ * Build the wildcard subject that receives every message for a thing
+ * @param {Object} parts - Subject parts (see buildThingSubjectPrefix)
+ * @returns {string|null} - Wildcard subject or null if type/code are missing
+ */
+export function buildThingSubject(parts) {
+  const prefix = buildThingSubjectPrefix(parts);
+  return prefix ? `${prefix}.>` : null;
+}
+
+/**
+ * Build the subject used to send commands to a thing
+ * Commands need a concrete subject, so org and edge codes are required
+ * @param {Object} parts - Subject parts (see buildThingSubjectPrefix)
+ * @returns {string|null} - Command subject or null if any part is missing
+ */
+export function buildThingCommandSubject(parts) {
+  if (!parts.orgCode || !parts.edgeCode) return null;
+
+  const prefix = buildThingSubjectPrefix(parts);
+  return prefix ? `${prefix}.cmd` : null;
+}
+
+/**
+ * Check whether every subject matched by `subject` is also matched by `pattern`
+ *
+ * NATS wildcard rules:
+ * - `*` matches exactly one token
+ * - `>` matches one or more trailing tokens (only valid as the last token)
+ *
+ * For a literal subject this is plain wildcard matching; for a wildcard subject
+ * (e.g. a subscription to `acme.*.temp`) the pattern must cover all of it, which
+ * is how NATS checks subscribe permissions and how one pattern shadows another.
+ *
+ * @param {string} pattern - Permission pattern (may contain wildcards)
+ * @param {string} subject - Subject or pattern to test (may contain wildcards)
+ * @returns {boolean} - True if the pattern covers the subject
+ */
+export function subjectMatchesPattern(pattern, subject) {
+  if (!pattern || !subject) return false;
+
+  const patternTokens = pattern.split('.');
+  const subjectTokens = subject.split('.');
+
+  for (let i = 0; i < patternTokens.length; i++) {
+    const patternToken = patternTokens[i];
+
+    // `>` needs at least one remaining token, and covers anything after it
+    if (patternToken === '>') {
+      return subjectTokens.length > i;
+    }
+
+    if (i >= subjectTokens.length) return false;
+
+    const subjectToken = subjectTokens[i];
+
+    // A multi-token wildcard in the subject is only covered by `>` (handled above)
+    if (subjectToken === '>') return false;
+
+    if (patternToken === '*') continue;
+
+    // A single-token wildcard in the subject is only covered by `*` (handled above)
+    if (subjectToken === '*' || subjectToken !== patternToken) return false;
+  }
+
+  return patternTokens.length === subjectTokens.length;
+}
+
+/**
+ * Check whether a subject contains wildcard tokens
+ * @param {string} subject - Subject to check
+ * @returns {boolean} - True if any token is `*` or `>`
+ */
+export function hasWildcards(subject) {
+  return !!subject && subject.split('.').some(token => token === '*' || token === '>');
+}
+
+/**
+ * Rank how specific a pattern is (higher = narrower)
+ * Literal tokens weigh more than `*`, and `>` weighs least
+ * @param {string} pattern - Subject pattern
+ * @returns {number} - Specificity score
+ */
+export function patternSpecificity(pattern) {
+  if (!pattern) return 0;
+
+  return pattern.split('.').reduce((score, token) => {
+    if (token === '>') return score;
+    if (token === '*') return score + 1;
+    return score + 2;
+  }, 0);
+}
@@ -0,0 +1,183 @@
+/**
+ * Password utilities
+ * Generates passwords from the Web Crypto random source and estimates their entropy
+ */
+
+export const PASSWORD_CHARSETS = {
+  lowercase: 'abcdefghijklmnopqrstuvwxyz',
+  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digits: '0123456789',
+  symbols: '!@#$%^&*()-_=+[]{}|;:,.<>?'
+};
+
+// Characters that are easily confused when read aloud or copied by hand
+const AMBIGUOUS_CHARACTERS = 'Il1O0o|';
+
+/**
+ * Predefined generation policies
+ * `alphanumeric` avoids characters that need escaping in URLs, shells and config files
+ */
+export const PASSWORD_POLICIES = {
+  standard: {
+    label: 'Standard',
+    length: 16,
+    lowercase: true,
+    uppercase: true,
+    digits: true,
+    symbols: true,
+    excludeAmbiguous: false
+  },
+  strong: {
+    label: 'Strong',
+    length: 32,
+    lowercase: true,
+    uppercase: true,
+    digits: true,
+    symbols: true,
+    excludeAmbiguous: false
+  },
+  alphanumeric: {
+    label: 'Alphanumeric',
+    length: 24,
+    lowercase: true,
+    uppercase: true,
+    digits: true,
+    symbols: false,
+    excludeAmbiguous: false
+  },
+  readable: {
+    label: 'Readable',
+    length: 20,
+    lowercase: true,
+    uppercase: true,
+    digits: true,
+    symbols: false,
+    excludeAmbiguous: true
+  }
+};
+
+export const DEFAULT_PASSWORD_POLICY = 'standard';
+
+/**
+ * Resolve a policy name or partial policy object into a full policy
+ * @param {string|Object} policy - Policy name or overrides of the default policy
+ * @returns {Object} - Full policy
+ */
+export function resolvePasswordPolicy(policy = DEFAULT_PASSWORD_POLICY) {
+  if (typeof policy === 'string') {
+    return { ...(PASSWORD_POLICIES[policy] || PASSWORD_POLICIES[DEFAULT_PASSWORD_POLICY]) };
+  }
+  return { ...PASSWORD_POLICIES[DEFAULT_PASSWORD_POLICY], ...policy };
+}
+
+/**
+ * Get the character sets enabled by a policy
+ * @param {Object} policy - Full policy
+ * @returns {Array<string>} - Non-empty character sets
+ */
+function getPolicyCharsets(policy) {
+  return Object.keys(PASSWORD_CHARSETS)
+    .filter(name => policy[name])
+    .map(name => {
+      const charset = PASSWORD_CHARSETS[name];
+      return policy.excludeAmbiguous
+        ? [...charset].filter(char => !AMBIGUOUS_CHARACTERS.includes(char)).join('')
+        : charset;
+    })
+    .filter(charset => charset.length > 0);
+}
+
+/**
+ * Uniform random integer in [0, max) from crypto.getRandomValues
+ * Uses rejection sampling so no value is favoured by the modulo
+ * @param {number} max - Exclusive upper bound (<= 2^32)
+ * @returns {number} - Random integer
+ */
+export function secureRandomInt(max) {
+  if (!globalThis.crypto?.getRandomValues) {
+    throw new Error('Secure random number generation is not available in this environment');
+  }
+
+  const limit = Math.floor(0x100000000 / max) * max;
+  const buffer = new Uint32Array(1);
+  do {
+    globalThis.crypto.getRandomValues(buffer);
+  } while (buffer[0] >= limit);
+
+  return buffer[0] % max;
+}
+
+/**
+ * Generate a password according to a policy
+ * Contains at least one character from every enabled character set
+ * @param {string|Object} policy - Policy name or overrides (see PASSWORD_POLICIES)
+ * @returns {string} - Generated password
+ */
+export function generatePassword(policy) {
+  const resolved = resolvePasswordPolicy(policy);
+  const charsets = getPolicyCharsets(resolved);
+
+  if (charsets.length === 0) {
+    throw new Error('Password policy must enable at least one character set');
+  }
+  if (resolved.length < charsets.length) {
+    throw new Error(`Password length must be at least ${charsets.length} for this policy`);
+  }
+
+  const pool = charsets.join('');
+  const pick = (charset) => charset[secureRandomInt(charset.length)];
+
+  const chars = charsets.map(pick);
+  while (chars.length < resolved.length) {
+    chars.push(pick(pool));
+  }
+
+  // Fisher-Yates shuffle so the guaranteed characters are not always in front
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = secureRandomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+}
+
+/**
+ * Entropy of a password generated with a policy, in bits
+ * @param {string|Object} policy - Policy name or overrides
+ * @returns {number} - length * log2(pool size)
+ */
+export function getPolicyEntropy(policy) {
+  const resolved = resolvePasswordPolicy(policy);
+  const poolSize = getPolicyCharsets(resolved).join('').length;
+  return poolSize > 1 ? resolved.length * Math.log2(poolSize) : 0;
+}
+
+/**
+ * Estimate the entropy of an arbitrary password from the character classes it uses
+ * This is an upper bound: it assumes every character was chosen at random
+ * @param {string} password - Password
+ * @returns {number} - Estimated entropy in bits
+ */
+export function estimatePasswordEntropy(password) {
+  if (!password) return 0;
+
+  let poolSize = 0;
+  if (/[a-z]/.test(password)) poolSize += PASSWORD_CHARSETS.lowercase.length;
+  if (/[A-Z]/.test(password)) poolSize += PASSWORD_CHARSETS.uppercase.length;
+  if (/[0-9]/.test(password)) poolSize += PASSWORD_CHARSETS.digits.length;
+  if (/[^a-zA-Z0-9]/.test(password)) poolSize += PASSWORD_CHARSETS.symbols.length;
+
+  return poolSize > 1 ? password.length * Math.log2(poolSize) : 0;
+}
+
+/**
+ * Describe an entropy value
+ * @param {number} bits - Entropy in bits
+ * @returns {Object} - { level: 'weak' | 'fair' | 'strong' | 'very-strong', label }
+ */
+export function describeEntropy(bits) {
+  if (bits < 50) return { level: 'weak', label: 'Weak' };
+  if (bits < 72) return { level: 'fair', label: 'Fair' };
+  if (bits < 110) return { level: 'strong', label: 'Strong' };
+  return { level: 'very-strong', label: 'Very strong' };
+}
@@ -0,0 +1,355 @@
+/**
+ * Payload decoders for NATS message data
+ * Each decoder turns the raw bytes of a message into a displayable value
+ * (objects for structured formats, strings otherwise) and throws when the
+ * bytes are not valid for its format.
+ */
+
+const utf8 = new TextDecoder();
+const strictUtf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Decode bytes as UTF-8 text, replacing invalid sequences
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} - Text
+ */
+export function decodeText(bytes) {
+  return utf8.decode(bytes);
+}
+
+/**
+ * Decode bytes as JSON
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {any} - Parsed value
+ */
+export function decodeJson(bytes) {
+  return JSON.parse(strictUtf8.decode(bytes));
+}
+
+/**
+ * Format bytes as a hex dump: offset, 16 bytes per line and printable ASCII
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} - Hex dump
+ */
+export function decodeHex(bytes) {
+  const lines = [];
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    const chunk = bytes.subarray(offset, offset + 16);
+    const hex = Array.from(chunk, byte => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = Array.from(chunk, byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Decode bytes as JSON when possible, otherwise as text
+ * Bytes that are not valid UTF-8 are shown as a hex dump
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {any} - Parsed JSON, text or hex dump
+ */
+export function decodeAuto(bytes) {
+  let text;
+  try {
+    text = strictUtf8.decode(bytes);
+  } catch (error) {
+    return decodeHex(bytes);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Show binary values (CBOR byte strings, MessagePack bin) as h'..' hex strings
+ * @param {Uint8Array} bytes - Binary value
+ * @returns {string} - Hex string in CBOR diagnostic notation
+ */
+function bytesToDiagnostic(bytes) {
+  return `h'${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}'`;
+}
+
+/**
+ * Convert a 64-bit integer to a Number, or a string when it is not safe
+ * @param {bigint} value - Integer
+ * @returns {number|string} - Number or decimal string
+ */
+function fromBigInt(value) {
+  return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+    ? Number(value)
+    : value.toString();
+}
+
+/**
+ * Byte reader shared by the binary decoders
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error(`Unexpected end of data at byte ${this.offset}`);
+    }
+  }
+
+  uint8() {
+    this.ensure(1);
+    return this.view.getUint8(this.offset++);
+  }
+
+  read(method, length) {
+    this.ensure(length);
+    const value = this.view[method](this.offset);
+    this.offset += length;
+    return value;
+  }
+
+  take(length) {
+    this.ensure(length);
+    const slice = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  done() {
+    if (this.offset !== this.bytes.length) {
+      throw new Error(`Unexpected data after byte ${this.offset}`);
+    }
+  }
+}
+
+/**
+ * Decode an IEEE 754 half-precision float
+ * @param {number} half - 16-bit value
+ * @returns {number} - Float
+ */
+function decodeHalfFloat(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 31) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+const CBOR_BREAK = Symbol('break');
+
+/**
+ * Decode a CBOR (RFC 8949) item
+ * Byte strings become h'..' strings, epoch and date/time tags become ISO
+ * strings, other tags are kept as { tag, value }
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {any} - Decoded value
+ */
+export function decodeCbor(bytes) {
+  const reader = new ByteReader(bytes);
+
+  const readLength = (info) => {
+    if (info < 24) return info;
+    if (info === 24) return reader.uint8();
+    if (info === 25) return reader.read('getUint16', 2);
+    if (info === 26) return reader.read('getUint32', 4);
+    if (info === 27) return fromBigInt(reader.read('getBigUint64', 8));
+    if (info === 31) return -1; // Indefinite length
+    throw new Error(`Invalid CBOR length encoding ${info}`);
+  };
+
+  const readChunks = (majorType, info) => {
+    const length = readLength(info);
+    if (length >= 0) return [reader.take(length)];
+
+    const chunks = [];
+    for (;;) {
+      const initial = reader.uint8();
+      if (initial === 0xff) return chunks;
+      if (initial >> 5 !== majorType) throw new Error('Invalid chunk in indefinite-length CBOR string');
+      chunks.push(reader.take(readLength(initial & 0x1f)));
+    }
+  };
+
+  const concat = (chunks) => {
+    if (chunks.length === 1) return chunks[0];
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+      result.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return result;
+  };
+
+  const readItem = () => {
+    const initial = reader.uint8();
+    const majorType = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (majorType) {
+      case 0:
+        return readLength(info);
+      case 1: {
+        const value = readLength(info);
+        return typeof value === 'string' ? (-1n - BigInt(value)).toString() : -1 - value;
+      }
+      case 2:
+        return bytesToDiagnostic(concat(readChunks(2, info)));
+      case 3:
+        return utf8.decode(concat(readChunks(3, info)));
+      case 4: {
+        const length = readLength(info);
+        const items = [];
+        if (length >= 0) {
+          for (let i = 0; i < length; i++) items.push(readItem());
+        } else {
+          for (let item = readItem(); item !== CBOR_BREAK; item = readItem()) items.push(item);
+        }
+        return items;
+      }
+      case 5: {
+        const length = readLength(info);
+        const map = {};
+        const readEntry = (key) => {
+          map[typeof key === 'object' ? JSON.stringify(key) : String(key)] = readItem();
+        };
+        if (length >= 0) {
+          for (let i = 0; i < length; i++) readEntry(readItem());
+        } else {
+          for (let key = readItem(); key !== CBOR_BREAK; key = readItem()) readEntry(key);
+        }
+        return map;
+      }
+      case 6: {
+        const tag = readLength(info);
+        const value = readItem();
+        if (tag === 0 && typeof value === 'string') return value;
+        if (tag === 1 && typeof value === 'number') return new Date(value * 1000).toISOString();
+        return { tag, value };
+      }
+      default:
+        switch (info) {
+          case 20: return false;
+          case 21: return true;
+          case 22: return null;
+          case 23: return undefined;
+          case 24: return { simple: reader.uint8() };
+          case 25: return decodeHalfFloat(reader.read('getUint16', 2));
+          case 26: return reader.read('getFloat32', 4);
+          case 27: return reader.read('getFloat64', 8);
+          case 31: return CBOR_BREAK;
+          default:
+            if (info < 20) return { simple: info };
+            throw new Error(`Invalid CBOR simple value ${info}`);
+        }
+    }
+  };
+
+  const value = readItem();
+  if (value === CBOR_BREAK) throw new Error('Unexpected CBOR break');
+  reader.done();
+  return value;
+}
+
+/**
+ * Decode a MessagePack value
+ * bin values become h'..' strings, the timestamp extension becomes an ISO
+ * string, other extensions are kept as { type, data }
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {any} - Decoded value
+ */
+export function decodeMessagePack(bytes) {
+  const reader = new ByteReader(bytes);
+
+  const readArray = (length) => {
+    const items = [];
+    for (let i = 0; i < length; i++) items.push(readItem());
+    return items;
+  };
+
+  const readMap = (length) => {
+    const map = {};
+    for (let i = 0; i < length; i++) {
+      const key = readItem();
+      map[typeof key === 'object' && key !== null ? JSON.stringify(key) : String(key)] = readItem();
+    }
+    return map;
+  };
+
+  const readExt = (length) => {
+    const type = reader.read('getInt8', 1);
+    const data = reader.take(length);
+
+    // Timestamp extension (-1): 32, 64 or 96 bit
+    if (type === -1) {
+      const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+      if (length === 4) return new Date(view.getUint32(0) * 1000).toISOString();
+      if (length === 8) {
+        const nanos = view.getUint32(0) >>> 2;
+        const seconds = (view.getUint32(0) & 0x3) * 2 ** 32 + view.getUint32(4);
+        return new Date(seconds * 1000 + Math.floor(nanos / 1e6)).toISOString();
+      }
+      if (length === 12) {
+        const seconds = Number(view.getBigInt64(4));
+        return new Date(seconds * 1000 + Math.floor(view.getUint32(0) / 1e6)).toISOString();
+      }
+    }
+
+    return { type, data: bytesToDiagnostic(data) };
+  };
+
+  const readItem = () => {
+    const byte = reader.uint8();
+
+    if (byte <= 0x7f) return byte;
+    if (byte <= 0x8f) return readMap(byte & 0x0f);
+    if (byte <= 0x9f) return readArray(byte & 0x0f);
+    if (byte <= 0xbf) return utf8.decode(reader.take(byte & 0x1f));
+    if (byte >= 0xe0) return byte - 0x100;
+
+    switch (byte) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return bytesToDiagnostic(reader.take(reader.uint8()));
+      case 0xc5: return bytesToDiagnostic(reader.take(reader.read('getUint16', 2)));
+      case 0xc6: return bytesToDiagnostic(reader.take(reader.read('getUint32', 4)));
+      case 0xc7: return readExt(reader.uint8());
+      case 0xc8: return readExt(reader.read('getUint16', 2));
+      case 0xc9: return readExt(reader.read('getUint32', 4));
+      case 0xca: return reader.read('getFloat32', 4);
+      case 0xcb: return reader.read('getFloat64', 8);
+      case 0xcc: return reader.uint8();
+      case 0xcd: return reader.read('getUint16', 2);
+      case 0xce: return reader.read('getUint32', 4);
+      case 0xcf: return fromBigInt(reader.read('getBigUint64', 8));
+      case 0xd0: return reader.read('getInt8', 1);
+      case 0xd1: return reader.read('getInt16', 2);
+      case 0xd2: return reader.read('getInt32', 4);
+      case 0xd3: return fromBigInt(reader.read('getBigInt64', 8));
+      case 0xd4: return readExt(1);
+      case 0xd5: return readExt(2);
+      case 0xd6: return readExt(4);
+      case 0xd7: return readExt(8);
+      case 0xd8: return readExt(16);
+      case 0xd9: return utf8.decode(reader.take(reader.uint8()));
+      case 0xda: return utf8.decode(reader.take(reader.read('getUint16', 2)));
+      case 0xdb: return utf8.decode(reader.take(reader.read('getUint32', 4)));
+      case 0xdc: return readArray(reader.read('getUint16', 2));
+      case 0xdd: return readArray(reader.read('getUint32', 4));
+      case 0xde: return readMap(reader.read('getUint16', 2));
+      case 0xdf: return readMap(reader.read('getUint32', 4));
+      default:
+        throw new Error(`Invalid MessagePack byte 0x${byte.toString(16)}`);
+    }
+  };
+
+  const value = readItem();
+  reader.done();
+  return value;
+}
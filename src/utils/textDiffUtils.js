@@ -0,0 +1,133 @@
+/**
+ * Text diff utilities
+ * Line-based diff used to compare generated files between exports
+ */
+
+// Above this many line pairs the LCS table gets too large; fall back to a plain replace
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Compute a line diff between two texts (longest common subsequence)
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @returns {Array<Object>} - { type: 'same' | 'added' | 'removed', line, oldNumber, newNumber }
+ */
+export function diffLines(oldText = '', newText = '') {
+  const oldLines = oldText ? oldText.split('\n') : [];
+  const newLines = newText ? newText.split('\n') : [];
+
+  // Skip the common head and tail so the table only covers the changed middle
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const result = [];
+  for (let i = 0; i < start; i++) {
+    result.push({ type: 'same', line: oldLines[i], oldNumber: i + 1, newNumber: i + 1 });
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const middle = (oldMiddle.length + 1) * (newMiddle.length + 1) > MAX_LCS_CELLS
+    ? replaceAll(oldMiddle, newMiddle)
+    : lcsDiff(oldMiddle, newMiddle);
+
+  middle.forEach(entry => {
+    result.push({
+      ...entry,
+      oldNumber: entry.oldIndex !== undefined ? start + entry.oldIndex + 1 : null,
+      newNumber: entry.newIndex !== undefined ? start + entry.newIndex + 1 : null
+    });
+  });
+
+  for (let i = 0; i < oldLines.length - oldEnd; i++) {
+    result.push({
+      type: 'same',
+      line: oldLines[oldEnd + i],
+      oldNumber: oldEnd + i + 1,
+      newNumber: newEnd + i + 1
+    });
+  }
+
+  return result.map(({ oldIndex, newIndex, ...entry }) => entry);
+}
+
+/**
+ * Count added and removed lines of a diff
+ * @param {Array<Object>} diff - Result of diffLines
+ * @returns {Object} - { added, removed }
+ */
+export function summarizeDiff(diff) {
+  return diff.reduce((summary, entry) => {
+    if (entry.type === 'added') summary.added++;
+    if (entry.type === 'removed') summary.removed++;
+    return summary;
+  }, { added: 0, removed: 0 });
+}
+
+/**
+ * Diff two line arrays with a longest common subsequence table
+ * @param {Array<string>} oldLines - Previous lines
+ * @param {Array<string>} newLines - Current lines
+ * @returns {Array<Object>} - Diff entries with oldIndex/newIndex
+ */
+function lcsDiff(oldLines, newLines) {
+  const rows = oldLines.length + 1;
+  const cols = newLines.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      table[i * cols + j] = oldLines[i] === newLines[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const entries = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      entries.push({ type: 'same', line: oldLines[i], oldIndex: i, newIndex: j });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      entries.push({ type: 'removed', line: oldLines[i], oldIndex: i });
+      i++;
+    } else {
+      entries.push({ type: 'added', line: newLines[j], newIndex: j });
+      j++;
+    }
+  }
+  while (i < oldLines.length) {
+    entries.push({ type: 'removed', line: oldLines[i], oldIndex: i });
+    i++;
+  }
+  while (j < newLines.length) {
+    entries.push({ type: 'added', line: newLines[j], newIndex: j });
+    j++;
+  }
+
+  return entries;
+}
+
+/**
+ * Fallback diff for very large inputs: every old line removed, every new line added
+ * @param {Array<string>} oldLines - Previous lines
+ * @param {Array<string>} newLines - Current lines
+ * @returns {Array<Object>} - Diff entries with oldIndex/newIndex
+ */
+function replaceAll(oldLines, newLines) {
+  return [
+    ...oldLines.map((line, index) => ({ type: 'removed', line, oldIndex: index })),
+    ...newLines.map((line, index) => ({ type: 'added', line, newIndex: index }))
+  ];
+}